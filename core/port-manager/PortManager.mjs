@@ -7,17 +7,43 @@
  * @module core/port-manager
  */
 
-import net from 'net';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
+import { EventEmitter } from 'events';
 import { promisify } from 'util';
 import os from 'os';
 import { randomUUID } from 'crypto';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { getDefaultRegistryPath, getRegistryStamp, loadRegistry, repairRegistry, updateRegistry } from './registry.mjs';
+import { describeOwner, isOwnerAlive } from './owner.mjs';
+import { isLeaseExpired, leaseFields, parseDuration } from './lease.mjs';
+import { getDaemonSocketPath, requestDaemon } from './daemon.mjs';
+import { findPortOwners, findSocketOwners, isProcAvailable } from './sockets.mjs';
+import {
+  DEFAULT_PROBE_CONCURRENCY,
+  addressConflicts,
+  checkPortAvailability,
+  findAvailablePorts,
+  listenOnPort
+} from './probe.mjs';
+import { allocationKey, findAllocationKeys, parseAllocationKey, resolveProtocols } from './protocol.mjs';
+import { rememberPort, stickyCandidates, stickyKey } from './sticky.mjs';
+import { detectGitContext } from './git.mjs';
+import { appendEvent, getEventLogPath } from './events.mjs';
+import {
+  DEFAULT_WAIT_INTERVAL,
+  DEFAULT_WAIT_TIMEOUT,
+  acceptsConnections,
+  isExpectedStatus,
+  requestStatus
+} from './ready.mjs';
+import {
+  blockedError,
+  checkPort,
+  checkQuota,
+  getPolicyPath,
+  loadPolicy,
+  normalizePolicy,
+  policyRange
+} from './policy.mjs';
 
 /**
  * Default configuration for PortManager
@@ -28,87 +54,99 @@ const DEFAULT_CONFIG = {
   }
 };
 
+const execFileAsync = promisify(execFile);
+
 /**
- * Ensure directory exists
- * @param {string} path - Directory path
+ * Describe a registry entry as an event payload allocation
+ * @private
+ * @param {string} key - Allocation key ("<port>/<protocol>")
+ * @param {Object} info - Registry entry
+ * @returns {Object} { port, protocol, ...info }
  */
-function ensureDir(path) {
-  if (!existsSync(path)) {
-    mkdirSync(path, { recursive: true });
-  }
+function allocationEntry(key, info) {
+  return { ...parseAllocationKey(key), ...info };
 }
 
 /**
- * Load registry from JSON file
- * @param {string} registryPath - Path to registry file
- * @returns {Object} Registry data
+ * Get a process name by PID using ps (macOS/Linux without /proc)
+ * @private
+ * @param {number} pid - Process ID
+ * @returns {Promise<string>} Process name or 'unknown'
  */
-function loadRegistry(registryPath) {
-  if (!existsSync(registryPath)) {
-    return { version: '1.0.0', allocations: {} };
-  }
+async function getProcessName(pid) {
   try {
-    return JSON.parse(readFileSync(registryPath, 'utf-8'));
+    const { stdout } = await execFileAsync('ps', ['-p', String(pid), '-o', 'comm=']);
+    return stdout.trim() || 'unknown';
   } catch {
-    return { version: '1.0.0', allocations: {} };
+    return 'unknown';
   }
 }
 
 /**
- * Save registry to JSON file
- * @param {string} registryPath - Path to registry file
- * @param {Object} registry - Registry data
- */
-function saveRegistry(registryPath, registry) {
-  ensureDir(dirname(registryPath));
-  writeFileSync(registryPath, JSON.stringify(registry, null, 2), 'utf-8');
-}
-
-/**
- * Check if a port is available
+ * Detect which process is occupying a port
+ *
+ * On Linux the kernel socket tables in /proc are read directly. Other
+ * platforms (or Linux without /proc) fall back to netstat/lsof, which do not
+ * filter by bind host.
  * @param {number} port - Port number to check
- * @returns {Promise<boolean>} True if available
+ * @param {Object} [options] - Detection options
+ * @param {string|Array<string>} [options.host] - Only report sockets that conflict with this bind host
+ * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both'
+ * @param {Array<Object>} [options.owners] - Socket owners read beforehand with findPortOwners()
+ *   (Linux /proc backend), instead of scanning /proc for this port
+ * @returns {Promise<Object|null>} { pid, processName, protocol } or null if not in use
+ *   (pid is null when the owner belongs to another user and cannot be inspected)
  */
-function checkPortAvailability(port) {
-  return new Promise((resolve) => {
-    const server = net.createServer();
-    server.once('error', () => {
-      resolve(false);
-    });
-    server.once('listening', () => {
-      server.close(() => resolve(true));
-    });
-    server.listen(port, '0.0.0.0');
-  });
+async function detectOccupier(port, options = {}) {
+  for (const protocol of resolveProtocols(options.protocol)) {
+    const occupier = await detectProtocolOccupier(Number(port), protocol, options.host, options.owners);
+    if (occupier) {
+      return { ...occupier, protocol };
+    }
+  }
+  return null;
 }
 
-const execAsync = promisify(exec);
-
 /**
- * Detect which process is occupying a port
+ * Detect which process holds a port on one protocol
+ * @private
  * @param {number} port - Port number to check
+ * @param {string} protocol - 'tcp' (listening sockets) or 'udp' (bound sockets)
+ * @param {string|Array<string>} [host] - Only report sockets that conflict with this bind host
+ * @param {Array<Object>} [snapshot] - Socket owners read beforehand with findPortOwners()
  * @returns {Promise<Object|null>} { pid, processName } or null if not in use
  */
-async function detectOccupier(port) {
+async function detectProtocolOccupier(port, protocol, host, snapshot) {
+  if (isProcAvailable()) {
+    const candidates = snapshot
+      ? snapshot.filter(entry => entry.port === port && entry.protocol === protocol)
+      : findSocketOwners(port, { protocol });
+    const owners = candidates.filter(entry => addressConflicts(entry.address, host));
+    if (owners.length === 0) return null;
+
+    const owner = owners.find(entry => entry.pid) || owners[0];
+    return { pid: owner.pid, processName: owner.processName };
+  }
+
   const platform = os.platform();
 
   try {
     if (platform === 'win32') {
-      // Windows: netstat -ano | findstr :<port>
-      const { stdout } = await execAsync(`netstat -ano | findstr :${port}`);
+      // Windows: netstat -ano, filtered for our port
+      const { stdout } = await execFileAsync('netstat', ['-ano']);
       const lines = stdout.trim().split('\n');
 
       for (const line of lines) {
         const parts = line.trim().split(/\s+/);
         const localAddress = parts[1];
 
-        // Check if this line is for our port (exact match)
-        if (localAddress && localAddress.endsWith(`:${port}`)) {
+        // Check if this line is for our port (exact match) and protocol
+        if (parts[0]?.toLowerCase() === protocol && localAddress && localAddress.endsWith(`:${port}`)) {
           const pid = parts[parts.length - 1];
 
           // Get process name from PID
           try {
-            const { stdout: tasklistOut } = await execAsync(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`);
+            const { stdout: tasklistOut } = await execFileAsync('tasklist', ['/FI', `PID eq ${Number(pid)}`, '/FO', 'CSV', '/NH']);
             const processName = tasklistOut.split(',')[0].replace(/"/g, '');
             return { pid: parseInt(pid), processName };
           } catch {
@@ -117,30 +155,29 @@ async function detectOccupier(port) {
         }
       }
     } else {
-      // macOS/Linux: lsof -i :<port>
+      // macOS/Linux: lsof -iTCP:<port> -sTCP:LISTEN / lsof -iUDP:<port>
       try {
-        const { stdout } = await execAsync(`lsof -i :${port} -t -sTCP:LISTEN`);
+        const lsofArgs = protocol === 'udp'
+          ? [`-iUDP:${port}`, '-t']
+          : [`-iTCP:${port}`, '-t', '-sTCP:LISTEN'];
+        const { stdout } = await execFileAsync('lsof', lsofArgs);
         const pid = stdout.trim().split('\n')[0];
 
         if (pid) {
-          // Get process name
-          const { stdout: psOut } = await execAsync(`ps -p ${pid} -o comm=`);
-          const processName = psOut.trim();
-          return { pid: parseInt(pid), processName };
+          return { pid: parseInt(pid), processName: await getProcessName(pid) };
         }
       } catch (lsofErr) {
         // Fallback to netstat if lsof not available
-        const { stdout } = await execAsync(`netstat -anp 2>/dev/null | grep :${port} | grep LISTEN`);
-        const match = stdout.match(/(\d+)\//);
+        const { stdout } = await execFileAsync('netstat', ['-anp']);
+        const line = stdout
+          .split('\n')
+          .find(entry => entry.startsWith(protocol) &&
+            (protocol === 'udp' || entry.includes('LISTEN')) &&
+            new RegExp(`[:.]${port}\\s`).test(entry));
+        const match = line && line.match(/(\d+)\//);
         if (match) {
           const pid = match[1];
-          try {
-            const { stdout: psOut } = await execAsync(`ps -p ${pid} -o comm=`);
-            const processName = psOut.trim();
-            return { pid: parseInt(pid), processName };
-          } catch {
-            return { pid: parseInt(pid), processName: 'unknown' };
-          }
+          return { pid: parseInt(pid), processName: await getProcessName(pid) };
         }
       }
     }
@@ -158,16 +195,16 @@ async function detectOccupier(port) {
  * @returns {Promise<boolean>} True if killed successfully
  */
 async function killProcess(pid, force = false) {
+  if (!pid) return false;
+
   const platform = os.platform();
 
   try {
     if (platform === 'win32') {
-      const forceFlag = force ? '/F' : '';
-      await execAsync(`taskkill /PID ${pid} ${forceFlag}`);
+      await execFileAsync('taskkill', ['/PID', String(pid), ...(force ? ['/F'] : [])]);
       return true;
     } else {
-      const signal = force ? '-9' : '-15';
-      await execAsync(`kill ${signal} ${pid}`);
+      process.kill(pid, force ? 'SIGKILL' : 'SIGTERM');
       return true;
     }
   } catch (error) {
@@ -188,20 +225,68 @@ async function killProcess(pid, force = false) {
  * 
  * // Release when done
  * await pm.release(port);
+ *
+ * // React to changes (from every process: gosiki-port --events)
+ * pm.on('allocated', event => console.log(event.port, event.allocations));
  * ```
+ *
+ * Events: allocated, released, group-allocated, group-released, reserved,
+ * renewed, owner-changed, killed, stale-reclaimed and cleanup. Each is a
+ * record { event, at, source, ...payload } where source is the PID of the
+ * process that made the change (the client, for requests the daemon runs);
+ * it is also appended to the event log next to the registry (see events.mjs).
  */
-export class PortManager {
+export class PortManager extends EventEmitter {
   /**
    * Create a new PortManager instance
    * @param {Object} options - Configuration options
-   * @param {string} [options.registryPath] - Path to registry file
+   * @param {string} [options.registryPath] - Path to registry file (default: ~/.gosiki-os/port-registry.json)
    * @param {Object} [options.config] - Configuration object
    * @param {Object} [options.range] - Port range { start, end }
+   * @param {number|null} [options.ownerPid] - Process recorded as owner of new allocations
+   *   (default: this process; null records no owner)
+   * @param {boolean} [options.autoReclaim=true] - Reclaim allocations whose owner has exited
+   * @param {boolean} [options.daemon=true] - Route mutations and getAllGrouped() through gosiki-portd
+   *   when it is running
+   * @param {boolean} [options.sticky=false] - Prefer the same port for the same app/worktree/role
+   * @param {boolean} [options.detectGit=true] - Fill in a missing app/worktree from the git checkout
+   * @param {string} [options.cwd] - Directory to detect the git checkout from (default: process.cwd())
+   * @param {number} [options.probeConcurrency=16] - Ports probed at once while searching a range
+   * @param {boolean} [options.prefilter=true] - Skip ports the OS socket table shows as bound
+   *   before probing (Linux)
+   * @param {Object} [options.policy] - Allocation policy (default: config.policy, else the
+   *   policy file next to the registry, re-read on every allocation)
+   * @param {string|false} [options.eventLog] - Event log to append events to (default: the log
+   *   next to the registry; false only emits them on this instance)
+   * @param {number} [options.eventSource] - PID recorded as the source of events (default:
+   *   this process; the daemon records the client it runs a request for)
+   * @param {boolean} [options.cacheRegistry=false] - Keep the registry in memory for listing
+   *   methods, re-reading the file only once a write has replaced it (set by gosiki-portd)
    */
   constructor(options = {}) {
+    super();
     this.registryPath = options.registryPath || this._getDefaultRegistryPath();
     this.config = options.config || DEFAULT_CONFIG;
-    
+    this.ownerPid = options.ownerPid !== undefined ? options.ownerPid : process.pid;
+    this.autoReclaim = options.autoReclaim !== false;
+    this.useDaemon = options.daemon !== false;
+    this.sticky = options.sticky === true;
+    this.detectGit = options.detectGit !== false;
+    this.cwd = options.cwd || process.cwd();
+    this._gitContext = undefined;
+    this.probeConcurrency = options.probeConcurrency ?? DEFAULT_PROBE_CONCURRENCY;
+    this.prefilter = options.prefilter !== false;
+
+    const policy = options.policy || this.config?.policy;
+    this.policy = policy ? normalizePolicy(policy) : null;
+    this.policyPath = getPolicyPath(this.registryPath);
+    this.eventLogPath = options.eventLog === false
+      ? null
+      : options.eventLog || getEventLogPath(this.registryPath);
+    this.eventSource = options.eventSource ?? process.pid;
+    this.cacheRegistry = options.cacheRegistry === true;
+    this._registryCache = null;
+
     const configRange = this.config?.ports?.range || DEFAULT_CONFIG.ports.range;
     this.defaultRange = options.range || configRange;
   }
@@ -212,62 +297,804 @@ export class PortManager {
    * @returns {string} Default registry path
    */
   _getDefaultRegistryPath() {
-    // When used as OSS module, use a local registry
-    // When used in Gosiki OS, this can be overridden via options
-    return join(__dirname, 'registry', 'ports.json');
+    // Shared with the npx CLI (src/index.js) so both see the same allocations
+    return getDefaultRegistryPath();
+  }
+
+  /**
+   * Read the registry for a listing method
+   *
+   * With cacheRegistry, the registry is kept in memory and only re-read
+   * when the file's stamp shows another write replaced it. The result is
+   * shared between calls and must not be modified.
+   * @private
+   * @returns {Object} Registry data
+   */
+  _readRegistry() {
+    if (!this.cacheRegistry) {
+      return loadRegistry(this.registryPath);
+    }
+
+    const stamp = getRegistryStamp(this.registryPath);
+    if (this._registryCache?.stamp !== stamp) {
+      this._registryCache = { stamp, registry: loadRegistry(this.registryPath) };
+    }
+    return this._registryCache.registry;
+  }
+
+  /**
+   * Build owner fields for a new allocation
+   * @private
+   * @param {Object} [options] - Allocation options
+   * @param {number|null} [options.pid] - Owner override
+   * @returns {Object} { pid, pidStartedAt } or {} when unowned
+   */
+  _ownerFields(options = {}) {
+    const pid = this._ownerPid(options);
+    return pid ? describeOwner(pid) : {};
+  }
+
+  /**
+   * Resolve the owner PID for an allocation
+   * @private
+   * @param {Object} [options] - Allocation options
+   * @returns {number|null} Owner PID
+   */
+  _ownerPid(options = {}) {
+    return options.pid !== undefined ? options.pid : this.ownerPid;
+  }
+
+  /**
+   * Resolve whether an allocation is sticky
+   * @private
+   * @param {Object} [options] - Allocation options
+   * @returns {boolean} True if sticky ports apply
+   */
+  _sticky(options = {}) {
+    return options.sticky !== undefined ? options.sticky === true : this.sticky;
+  }
+
+  /**
+   * Get the allocation policy in effect
+   * @private
+   * @returns {Object} Normalized policy
+   * @throws {Error} If the policy file is invalid
+   */
+  _policy() {
+    return this.policy || loadPolicy(this.policyPath);
+  }
+
+  /**
+   * Throw if reserving a port would break the policy or take another workspace's port
+   * @private
+   * @param {Object} registry - Registry data (already reclaimed)
+   * @param {number} port - Port to reserve
+   * @param {string} [protocol] - 'tcp', 'udp' or 'both'
+   * @param {Object} metadata - Reservation metadata ({ app, worktree })
+   * @param {Object} policy - Normalized policy
+   * @throws {Error} With `reason` set if the reservation is blocked
+   */
+  _checkReserve(registry, port, protocol, metadata, policy) {
+    const rejected = checkPort(policy, port, metadata.app);
+    if (rejected) {
+      throw blockedError(port, rejected.reason, rejected.message);
+    }
+
+    const held = findAllocationKeys(registry.allocations, port, protocol).map(key => registry.allocations[key]);
+    const other = held.find(info =>
+      (info.metadata?.app || 'default') !== (metadata.app || 'default') ||
+      (info.metadata?.worktree || 'default') !== (metadata.worktree || 'default'));
+
+    if (other) {
+      const holder = `${other.metadata?.app || 'default'}/${other.metadata?.worktree || 'default'}`;
+      throw blockedError(port, 'reserved-by-another', `Port ${port} is reserved by ${holder}`);
+    }
+
+    // Re-reserving a port this workspace already holds does not count again
+    const quota = held.length === 0 && checkQuota(policy, registry, metadata, 1);
+    if (quota) {
+      throw blockedError(port, quota.reason, quota.message);
+    }
+  }
+
+  /**
+   * Fill in app and worktree from the git checkout when not given
+   * @private
+   * @param {Object} [metadata] - Allocation metadata
+   * @returns {Object} Metadata with app/worktree set where they could be detected
+   */
+  _withGitContext(metadata = {}) {
+    if (!this.detectGit || (metadata.app && metadata.worktree)) return metadata;
+
+    if (this._gitContext === undefined) {
+      this._gitContext = detectGitContext(this.cwd);
+    }
+    if (!this._gitContext) return metadata;
+
+    return {
+      ...metadata,
+      app: metadata.app || this._gitContext.app,
+      worktree: metadata.worktree || this._gitContext.worktree
+    };
+  }
+
+  /**
+   * Build options for searching candidates with findAvailablePorts
+   * @private
+   * @param {string} [host] - Bind host
+   * @param {string} [protocol] - 'tcp', 'udp' or 'both'
+   * @returns {Object} Probe options
+   */
+  _probeOptions(host, protocol) {
+    return { host, protocol, concurrency: this.probeConcurrency, prefilter: this.prefilter };
+  }
+
+  /**
+   * Find available ports among candidates, optionally keeping them bound
+   * @private
+   * @param {Array<number>} candidates - Ports in preference order
+   * @param {number} count - Number of ports wanted
+   * @param {Object} probeOptions - Options for findAvailablePorts
+   * @param {Map<number, net.Server>|null} servers - When given, each port is listened on and
+   *   its server added here; a port lost to another process is replaced by the next candidate
+   * @returns {Promise<Array<number>>} Up to `count` ports, in candidate order
+   */
+  async _acquirePorts(candidates, count, probeOptions, servers) {
+    if (!servers) {
+      return findAvailablePorts(candidates, count, probeOptions);
+    }
+
+    const acquired = [];
+    let remaining = candidates;
+
+    while (acquired.length < count) {
+      const found = await findAvailablePorts(remaining, count - acquired.length, probeOptions);
+      if (found.length === 0) break;
+
+      for (const port of found) {
+        const server = await listenOnPort(port, probeOptions.host);
+        if (server) {
+          servers.set(port, server);
+          acquired.push(port);
+        }
+      }
+      remaining = remaining.slice(remaining.indexOf(found[found.length - 1]) + 1);
+    }
+
+    return acquired;
+  }
+
+  /**
+   * Run an allocation, closing any servers it opened if it fails
+   * @private
+   * @param {Map<number, net.Server>|null} servers - Servers opened by the allocation
+   * @param {Function} allocation - Async allocation to run
+   * @returns {Promise<*>} The allocation's result
+   */
+  async _holdingServers(servers, allocation) {
+    try {
+      return await allocation();
+    } catch (error) {
+      for (const server of servers?.values() || []) {
+        server.close();
+      }
+      servers?.clear();
+      throw error;
+    }
+  }
+
+  /**
+   * List the ports to try for an allocation, in order
+   * @private
+   * @param {Object} registry - Registry data
+   * @param {Object} range - Port range { start, end }
+   * @param {Array<string>|null} key - Sticky key, or null to scan from range.start
+   * @returns {Array<number>} Candidate ports
+   */
+  _candidatePorts(registry, range, key) {
+    if (key) {
+      return stickyCandidates(registry, key, range);
+    }
+
+    const ports = [];
+    for (let port = range.start; port <= range.end; port++) {
+      ports.push(port);
+    }
+    return ports;
+  }
+
+  /**
+   * Find the first port of a fully free block for a contiguous group
+   *
+   * Blocks are probed in batches like findAvailablePorts: each role's ports
+   * across the batch are probed together, and only blocks whose earlier
+   * roles were free are probed for the next role.
+   * @private
+   * @param {Object} registry - Registry data
+   * @param {Array<Object>} specs - Role specs in block order ({ protocol, host, key })
+   * @param {Object} range - Port range { start, end }
+   * @param {number} alignment - Required divisor of the first port
+   * @param {Function} allowed - Policy check, called with each port of the block
+   * @returns {Promise<number|null>} First port of the block, or null if none is free
+   */
+  async _findContiguousBlock(registry, specs, range, alignment, allowed) {
+    // A sticky group keeps the block its first role had last time
+    const bases = this._candidatePorts(registry, range, specs[0].key).filter(base =>
+      base % alignment === 0 && base + specs.length - 1 <= range.end &&
+      specs.every((spec, i) =>
+        findAllocationKeys(registry.allocations, base + i, spec.protocol).length === 0 && allowed(base + i)));
+    let batchSize = 1;
+    let next = 0;
+
+    while (next < bases.length) {
+      let free = bases.slice(next, next + batchSize);
+      next += free.length;
+
+      for (let i = 0; i < specs.length && free.length > 0; i++) {
+        const ports = await findAvailablePorts(free.map(base => base + i), free.length,
+          this._probeOptions(specs[i].host, specs[i].protocol));
+        free = ports.map(port => port - i);
+      }
+      if (free.length > 0) return free[0];
+
+      batchSize = Math.min(batchSize * 2, Math.max(1, this.probeConcurrency));
+    }
+
+    return null;
+  }
+
+  /**
+   * Forward a call to gosiki-portd if it is serving this registry
+   * @private
+   * @param {string} method - PortManager method name
+   * @param {Array} params - Method arguments (must be JSON-serializable)
+   * @returns {Promise<Object|null>} { result } or null to run locally
+   */
+  async _remote(method, params) {
+    if (!this.useDaemon) return null;
+    let remote;
+    try {
+      remote = await requestDaemon(getDaemonSocketPath(this.registryPath), method, params, {
+        client: this._clientOptions()
+      });
+    } catch (error) {
+      // A daemon that answers garbage is treated like no daemon at all
+      if (error.code === 'EDAEMONRESPONSE') return null;
+      throw error;
+    }
+
+    // The daemon has logged them already; only this instance's listeners are missing them
+    for (const record of remote?.events || []) {
+      this.emit(record.event, record);
+    }
+    return remote;
+  }
+
+  /**
+   * Instance options the daemon applies to this instance's requests
+   * @private
+   * @returns {Object} { autoReclaim, probeConcurrency, prefilter, eventLog, policy, pid }
+   * @throws {Error} If the policy file is invalid
+   */
+  _clientOptions() {
+    return {
+      autoReclaim: this.autoReclaim,
+      probeConcurrency: this.probeConcurrency,
+      prefilter: this.prefilter,
+      eventLog: this.eventLogPath || false,
+      policy: this._policy(),
+      pid: this.eventSource
+    };
+  }
+
+  /**
+   * Emit an event and append it to the event log
+   * @private
+   * @param {string} event - Event name (see PORT_EVENTS)
+   * @param {Object} payload - Event payload
+   */
+  _emitEvent(event, payload) {
+    const record = { event, at: new Date().toISOString(), source: this.eventSource, ...payload };
+
+    if (this.eventLogPath) {
+      try {
+        appendEvent(this.eventLogPath, record);
+      } catch {
+        // The change itself is saved; a log that can't be written only loses the record
+      }
+    }
+    this.emit(event, record);
+  }
+
+  /**
+   * Emit stale-reclaimed for allocations dropped from the registry
+   * @private
+   * @param {Array<Object>} allocations - Reclaimed allocations (with `reason`)
+   */
+  _emitReclaimed(allocations) {
+    if (allocations.length === 0) return;
+
+    const ports = [...new Set(allocations.map(entry => entry.port))];
+    this._emitEvent('stale-reclaimed', { reclaimed: ports.length, ports, allocations });
+  }
+
+  /**
+   * Remove allocations whose owner process has exited
+   * @private
+   * @param {Object} registry - Registry data (mutated)
+   * @returns {Array<Object>} Reclaimed allocations (reason: 'owner-exited')
+   */
+  _reclaimDeadOwners(registry) {
+    const reclaimed = [];
+
+    for (const [key, info] of Object.entries(registry.allocations)) {
+      if (!isOwnerAlive(info)) {
+        reclaimed.push({ ...allocationEntry(key, info), reason: 'owner-exited' });
+        delete registry.allocations[key];
+      }
+    }
+
+    return reclaimed;
+  }
+
+  /**
+   * Free up registry entries before allocating
+   *
+   * Expired leases are always dropped; allocations of exited owners only
+   * when autoReclaim is enabled.
+   * @private
+   * @param {Object} registry - Registry data (mutated)
+   * @returns {Array<Object>} Dropped allocations (reason: 'expired' or 'owner-exited')
+   */
+  _autoReclaim(registry) {
+    const reclaimed = [];
+
+    for (const [key, info] of Object.entries(registry.allocations)) {
+      if (isLeaseExpired(info)) {
+        reclaimed.push({ ...allocationEntry(key, info), reason: 'expired' });
+        delete registry.allocations[key];
+      }
+    }
+
+    if (this.autoReclaim) {
+      reclaimed.push(...this._reclaimDeadOwners(registry));
+    }
+    return reclaimed;
+  }
+
+  /**
+   * Check whether any allocation's owner process has exited
+   *
+   * Reads the registry without taking the lock, so a caller polling for
+   * exited owners (the daemon) only runs reclaimStale() when it has work.
+   * @returns {boolean} True if reclaimStale() would release something
+   */
+  hasDeadOwners() {
+    return Object.values(this._readRegistry().allocations).some(info => !isOwnerAlive(info));
+  }
+
+  /**
+   * Release every allocation whose owner process has exited
+   * @returns {Promise<Object>} { reclaimed: number, ports: Array<number> }
+   */
+  async reclaimStale() {
+    const remote = await this._remote('reclaimStale', []);
+    if (remote) return remote.result;
+
+    const reclaimed = await updateRegistry(this.registryPath, (registry) => {
+      return this._reclaimDeadOwners(registry);
+    });
+    this._emitReclaimed(reclaimed);
+
+    const ports = [...new Set(reclaimed.map(entry => entry.port))];
+    return {
+      reclaimed: ports.length,
+      ports
+    };
   }
 
   /**
    * Allocate an available port
    * @param {Object} [range] - Port range { start, end }
    * @param {Object} [metadata] - Metadata to store with allocation
+   *   (app/worktree default to the git checkout, see detectGit)
+   * @param {Object} [options] - Allocation options
+   * @param {number|null} [options.pid] - Owning process ID (default: the instance's ownerPid)
+   * @param {string|number} [options.ttl] - Lease duration (e.g. '30m'); renew with renew()
+   * @param {string} [options.host] - Address the service will bind (default: metadata.host,
+   *   else every IPv4/IPv6 wildcard and loopback address must be free)
+   * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both' (same port on TCP and UDP)
+   * @param {boolean} [options.sticky] - Prefer the port last given to this app/worktree/label
+   *   (default: the instance's sticky setting)
    * @returns {Promise<number>} Allocated port number
-   * @throws {Error} If no ports available in range
-   */
-  async allocate(range = this.defaultRange, metadata = {}) {
-    const registry = loadRegistry(this.registryPath);
-    
-    for (let port = range.start; port <= range.end; port += 1) {
-      if (registry.allocations[port]) continue;
-      
-      const available = await checkPortAvailability(port);
-      if (available) {
-        registry.allocations[port] = {
+   * @throws {Error} If no ports available in range (code 'ENOPORTS', or `reason` set if blocked by the policy)
+   */
+  async allocate(range = this.defaultRange, metadata = {}, options = {}) {
+    metadata = this._withGitContext(metadata);
+    const remote = await this._remote('allocate', [range, metadata, {
+      ...options,
+      pid: this._ownerPid(options),
+      sticky: this._sticky(options)
+    }]);
+    if (remote) return remote.result;
+
+    return this._allocateLocal(range, metadata, options);
+  }
+
+  /**
+   * Allocate a port and hand it over already listening
+   *
+   * The port is bound while the registry is locked and the server is kept
+   * open instead of being closed after the check, so no other process can
+   * take the port before the caller uses it. Adopt it with
+   * `http.createServer(handler).listen(server)`, or hand it to a child
+   * process with runWithPorts({ listen: true }). Release the port with
+   * release() once the server is closed.
+   *
+   * Always runs in this process, since a daemon cannot hand over a socket.
+   * @param {Object} [range] - Port range { start, end }
+   * @param {Object} [metadata] - Metadata to store (app/worktree default to the git checkout)
+   * @param {Object} [options] - Allocation options as for allocate() (TCP only)
+   * @returns {Promise<Object>} { port, server } where server is a listening net.Server
+   * @throws {Error} If no port is available or a non-TCP protocol is requested
+   */
+  async listen(range = this.defaultRange, metadata = {}, options = {}) {
+    if (resolveProtocols(options.protocol).join() !== 'tcp') {
+      throw new Error('listen() hands over TCP servers only');
+    }
+
+    const servers = new Map();
+    const port = await this._allocateLocal(range, this._withGitContext(metadata), options, servers);
+    return { port, server: servers.get(port) };
+  }
+
+  /**
+   * Allocate a port in this process
+   * @private
+   * @param {Object} range - Port range { start, end }
+   * @param {Object} metadata - Allocation metadata
+   * @param {Object} options - Allocation options (see allocate)
+   * @param {Map<number, net.Server>|null} [servers] - Hold the port open, filling this map
+   * @returns {Promise<number>} Allocated port number
+   */
+  async _allocateLocal(range, metadata, options, servers = null) {
+    const owner = this._ownerFields(options);
+    const lease = leaseFields(options.ttl);
+    const host = options.host || metadata.host;
+    const protocols = resolveProtocols(options.protocol);
+    const key = this._sticky(options) ? stickyKey(metadata) : null;
+    const policy = this._policy();
+    range = policyRange(policy, metadata.app, range);
+    let reclaimed = [];
+    let allocations = [];
+
+    const port = await this._holdingServers(servers, () => updateRegistry(this.registryPath, async (registry) => {
+      reclaimed = this._autoReclaim(registry);
+
+      const quota = checkQuota(policy, registry, metadata, 1);
+      if (quota) {
+        throw blockedError(null, quota.reason, quota.message);
+      }
+
+      const candidates = this._candidatePorts(registry, range, key).filter(port =>
+        findAllocationKeys(registry.allocations, port, options.protocol).length === 0 &&
+        !checkPort(policy, port, metadata.app));
+      const [port] = await this._acquirePorts(candidates, 1, this._probeOptions(host, options.protocol), servers);
+
+      if (port === undefined) {
+        throw Object.assign(new Error(`No available ports in range ${range.start}-${range.end}`), { code: 'ENOPORTS' });
+      }
+
+      allocations = protocols.map((protocol) => {
+        const info = {
           allocatedAt: new Date().toISOString(),
-          metadata
+          ...owner,
+          ...lease,
+          metadata: host ? { ...metadata, host } : metadata
         };
-        saveRegistry(this.registryPath, registry);
-        return port;
-      }
-    }
-    
-    throw new Error(
-      `No available ports in range ${range.start}-${range.end}`
-    );
+        registry.allocations[allocationKey(port, protocol)] = info;
+        return { port, protocol, ...info };
+      });
+      if (key) rememberPort(registry, key, port);
+      return port;
+    }));
+
+    this._emitReclaimed(reclaimed);
+    this._emitEvent('allocated', { port, allocations });
+    return port;
   }
 
   /**
    * Release an allocated port
    * @param {number} port - Port number to release
-   * @returns {Promise<boolean>} True if released
+   * @param {Object} [options] - Release options
+   * @param {string} [options.protocol] - 'tcp', 'udp' or 'both' (default: every protocol)
+   * @returns {Promise<boolean>} True if released, false if it was not allocated
    */
-  async release(port) {
-    const registry = loadRegistry(this.registryPath);
-    if (registry.allocations[port]) {
-      delete registry.allocations[port];
-      saveRegistry(this.registryPath, registry);
+  async release(port, options = {}) {
+    const remote = await this._remote('release', [port, options]);
+    if (remote) return remote.result;
+
+    const allocations = await updateRegistry(this.registryPath, (registry) => {
+      const keys = findAllocationKeys(registry.allocations, port, options.protocol);
+      const removed = keys.map(key => allocationEntry(key, registry.allocations[key]));
+      for (const key of keys) {
+        delete registry.allocations[key];
+      }
+      return removed;
+    });
+
+    if (allocations.length === 0) {
+      return false;
     }
+    this._emitEvent('released', { port: Number(port), allocations });
     return true;
   }
 
+  /**
+   * Renew the lease of an allocated port
+   *
+   * Renewing a port that belongs to a group renews the whole group.
+   * @param {number} port - Port number
+   * @param {Object} [options] - Renew options
+   * @param {string|number} [options.ttl] - New lease duration (default: the original ttl)
+   * @param {string} [options.protocol] - 'tcp', 'udp' or 'both' (default: every protocol)
+   * @returns {Promise<Object>} { port, expiresAt, ports }
+   * @throws {Error} If the port is not allocated, has no lease or has already expired
+   */
+  async renew(port, options = {}) {
+    const remote = await this._remote('renew', [port, options]);
+    if (remote) return remote.result;
+
+    const { result, allocations } = await updateRegistry(this.registryPath, (registry) => {
+      const keys = findAllocationKeys(registry.allocations, port, options.protocol);
+      const info = registry.allocations[keys[0]];
+
+      if (!info) {
+        throw new Error(`Port ${port} is not allocated`);
+      }
+      if (isLeaseExpired(info)) {
+        throw new Error(`Lease for port ${port} has already expired`);
+      }
+
+      const ttlMs = options.ttl !== undefined ? parseDuration(options.ttl) : info.ttlMs;
+      if (!ttlMs) {
+        throw new Error(`Port ${port} was not allocated with a ttl`);
+      }
+
+      const lease = leaseFields(ttlMs);
+      const ports = new Set();
+      const renewed = [];
+
+      for (const [key, entry] of Object.entries(registry.allocations)) {
+        if (keys.includes(key) || (info.groupId && entry.groupId === info.groupId)) {
+          Object.assign(entry, lease);
+          ports.add(parseAllocationKey(key).port);
+          renewed.push(allocationEntry(key, entry));
+        }
+      }
+
+      return {
+        result: { port: Number(port), expiresAt: lease.expiresAt, ports: [...ports] },
+        allocations: renewed
+      };
+    });
+
+    this._emitEvent('renewed', { ...result, allocations });
+    return result;
+  }
+
+  /**
+   * Hand an allocation over to another owner process
+   *
+   * Changing the owner of a port that belongs to a group changes it for the
+   * whole group.
+   * @param {number} port - Port number
+   * @param {number|null} pid - New owning process (null records no owner)
+   * @returns {Promise<Object>} { port, pid, ports }
+   * @throws {Error} If the port is not allocated
+   */
+  async setOwner(port, pid) {
+    const remote = await this._remote('setOwner', [port, pid]);
+    if (remote) return remote.result;
+
+    const owner = pid ? describeOwner(pid) : {};
+
+    const { result, allocations } = await updateRegistry(this.registryPath, (registry) => {
+      const keys = findAllocationKeys(registry.allocations, port);
+      const info = registry.allocations[keys[0]];
+
+      if (!info) {
+        throw new Error(`Port ${port} is not allocated`);
+      }
+
+      const ports = new Set();
+      const changed = [];
+
+      for (const [key, entry] of Object.entries(registry.allocations)) {
+        if (keys.includes(key) || (info.groupId && entry.groupId === info.groupId)) {
+          delete entry.pid;
+          delete entry.pidStartedAt;
+          Object.assign(entry, owner);
+          ports.add(parseAllocationKey(key).port);
+          changed.push(allocationEntry(key, entry));
+        }
+      }
+
+      return {
+        result: { port: Number(port), pid: pid || null, ports: [...ports] },
+        allocations: changed
+      };
+    });
+
+    this._emitEvent('owner-changed', { ...result, allocations });
+    return result;
+  }
+
+  /**
+   * Keep renewing a lease while this process is alive
+   *
+   * The timer is unref'd, so it never keeps the process running on its own.
+   * @param {number} port - Port number
+   * @param {Object} [options] - Heartbeat options
+   * @param {string|number} [options.interval] - Renewal interval (default: a third of the ttl)
+   * @param {Function} [options.onError] - Called when a renewal fails
+   * @returns {Function} Stop function
+   */
+  keepAlive(port, options = {}) {
+    const { allocations } = loadRegistry(this.registryPath);
+    const info = allocations[findAllocationKeys(allocations, port)[0]];
+    if (!info?.ttlMs) {
+      throw new Error(`Port ${port} was not allocated with a ttl`);
+    }
+
+    const interval = options.interval !== undefined
+      ? parseDuration(options.interval)
+      : Math.max(1000, Math.floor(info.ttlMs / 3));
+
+    const timer = setInterval(() => {
+      this.renew(port).catch((error) => {
+        if (options.onError) options.onError(error);
+      });
+    }, interval);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
   /**
    * Probe a port to check if it's in use
    * @param {number} port - Port number to probe
-   * @returns {Promise<Object>} { port, inUse }
+   * @param {Object} [options] - Probe options
+   * @param {string} [options.host] - Bind host to check (default: the host recorded for the
+   *   port, else every IPv4/IPv6 wildcard and loopback address)
+   * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both'
+   * @returns {Promise<Object>} { port, protocol, inUse }
    */
-  async probe(port) {
-    const available = await checkPortAvailability(port);
-    return { port, inUse: !available };
+  async probe(port, options = {}) {
+    const protocol = options.protocol || 'tcp';
+    const { allocations } = loadRegistry(this.registryPath);
+    const host = options.host || allocations[findAllocationKeys(allocations, port, protocol)[0]]?.metadata?.host;
+    const available = await checkPortAvailability(port, { host, protocol });
+    return { port, protocol, inUse: !available };
+  }
+
+  /**
+   * Wait until a service is up on a port
+   *
+   * A TCP port is up once it accepts a connection, a UDP port once a socket
+   * is bound to it. With `http`, the port is only ready once that path
+   * answers with the expected status. An allocated port shows as 'starting'
+   * in getAllGrouped() while this waits, and as 'ready' afterwards.
+   * @param {number} port - Port number
+   * @param {Object} [options] - Wait options
+   * @param {string|number} [options.timeout='30s'] - How long to wait
+   * @param {string|number} [options.interval=250] - Delay between checks
+   * @param {string} [options.http] - Health check path (e.g. '/health'); TCP only
+   * @param {number} [options.expectStatus] - Required HTTP status (default: any 2xx)
+   * @param {string} [options.host] - Host the service binds (default: the host recorded for the port)
+   * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both'
+   * @returns {Promise<Object>} { port, protocol, ready: true, elapsedMs, httpStatus? }
+   * @throws {Error} If the port is not ready before the timeout
+   */
+  async waitForPort(port, options = {}) {
+    port = Number(port);
+    const protocol = options.protocol || 'tcp';
+    const protocols = resolveProtocols(protocol);
+    if (options.http && protocols.includes('udp')) {
+      throw new Error('HTTP health checks need a TCP port');
+    }
+
+    const timeout = parseDuration(options.timeout ?? DEFAULT_WAIT_TIMEOUT);
+    const interval = parseDuration(options.interval ?? DEFAULT_WAIT_INTERVAL);
+    const { allocations } = loadRegistry(this.registryPath);
+    const keys = findAllocationKeys(allocations, port, protocol);
+    const allocated = keys.length > 0;
+    const host = options.host || allocations[keys[0]]?.metadata?.host;
+    const check = options.http ? `GET ${options.http}` : protocols.join('+');
+    const started = Date.now();
+    const deadline = started + timeout;
+
+    if (allocated) {
+      await this._recordReadiness(port, protocol, {
+        state: 'starting',
+        check,
+        since: new Date(started).toISOString(),
+        deadline: new Date(deadline).toISOString()
+      });
+    }
+
+    let listening = false;
+    let httpStatus = null;
+
+    while (true) {
+      listening = await this._isListening(port, protocols, host);
+      if (listening && options.http) {
+        httpStatus = await requestStatus(port, host, options.http);
+      }
+
+      if (listening && (!options.http || isExpectedStatus(httpStatus, options.expectStatus))) {
+        if (allocated) {
+          await this._recordReadiness(port, protocol, { state: 'ready', check, since: new Date().toISOString() });
+        }
+        return {
+          port,
+          protocol,
+          ready: true,
+          elapsedMs: Date.now() - started,
+          ...(options.http ? { httpStatus } : {})
+        };
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) break;
+      await new Promise(resolve => setTimeout(resolve, Math.min(interval, remaining)));
+    }
+
+    if (allocated) {
+      await this._recordReadiness(port, protocol, { state: 'timeout', check, since: new Date().toISOString() });
+    }
+
+    let detail = 'nothing is listening';
+    if (listening) {
+      detail = httpStatus === null ? `${check} did not answer` : `${check} answered ${httpStatus}`;
+    }
+    throw new Error(`Port ${port} was not ready within ${timeout / 1000}s (${detail})`);
+  }
+
+  /**
+   * Check whether a service is listening on a port
+   * @private
+   * @param {number} port - Port number
+   * @param {Array<string>} protocols - Protocols that must all be up
+   * @param {string} [host] - Host the service binds
+   * @returns {Promise<boolean>}
+   */
+  async _isListening(port, protocols, host) {
+    for (const protocol of protocols) {
+      // Connecting never binds, so a server that is still starting keeps its port
+      const up = protocol === 'tcp'
+        ? await acceptsConnections(port, host)
+        : Boolean(await detectOccupier(port, { host, protocol }));
+      if (!up) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Record the readiness of an allocated port for getAllGrouped()
+   * @private
+   * @param {number} port - Port number
+   * @param {string} protocol - 'tcp', 'udp' or 'both'
+   * @param {Object} readiness - { state: 'starting'|'ready'|'timeout', check, since, deadline? }
+   * @returns {Promise<void>}
+   */
+  async _recordReadiness(port, protocol, readiness) {
+    await updateRegistry(this.registryPath, (registry) => {
+      for (const key of findAllocationKeys(registry.allocations, port, protocol)) {
+        registry.allocations[key].readiness = readiness;
+      }
+    });
   }
 
   /**
@@ -275,25 +1102,49 @@ export class PortManager {
    * @returns {Array<Object>} Array of allocation records
    */
   listAllocations() {
-    const registry = loadRegistry(this.registryPath);
-    return Object.entries(registry.allocations).map(([port, info]) => ({
-      port: Number(port),
+    const registry = this._readRegistry();
+    return Object.entries(registry.allocations).map(([key, info]) => ({
+      ...parseAllocationKey(key),
       allocatedAt: info.allocatedAt,
+      pid: info.pid,
+      groupId: info.groupId,
+      role: info.role,
+      expiresAt: info.expiresAt,
       metadata: info.metadata || {}
     }));
   }
 
   /**
    * Cleanup all allocations
-   * @returns {Object} { cleaned: true }
+   * @returns {Promise<Object>} { cleaned: true }
    */
-  cleanup() {
-    const registry = loadRegistry(this.registryPath);
-    registry.allocations = {};
-    saveRegistry(this.registryPath, registry);
+  async cleanup() {
+    const remote = await this._remote('cleanup', []);
+    if (remote) return remote.result;
+
+    const allocations = await updateRegistry(this.registryPath, (registry) => {
+      const removed = Object.entries(registry.allocations).map(([key, info]) => allocationEntry(key, info));
+      registry.allocations = {};
+      return removed;
+    });
+
+    this._emitEvent('cleanup', { ports: [...new Set(allocations.map(entry => entry.port))], allocations });
     return { cleaned: true };
   }
 
+  /**
+   * Repair a corrupted registry
+   *
+   * Quarantines the damaged file, restores the newest valid backup and
+   * re-adds ports from the damaged file that are still listening.
+   * @returns {Promise<Object>} { status, quarantinedTo, restoredFrom, restored, recovered, lost }
+   */
+  async repairRegistry() {
+    return repairRegistry(this.registryPath, {
+      detectOccupier: (port, options) => detectOccupier(port, options)
+    });
+  }
+
   /**
    * Get current port range
    * @returns {Object} { start, end }
@@ -315,10 +1166,13 @@ export class PortManager {
   /**
    * Detect which process is occupying a port
    * @param {number} port - Port number to check
-   * @returns {Promise<Object|null>} { pid, processName, port } or null if not in use
+   * @param {Object} [options] - Detection options
+   * @param {string} [options.host] - Only report processes that conflict with this bind host
+   * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both'
+   * @returns {Promise<Object|null>} { pid, processName, protocol, port } or null if not in use
    */
-  async detectOccupier(port) {
-    const result = await detectOccupier(port);
+  async detectOccupier(port, options = {}) {
+    const result = await detectOccupier(port, options);
     if (result) {
       return { ...result, port };
     }
@@ -330,10 +1184,12 @@ export class PortManager {
    * @param {number} port - Port number
    * @param {Object} [options] - Kill options
    * @param {boolean} [options.force=false] - Force kill (SIGKILL/taskkill /F)
+   * @param {string} [options.host] - Only kill a process that conflicts with this bind host
+   * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both'
    * @returns {Promise<Object>} { killed: boolean, pid?, processName? }
    */
   async killOccupier(port, options = {}) {
-    const occupier = await this.detectOccupier(port);
+    const occupier = await this.detectOccupier(port, { host: options.host, protocol: options.protocol });
 
     if (!occupier) {
       return { killed: false, reason: 'Port not in use' };
@@ -342,8 +1198,16 @@ export class PortManager {
     const killed = await killProcess(occupier.pid, options.force);
 
     if (killed) {
+      this._emitEvent('killed', {
+        port,
+        protocol: occupier.protocol,
+        pid: occupier.pid,
+        processName: occupier.processName,
+        force: options.force === true
+      });
+
       // Also release from registry if it was allocated
-      await this.release(port);
+      await this.release(port, { protocol: occupier.protocol });
     }
 
     return {
@@ -359,15 +1223,56 @@ export class PortManager {
    * @param {Object} [options] - Reserve options
    * @param {boolean} [options.killIfOccupied=false] - Kill process if port is occupied
    * @param {boolean} [options.force=false] - Force kill if killing
-   * @param {Object} [options.metadata] - Metadata to store
+   * @param {Object} [options.metadata] - Metadata to store (app/worktree default to the git checkout)
+   * @param {number|null} [options.pid] - Owning process ID (default: the instance's ownerPid)
+   * @param {string|number} [options.ttl] - Lease duration (e.g. '30m')
+   * @param {string} [options.host] - Address the service will bind (default: metadata.host)
+   * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both'
    * @returns {Promise<Object>} { port, wasOccupied, killed?, occupier? }
+   * @throws {Error} With `reason` set if blocked by the policy or reserved by another
+   *   app/worktree (the occupier is then left alone)
    */
   async reserve(port, options = {}) {
-    const occupier = await this.detectOccupier(port);
+    options = { ...options, metadata: this._withGitContext(options.metadata) };
+    const remote = await this._remote('reserve', [port, { ...options, pid: this._ownerPid(options) }]);
+    if (remote) return remote.result;
+
+    const owner = this._ownerFields(options);
+    const lease = leaseFields(options.ttl);
+    const host = options.host || options.metadata?.host;
+    const metadata = host ? { ...options.metadata, host } : options.metadata || {};
+    const protocol = options.protocol;
+    const policy = this._policy();
+    let reclaimed = [];
+    let allocations = [];
+    const addEntries = (registry) => {
+      allocations = resolveProtocols(protocol).map((entry) => {
+        const info = {
+          allocatedAt: new Date().toISOString(),
+          ...owner,
+          ...lease,
+          metadata
+        };
+        registry.allocations[allocationKey(port, entry)] = info;
+        return { port, protocol: entry, ...info };
+      });
+    };
+    const reserved = (result) => {
+      this._emitReclaimed(reclaimed);
+      this._emitEvent('reserved', { ...result, allocations });
+      return result;
+    };
+
+    // Check before touching the occupier: it may be another workspace's server
+    const snapshot = loadRegistry(this.registryPath);
+    this._autoReclaim(snapshot);
+    this._checkReserve(snapshot, port, protocol, metadata, policy);
+
+    const occupier = await this.detectOccupier(port, { host, protocol });
 
     if (occupier) {
       if (options.killIfOccupied) {
-        const killResult = await this.killOccupier(port, { force: options.force });
+        const killResult = await this.killOccupier(port, { force: options.force, host, protocol });
 
         if (!killResult.killed) {
           throw new Error(
@@ -378,26 +1283,25 @@ export class PortManager {
         // Wait a moment for the port to be released
         await new Promise(resolve => setTimeout(resolve, 500));
 
-        // Verify port is now available
-        const available = await checkPortAvailability(port);
-        if (!available) {
-          throw new Error(`Port ${port} is still not available after killing process`);
-        }
+        // Verify port is now available and add to registry
+        await updateRegistry(this.registryPath, async (registry) => {
+          reclaimed = this._autoReclaim(registry);
+          this._checkReserve(registry, port, protocol, metadata, policy);
 
-        // Add to registry
-        const registry = loadRegistry(this.registryPath);
-        registry.allocations[port] = {
-          allocatedAt: new Date().toISOString(),
-          metadata: options.metadata || {}
-        };
-        saveRegistry(this.registryPath, registry);
+          const available = await checkPortAvailability(port, { host, protocol });
+          if (!available) {
+            throw new Error(`Port ${port} is still not available after killing process`);
+          }
 
-        return {
+          addEntries(registry);
+        });
+
+        return reserved({
           port,
           wasOccupied: true,
           killed: true,
           occupier
-        };
+        });
       } else {
         throw new Error(
           `Port ${port} is occupied by ${occupier.processName} (PID: ${occupier.pid}). Use killIfOccupied option to force.`
@@ -406,82 +1310,271 @@ export class PortManager {
     }
 
     // Port is available, just allocate it
-    const available = await checkPortAvailability(port);
-    if (!available) {
-      throw new Error(`Port ${port} is not available`);
-    }
+    await updateRegistry(this.registryPath, async (registry) => {
+      reclaimed = this._autoReclaim(registry);
+      this._checkReserve(registry, port, protocol, metadata, policy);
 
-    const registry = loadRegistry(this.registryPath);
-    registry.allocations[port] = {
-      allocatedAt: new Date().toISOString(),
-      metadata: options.metadata || {}
-    };
-    saveRegistry(this.registryPath, registry);
+      const available = await checkPortAvailability(port, { host, protocol });
+      if (!available) {
+        throw new Error(`Port ${port} is not available`);
+      }
 
-    return {
+      addEntries(registry);
+    });
+
+    return reserved({
       port,
       wasOccupied: false
-    };
+    });
   }
 
   /**
    * Allocate a group of ports together
    * @param {number} count - Number of ports to allocate
-   * @param {Object} [metadata] - Metadata for the group
-   * @param {Array<string>} [roles] - Role names for each port (e.g., ['frontend', 'backend'])
+   * @param {Object} [metadata] - Metadata for the group (app/worktree default to the git checkout)
+   * @param {Array<string|Object>} [roles] - Role names for each port (e.g., ['frontend', 'backend']),
+   *   or role specs { role, port?, range?, protocol?, host? } overriding the group options per role
+   *   (port is tried before anything else)
+   * @param {Object} [options] - Allocation options
+   * @param {number|null} [options.pid] - Owning process ID (default: the instance's ownerPid)
+   * @param {string|number} [options.ttl] - Lease duration for every port in the group (e.g. '30m')
+   * @param {Object} [options.range] - Port range { start, end } (default: the instance's range)
+   * @param {string} [options.host] - Address the services will bind (default: metadata.host)
+   * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both' for every port in the group
+   * @param {boolean} [options.sticky] - Prefer the ports last given to each app/worktree/role
+   *   (default: the instance's sticky setting)
+   * @param {boolean} [options.contiguous=false] - Allocate a block of consecutive ports
+   *   (base, base+1, ... in role order); fails if no fully free block exists
+   * @param {number} [options.alignment=1] - With contiguous, the block's first port is a multiple of this
+   * @param {string} [options.reuse] - Metadata key (e.g. 'manifest'): if a group with the same value
+   *   is already allocated, return it (with `reused: true`) instead; checked under the same lock
+   * @returns {Promise<Object>} { groupId, ports: {role: port}, metadata, reused? }
+   * @throws {Error} If the ports cannot be allocated (code 'ENOPORTS', or `reason` set if blocked by the policy)
+   */
+  async allocateGroup(count, metadata = {}, roles = [], options = {}) {
+    metadata = this._withGitContext(metadata);
+    const range = options.range || this.defaultRange;
+
+    const remote = await this._remote('allocateGroup', [count, metadata, roles, {
+      ...options,
+      range,
+      pid: this._ownerPid(options),
+      sticky: this._sticky(options)
+    }]);
+    if (remote) return remote.result;
+
+    return this._allocateGroupLocal(count, metadata, roles, { ...options, range });
+  }
+
+  /**
+   * Allocate a group of ports and hand them over already listening
+   *
+   * Like listen(), for a group: every port is bound while the registry is
+   * locked and kept open. Always runs in this process.
+   * @param {number} count - Number of ports to allocate
+   * @param {Object} [metadata] - Metadata for the group (app/worktree default to the git checkout)
+   * @param {Array<string|Object>} [roles] - Role names or specs, as for allocateGroup()
+   * @param {Object} [options] - Allocation options as for allocateGroup() (TCP only)
+   * @returns {Promise<Object>} { groupId, ports: {role: port}, servers: {role: net.Server}, metadata }
+   * @throws {Error} If the group cannot be allocated or a non-TCP protocol is requested
+   */
+  async listenGroup(count, metadata = {}, roles = [], options = {}) {
+    const protocols = roles.map(spec => spec?.protocol).concat(options.protocol);
+    if (protocols.some(protocol => resolveProtocols(protocol).join() !== 'tcp')) {
+      throw new Error('listenGroup() hands over TCP servers only');
+    }
+    if (options.reuse) {
+      throw new Error('listenGroup() cannot reuse an allocated group, since it has no servers to hand over');
+    }
+
+    const servers = new Map();
+    const result = await this._allocateGroupLocal(count, this._withGitContext(metadata), roles, {
+      ...options,
+      range: options.range || this.defaultRange
+    }, servers);
+
+    return {
+      ...result,
+      servers: Object.fromEntries(Object.entries(result.ports).map(([role, port]) => [role, servers.get(port)]))
+    };
+  }
+
+  /**
+   * Allocate a group of ports in this process
+   * @private
+   * @param {number} count - Number of ports to allocate
+   * @param {Object} metadata - Group metadata
+   * @param {Array<string|Object>} roles - Role names or specs
+   * @param {Object} options - Allocation options (see allocateGroup; range is required)
+   * @param {Map<number, net.Server>|null} [servers] - Hold the ports open, filling this map
    * @returns {Promise<Object>} { groupId, ports: {role: port}, metadata }
    */
-  async allocateGroup(count, metadata = {}, roles = []) {
+  async _allocateGroupLocal(count, metadata, roles, options, servers = null) {
+    const range = options.range;
     const groupId = randomUUID();
-    const registry = loadRegistry(this.registryPath);
-    const allocatedPorts = {};
-    const portNumbers = [];
+    const owner = this._ownerFields(options);
+    const lease = leaseFields(options.ttl);
+    const alignment = options.alignment ?? 1;
+    const policy = this._policy();
+    const allowed = port => !checkPort(policy, port, metadata.app);
+    const specs = Array.from({ length: count }, (_, i) => {
+      const spec = typeof roles[i] === 'object' && roles[i] !== null ? roles[i] : { role: roles[i] };
+      const role = spec.role || `port${i + 1}`;
+      return {
+        ...spec,
+        role,
+        host: spec.host || options.host || metadata.host,
+        protocol: spec.protocol || options.protocol,
+        key: this._sticky(options) ? stickyKey(metadata, role) : null
+      };
+    });
 
-    try {
-      // Find consecutive or nearby ports
-      for (let i = 0; i < count; i++) {
-        let allocated = false;
-
-        for (let port = this.defaultRange.start; port <= this.defaultRange.end; port++) {
-          if (registry.allocations[port] || portNumbers.includes(port)) continue;
-
-          const available = await checkPortAvailability(port);
-          if (available) {
-            const role = roles[i] || `port${i + 1}`;
-            portNumbers.push(port);
-            allocatedPorts[role] = port;
-
-            registry.allocations[port] = {
-              allocatedAt: new Date().toISOString(),
-              groupId,
-              role,
-              metadata: { ...metadata }
-            };
-
-            allocated = true;
-            break;
+    if (options.contiguous) {
+      if (!Number.isInteger(alignment) || alignment < 1) {
+        throw Object.assign(new Error(`Invalid alignment: ${options.alignment} (expected a positive integer)`), { code: 'EINVALIDARG' });
+      }
+      if (specs.some(spec => spec.port || spec.range)) {
+        throw Object.assign(new Error('Per-role port or range cannot be combined with contiguous allocation'), { code: 'EINVALIDARG' });
+      }
+    }
+
+    let reclaimed = [];
+    let allocations = [];
+
+    const result = await this._holdingServers(servers, () => updateRegistry(this.registryPath, async (registry) => {
+      reclaimed = this._autoReclaim(registry);
+      allocations = [];
+
+      if (options.reuse) {
+        const existing = this._findGroupBy(registry, options.reuse, metadata[options.reuse]);
+        if (existing) return existing;
+      }
+
+      const quota = checkQuota(policy, registry, metadata, count);
+      if (quota) {
+        throw blockedError(null, quota.reason, quota.message);
+      }
+
+      const allocatedPorts = {};
+      const portNumbers = [];
+      const assign = (spec, port) => {
+        portNumbers.push(port);
+        allocatedPorts[spec.role] = port;
+
+        for (const entry of resolveProtocols(spec.protocol)) {
+          const info = {
+            allocatedAt: new Date().toISOString(),
+            ...owner,
+            ...lease,
+            groupId,
+            role: spec.role,
+            metadata: spec.host ? { ...metadata, host: spec.host } : { ...metadata }
+          };
+          registry.allocations[allocationKey(port, entry)] = info;
+          allocations.push({ port, protocol: entry, ...info });
+        }
+        if (spec.key) rememberPort(registry, spec.key, port);
+      };
+
+      if (options.contiguous) {
+        const blockRange = policyRange(policy, metadata.app, range);
+        const base = await this._findContiguousBlock(registry, specs, blockRange, alignment, allowed);
+
+        if (base === null) {
+          // Throwing discards the whole group: the registry is not saved
+          const aligned = alignment > 1 ? ` aligned to ${alignment}` : '';
+          throw Object.assign(
+            new Error(`Failed to allocate ${count} contiguous ports${aligned} in ${blockRange.start}-${blockRange.end}.`),
+            { code: 'ENOPORTS' }
+          );
+        }
+
+        for (let i = 0; servers && i < count; i++) {
+          const server = await listenOnPort(base + i, specs[i].host);
+          if (!server) {
+            throw Object.assign(new Error(`Port ${base + i} was taken while allocating the block. Try again.`), { code: 'ENOPORTS' });
           }
+          servers.set(base + i, server);
         }
+        specs.forEach((spec, i) => assign(spec, base + i));
+      } else {
+        const groupHost = options.host || metadata.host;
+        const isPlain = spec => !spec.port && !spec.range && !spec.key &&
+          spec.host === groupHost && spec.protocol === options.protocol;
+        const usable = (spec, port) => findAllocationKeys(registry.allocations, port, spec.protocol).length === 0 &&
+          !portNumbers.includes(port) && allowed(port);
+        // Throwing discards the whole group: the registry is not saved
+        const shortBy = found => Object.assign(
+          new Error(`Failed to allocate ${count} ports. Only ${found} were available.`),
+          { code: 'ENOPORTS' }
+        );
 
-        if (!allocated) {
-          // Rollback already allocated ports
-          for (const allocatedPort of portNumbers) {
-            delete registry.allocations[allocatedPort];
+        // Roles with their own port, range, host, protocol or sticky key are placed one at a time...
+        for (const spec of specs.filter(spec => !isPlain(spec))) {
+          const candidates = this._candidatePorts(registry, policyRange(policy, metadata.app, spec.range || range), spec.key);
+          if (spec.port) {
+            candidates.unshift(Number(spec.port));
           }
-          throw new Error(`Failed to allocate ${count} ports. Only ${i} were available.`);
+
+          const [port] = await this._acquirePorts(
+            [...new Set(candidates)].filter(candidate => usable(spec, candidate)),
+            1,
+            this._probeOptions(spec.host, spec.protocol),
+            servers
+          );
+          if (port === undefined) throw shortBy(portNumbers.length);
+          assign(spec, port);
         }
-      }
 
-      saveRegistry(this.registryPath, registry);
+        // ...the rest are collected in a single pass over the range
+        const plain = specs.filter(isPlain);
+        if (plain.length > 0) {
+          const candidates = this._candidatePorts(registry, policyRange(policy, metadata.app, range), null)
+            .filter(port => usable(plain[0], port));
+          const ports = await this._acquirePorts(
+            candidates, plain.length, this._probeOptions(groupHost, options.protocol), servers);
+
+          if (ports.length < plain.length) throw shortBy(portNumbers.length + ports.length);
+          plain.forEach((spec, i) => assign(spec, ports[i]));
+        }
+      }
 
       return {
         groupId,
-        ports: allocatedPorts,
+        // In role order, whichever order the roles were placed in
+        ports: Object.fromEntries(specs.map(spec => [spec.role, allocatedPorts[spec.role]])),
         metadata
       };
-    } catch (error) {
-      throw error;
+    }));
+
+    this._emitReclaimed(reclaimed);
+    if (!result.reused) {
+      this._emitEvent('group-allocated', { ...result, allocations });
     }
+    return result;
+  }
+
+  /**
+   * Find an allocated group by a metadata value
+   * @private
+   * @param {Object} registry - Registry data (already reclaimed)
+   * @param {string} key - Metadata key
+   * @param {*} value - Value the group's metadata must have
+   * @returns {Object|null} { groupId, ports: {role: port}, metadata, reused: true } or null
+   */
+  _findGroupBy(registry, key, value) {
+    const entries = Object.entries(registry.allocations)
+      .filter(([, info]) => info.groupId && info.metadata?.[key] === value);
+    if (value === undefined || entries.length === 0) return null;
+
+    const [, first] = entries[0];
+    const members = entries.filter(([, info]) => info.groupId === first.groupId);
+    return {
+      groupId: first.groupId,
+      ports: Object.fromEntries(members.map(([entryKey, info]) => [info.role, parseAllocationKey(entryKey).port])),
+      metadata: first.metadata,
+      reused: true
+    };
   }
 
   /**
@@ -490,22 +1583,32 @@ export class PortManager {
    * @returns {Promise<Object>} { released: number, ports: Array<number> }
    */
   async releaseGroup(groupId) {
-    const registry = loadRegistry(this.registryPath);
-    const releasedPorts = [];
+    const remote = await this._remote('releaseGroup', [groupId]);
+    if (remote) return remote.result;
+
+    const allocations = await updateRegistry(this.registryPath, (registry) => {
+      const removed = [];
 
-    for (const [port, info] of Object.entries(registry.allocations)) {
-      if (info.groupId === groupId) {
-        releasedPorts.push(Number(port));
-        delete registry.allocations[port];
+      for (const [key, info] of Object.entries(registry.allocations)) {
+        if (info.groupId === groupId) {
+          removed.push(allocationEntry(key, info));
+          delete registry.allocations[key];
+        }
       }
-    }
 
-    saveRegistry(this.registryPath, registry);
+      return removed;
+    });
 
-    return {
+    const releasedPorts = [...new Set(allocations.map(entry => entry.port))];
+    const result = {
       released: releasedPorts.length,
       ports: releasedPorts
     };
+
+    if (allocations.length > 0) {
+      this._emitEvent('group-released', { groupId, ...result, allocations });
+    }
+    return result;
   }
 
   /**
@@ -514,16 +1617,13 @@ export class PortManager {
    * @returns {Array<Object>} Array of port allocations
    */
   getPortsByApp(app) {
-    const registry = loadRegistry(this.registryPath);
+    const registry = this._readRegistry();
     const ports = [];
 
-    for (const [port, info] of Object.entries(registry.allocations)) {
-      // Support both 'app' and 'workspace' (legacy) fields
-      const appName = info.metadata?.app || info.metadata?.workspace;
-
-      if (appName === app) {
+    for (const [key, info] of Object.entries(registry.allocations)) {
+      if (info.metadata?.app === app) {
         ports.push({
-          port: Number(port),
+          ...parseAllocationKey(key),
           ...info
         });
       }
@@ -548,13 +1648,13 @@ export class PortManager {
    * @returns {Array<Object>} Array of port allocations
    */
   getPortsByWorktree(worktree) {
-    const registry = loadRegistry(this.registryPath);
+    const registry = this._readRegistry();
     const ports = [];
 
-    for (const [port, info] of Object.entries(registry.allocations)) {
+    for (const [key, info] of Object.entries(registry.allocations)) {
       if (info.metadata?.worktree === worktree) {
         ports.push({
-          port: Number(port),
+          ...parseAllocationKey(key),
           ...info
         });
       }
@@ -565,15 +1665,24 @@ export class PortManager {
 
   /**
    * Get all ports grouped by app and worktree
-   * @returns {Object} Structured port allocations by app/worktree
+   *
+   * Answered by gosiki-portd from its in-memory registry when it is running.
+   * @returns {Promise<Object>} Structured port allocations by app/worktree
    */
   async getAllGrouped() {
-    const registry = loadRegistry(this.registryPath);
-    const grouped = {};
+    const remote = await this._remote('getAllGrouped', []);
+    if (remote) return remote.result;
 
-    for (const [port, info] of Object.entries(registry.allocations)) {
-      // Support both 'app' and 'workspace' (legacy) fields
-      const app = info.metadata?.app || info.metadata?.workspace || 'default';
+    const registry = this._readRegistry();
+    const grouped = {};
+    // One read of the socket tables and /proc/*/fd for the whole snapshot
+    const owners = isProcAvailable()
+      ? findPortOwners(Object.keys(registry.allocations).map(key => parseAllocationKey(key).port))
+      : undefined;
+
+    for (const [key, info] of Object.entries(registry.allocations)) {
+      const { port, protocol } = parseAllocationKey(key);
+      const app = info.metadata?.app || 'default';
       const worktree = info.metadata?.worktree || 'default';
 
       if (!grouped[app]) {
@@ -584,14 +1693,30 @@ export class PortManager {
       }
 
       // Check if port is actually in use
-      const occupier = await detectOccupier(Number(port));
+      const occupier = await detectOccupier(port, { host: info.metadata?.host, protocol, owners });
+      const readiness = info.readiness || null;
+      let status = occupier ? 'active' : 'free';
+      if (isLeaseExpired(info)) {
+        status = 'expired';
+      } else if (!occupier && !isOwnerAlive(info)) {
+        status = 'stale';
+      } else if (readiness?.state === 'starting' && Date.parse(readiness.deadline) > Date.now()) {
+        // A waitForPort() that died mid-wait stops counting at its deadline
+        status = 'starting';
+      } else if (occupier && readiness?.state === 'ready') {
+        status = 'ready';
+      }
 
       grouped[app][worktree].push({
-        port: Number(port),
-        role: info.role || 'unknown',
+        port,
+        protocol,
+        role: info.role || info.metadata?.label || 'unknown',
         groupId: info.groupId,
         allocatedAt: info.allocatedAt,
-        status: occupier ? 'active' : 'free',
+        ownerPid: info.pid || null,
+        expiresAt: info.expiresAt || null,
+        status,
+        readiness,
         process: occupier || null,
         metadata: info.metadata || {}
       });
@@ -605,10 +1730,10 @@ export class PortManager {
    * @returns {Object} Map of groupId to group info
    */
   getGroups() {
-    const registry = loadRegistry(this.registryPath);
+    const registry = this._readRegistry();
     const groups = {};
 
-    for (const [port, info] of Object.entries(registry.allocations)) {
+    for (const [key, info] of Object.entries(registry.allocations)) {
       if (info.groupId) {
         if (!groups[info.groupId]) {
           groups[info.groupId] = {
@@ -618,7 +1743,7 @@ export class PortManager {
           };
         }
         groups[info.groupId].ports.push({
-          port: Number(port),
+          ...parseAllocationKey(key),
           role: info.role
         });
       }
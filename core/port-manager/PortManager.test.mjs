@@ -0,0 +1,148 @@
+/**
+ * PortManager tests - allocation, groups, owners and events
+ *
+ * @module core/port-manager/PortManager.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { checkPortAvailability } from './probe.mjs';
+import { defer, occupy, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 24000, end: 24099 };
+
+test('allocate hands out distinct ports and release frees them', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+
+  const ports = await Promise.all(Array.from({ length: 8 }, () => pm.allocate(RANGE, { app: 'a' })));
+  assert.equal(new Set(ports).size, 8);
+  assert.equal(pm.listAllocations().length, 8);
+
+  assert.equal(await pm.release(ports[0]), true);
+  assert.equal(await pm.release(ports[0]), false);
+  assert.equal(pm.listAllocations().length, 7);
+});
+
+test('allocate skips ports another process listens on', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  await occupy(t, RANGE.start);
+
+  assert.equal(await pm.allocate({ start: RANGE.start, end: RANGE.start + 1 }), RANGE.start + 1);
+});
+
+test('ports of exited owners are reclaimed', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, autoReclaim: false });
+  const exited = spawnSync(process.execPath, ['-e', '']).pid;
+
+  const port = await pm.allocate(RANGE, {}, { pid: exited });
+  const live = await pm.allocate(RANGE, {}, { pid: process.pid });
+  assert.equal(pm.listAllocations().length, 2);
+
+  const result = await pm.reclaimStale();
+  assert.deepEqual(result, { reclaimed: 1, ports: [port] });
+  assert.deepEqual(pm.listAllocations().map(entry => entry.port), [live]);
+});
+
+test('allocating reclaims ports of exited owners first', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const exited = spawnSync(process.execPath, ['-e', '']).pid;
+  const range = { start: RANGE.start, end: RANGE.start };
+
+  const port = await pm.allocate(range, {}, { pid: exited });
+  assert.equal(await pm.allocate(range), port);
+});
+
+test('the same port number is held on TCP and UDP side by side', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const range = { start: RANGE.start + 10, end: RANGE.start + 10 };
+
+  const tcp = await pm.allocate(range, { app: 'a' });
+  const udp = await pm.allocate(range, { app: 'b' }, { protocol: 'udp' });
+  assert.equal(udp, tcp);
+  await assert.rejects(pm.allocate(range, {}, { protocol: 'both' }), /No available ports/);
+  assert.deepEqual(pm.listAllocations().map(entry => `${entry.port}/${entry.protocol}`).sort(), [`${tcp}/tcp`, `${tcp}/udp`]);
+
+  assert.equal(await pm.release(tcp, { protocol: 'udp' }), true);
+  assert.deepEqual(pm.listAllocations().map(entry => [entry.protocol, entry.metadata.app]), [['tcp', 'a']]);
+});
+
+test('protocol both holds TCP and UDP and releases them together', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+
+  const port = await pm.allocate(RANGE, {}, { protocol: 'both' });
+  assert.deepEqual(pm.listAllocations().map(entry => entry.protocol).sort(), ['tcp', 'udp']);
+  assert.equal(await pm.allocate({ start: port, end: port + 1 }, {}, { protocol: 'udp' }), port + 1);
+
+  assert.equal(await pm.release(port), true);
+  assert.deepEqual(pm.listAllocations().map(entry => entry.port), [port + 1]);
+});
+
+test('contiguous groups skip blocks with a busy port', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, probeConcurrency: 2 });
+  await occupy(t, RANGE.start + 2);
+
+  const group = await pm.allocateGroup(3, { app: 'a' }, ['web', 'api', 'db'], {
+    range: RANGE,
+    contiguous: true
+  });
+
+  assert.deepEqual(group.ports, { web: RANGE.start + 3, api: RANGE.start + 4, db: RANGE.start + 5 });
+});
+
+test('contiguous groups start on the alignment', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const range = { start: RANGE.start + 1, end: RANGE.end };
+  // Taken in the registry, so the first aligned block is not free
+  await pm.allocate({ start: RANGE.start + 9, end: RANGE.start + 9 });
+
+  const group = await pm.allocateGroup(2, {}, ['web', 'api'], { range, contiguous: true, alignment: 8 });
+
+  assert.deepEqual(group.ports, { web: RANGE.start + 16, api: RANGE.start + 17 });
+  await assert.rejects(
+    pm.allocateGroup(2, {}, ['web', 'api'], { range, contiguous: true, alignment: 0 }),
+    /Invalid alignment: 0/
+  );
+});
+
+test('a contiguous group that fits nowhere allocates nothing', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const range = { start: RANGE.start + 20, end: RANGE.start + 24 };
+  await occupy(t, RANGE.start + 22);
+
+  await assert.rejects(
+    pm.allocateGroup(3, {}, ['web', 'api', 'db'], { range, contiguous: true }),
+    /Failed to allocate 3 contiguous ports in 24020-24024/
+  );
+  await assert.rejects(
+    pm.allocateGroup(2, {}, ['web', 'api'], { range: { ...range, start: RANGE.start + 21 }, contiguous: true, alignment: 2 }),
+    /Failed to allocate 2 contiguous ports aligned to 2 in 24021-24024/
+  );
+  assert.deepEqual(pm.listAllocations(), []);
+});
+
+test('listen hands over the port already bound', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+
+  const { port, server } = await pm.listen(RANGE, { app: 'a' });
+  defer(t, () => new Promise(resolve => server.close(resolve)));
+
+  assert.equal(server.address().port, port);
+  assert.equal(await checkPortAvailability(port), false);
+  assert.deepEqual(pm.listAllocations().map(entry => entry.port), [port]);
+  await assert.rejects(pm.listen(RANGE, {}, { protocol: 'udp' }), /hands over TCP servers only/);
+});
+
+test('listenGroup hands over one bound server per role', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+
+  const group = await pm.listenGroup(2, {}, ['web', 'api'], { range: RANGE, contiguous: true });
+  for (const server of Object.values(group.servers)) {
+    defer(t, () => new Promise(resolve => server.close(resolve)));
+  }
+
+  assert.deepEqual(Object.keys(group.servers), ['web', 'api']);
+  assert.equal(group.servers.web.address().port, group.ports.web);
+  assert.equal(group.ports.api, group.ports.web + 1);
+  await assert.rejects(pm.listenGroup(1, {}, ['web'], { reuse: 'manifest' }), /cannot reuse an allocated group/);
+});
@@ -0,0 +1,382 @@
+/**
+ * HTTP API - Gosiki OS
+ *
+ * PortManager over localhost JSON HTTP, for tools that are not written in
+ * Node (Python agents, editor extensions):
+ *
+ *   POST   /allocations               allocate a port
+ *   POST   /groups                    allocate a group
+ *   DELETE /allocations/:port         release a port
+ *   DELETE /groups/:id                release a group
+ *   GET    /allocations?app=&worktree=&group=
+ *   GET    /ports/:port/occupier
+ *
+ * Responses are the status objects from logger.mjs; failures are `error`
+ * objects (HTTP 400 for invalid requests, 503 when no port is free or the
+ * registry stays locked, 500 otherwise), and requests blocked by the policy
+ * or another workspace are `blocked` objects (HTTP 409). Every request needs
+ * `Authorization: Bearer <token>`. While the server runs, its URL and token
+ * are written to `api.json` next to the registry (readable by this user
+ * only), so clients can find it.
+ *
+ * @module core/port-manager/api
+ */
+
+import http from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { readFileSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import {
+  logAllocated,
+  logBlocked,
+  logError,
+  logGroupAllocated,
+  logGroupReleased,
+  logNotInUse,
+  logOccupied,
+  logReleased
+} from './logger.mjs';
+import { LOCAL_HOST, isLocalHost, sendJson } from './web.mjs';
+
+/**
+ * Largest request body accepted (bytes)
+ */
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Get the API discovery file path for a registry
+ * @param {string} registryPath - Registry file path
+ * @returns {string} Path of api.json next to the registry
+ */
+export function getApiInfoPath(registryPath) {
+  return join(dirname(registryPath), 'api.json');
+}
+
+/**
+ * Create an error that is answered with an HTTP status
+ * @private
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with `statusCode` set
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @private
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ * @throws {Error} If the body is too large or not a JSON object
+ */
+async function readJsonBody(request) {
+  let text = '';
+  for await (const chunk of request) {
+    text += chunk;
+    if (text.length > MAX_BODY_SIZE) {
+      throw httpError(413, 'Request body is too large');
+    }
+  }
+  if (!text.trim()) return {};
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Parse a range given as { start, end } or "3000-3999"
+ * @private
+ * @param {Object|string} [range] - Requested range
+ * @returns {Object|undefined} { start, end }, or undefined for the default range
+ * @throws {Error} If the range is malformed
+ */
+function parseRange(range) {
+  if (range === undefined || range === null) return undefined;
+
+  const [start, end] = typeof range === 'string'
+    ? range.split('-').map(Number)
+    : [range.start, range.end];
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > 65535 || start > end) {
+    throw httpError(400, `Invalid range: ${JSON.stringify(range)}`);
+  }
+  return { start, end };
+}
+
+/**
+ * Parse a port from a URL segment
+ * @private
+ * @param {string} value - Path segment
+ * @returns {number} Port number
+ * @throws {Error} If it is not a port number
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (!/^\d+$/.test(value) || port < 1 || port > 65535) {
+    throw httpError(400, `Invalid port: ${value}`);
+  }
+  return port;
+}
+
+/**
+ * Parse the PID of a port's owner from a request body
+ * @private
+ * @param {*} value - body.owner
+ * @returns {number|undefined} PID, or undefined for the default owner
+ * @throws {Error} If it is given but not a positive integer
+ */
+function parseOwner(value) {
+  if (value === undefined || value === null) return undefined;
+  if (!Number.isInteger(value) || value < 1) {
+    throw httpError(400, `Invalid owner: ${JSON.stringify(value)} (expected a PID)`);
+  }
+  return value;
+}
+
+/**
+ * Build allocation metadata from a request body
+ * @private
+ * @param {Object} body - Request body ({ metadata?, app?, worktree? })
+ * @returns {Object} Metadata
+ * @throws {Error} If metadata is given but not a JSON object
+ */
+function bodyMetadata(body) {
+  if (body.metadata !== undefined && body.metadata !== null &&
+    (typeof body.metadata !== 'object' || Array.isArray(body.metadata))) {
+    throw httpError(400, 'metadata must be a JSON object');
+  }
+
+  const metadata = { ...(body.metadata || {}) };
+  if (body.app) metadata.app = body.app;
+  if (body.worktree) metadata.worktree = body.worktree;
+  return metadata;
+}
+
+/**
+ * Build allocation options from a request body
+ * @private
+ * @param {Object} body - Request body
+ * @returns {Object} Options for allocate/allocateGroup
+ * @throws {Error} If the owner is not a PID
+ */
+function bodyOptions(body) {
+  return {
+    ttl: body.ttl ?? undefined,
+    host: body.host ?? undefined,
+    protocol: body.protocol,
+    sticky: body.sticky,
+    // The caller's own PID, so the port is reclaimed once it exits
+    // (default: the instance's owner, the server process for --serve-api)
+    pid: parseOwner(body.owner)
+  };
+}
+
+/**
+ * Get the HTTP status for a failed request
+ * @private
+ * @param {Error} error - Error thrown while handling the request
+ * @returns {number} HTTP status
+ */
+function errorStatus(error) {
+  if (error.statusCode) return error.statusCode;
+  if (error.code === 'EINVALIDARG') return 400;
+  // Every port is taken, or other processes keep the registry locked: worth retrying later
+  if (error.code === 'ENOPORTS' || error.code === 'EREGISTRYLOCKED') return 503;
+  return 500;
+}
+
+/**
+ * Check a bearer token in constant time
+ * @private
+ * @param {string} [header] - Authorization header
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+function isAuthorized(header, token) {
+  const given = Buffer.from(/^Bearer\s+(.+)$/i.exec(header || '')?.[1] || '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Route a request to PortManager
+ * @private
+ * @param {PortManager} pm - Port manager
+ * @param {http.IncomingMessage} request - Request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Array>} [statusCode, body]
+ */
+async function route(pm, request, url) {
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const [resource, id, sub] = segments;
+  const method = request.method;
+
+  if (resource === 'allocations' && segments.length === 1 && method === 'GET') {
+    const filters = { app: url.searchParams.get('app'), worktree: url.searchParams.get('worktree') };
+    const groupId = url.searchParams.get('group');
+    const allocations = pm.listAllocations().filter(entry =>
+      (!filters.app || entry.metadata.app === filters.app) &&
+      (!filters.worktree || entry.metadata.worktree === filters.worktree) &&
+      (!groupId || entry.groupId === groupId));
+
+    return [200, { status: 'list', allocations, message: `Found ${allocations.length} allocated port(s).` }];
+  }
+
+  if (resource === 'allocations' && segments.length === 1 && method === 'POST') {
+    const body = await readJsonBody(request);
+    const port = await pm.allocate(parseRange(body.range), bodyMetadata(body), bodyOptions(body));
+    return [201, logAllocated(port)];
+  }
+
+  if (resource === 'allocations' && segments.length === 2 && method === 'DELETE') {
+    const port = parsePort(id);
+    const released = await pm.release(port, { protocol: url.searchParams.get('protocol') || undefined });
+    return released ? [200, logReleased(port)] : [404, logError(`Port ${port} is not allocated`)];
+  }
+
+  if (resource === 'groups' && segments.length === 1 && method === 'POST') {
+    const body = await readJsonBody(request);
+    const roles = body.roles || [];
+    const count = body.count ?? roles.length;
+    if (!Number.isInteger(count) || count < 1) {
+      throw httpError(400, 'count (or roles) must give at least one port');
+    }
+
+    const result = await pm.allocateGroup(count, bodyMetadata(body), roles, {
+      ...bodyOptions(body),
+      range: parseRange(body.range),
+      contiguous: body.contiguous,
+      alignment: body.alignment
+    });
+    return [201, logGroupAllocated(result)];
+  }
+
+  if (resource === 'groups' && segments.length === 2 && method === 'DELETE') {
+    const result = await pm.releaseGroup(id);
+    return result.released > 0
+      ? [200, logGroupReleased(id, result)]
+      : [404, logError(`Group ${id} has no allocated ports`)];
+  }
+
+  if (resource === 'ports' && sub === 'occupier' && segments.length === 3 && method === 'GET') {
+    const port = parsePort(id);
+    const occupier = await pm.detectOccupier(port, {
+      host: url.searchParams.get('host') || undefined,
+      protocol: url.searchParams.get('protocol') || undefined
+    });
+    return [200, occupier ? logOccupied(port, occupier) : logNotInUse(port)];
+  }
+
+  return [404, logError(`Not found: ${method} ${url.pathname}`)];
+}
+
+/**
+ * Write the discovery file atomically, readable by this user only
+ * @private
+ * @param {string} infoPath - Path of api.json
+ * @param {Object} info - { url, port, token, pid }
+ */
+function writeApiInfo(infoPath, info) {
+  const tmpPath = `${infoPath}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(info, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmpPath, infoPath);
+}
+
+/**
+ * Remove the discovery file, unless another server has replaced it since
+ * @private
+ * @param {string} infoPath - Path of api.json
+ * @param {string} token - This server's token
+ */
+function removeApiInfo(infoPath, token) {
+  try {
+    if (JSON.parse(readFileSync(infoPath, 'utf-8')).token === token) {
+      unlinkSync(infoPath);
+    }
+  } catch {
+    // Already removed or unreadable
+  }
+}
+
+/**
+ * Serve the HTTP API
+ * @param {PortManager} pm - Port manager to serve (create it with detectGit: false, as
+ *   clients name their own app/worktree)
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to serve on (default: one allocated from the range)
+ * @param {Object} [options.range] - Range to allocate the server's port from (default: pm's range)
+ * @param {string} [options.token] - Bearer token (default: GOSIKI_API_TOKEN, else a random token)
+ * @param {string} [options.infoPath] - Discovery file (default: api.json next to the registry)
+ * @returns {Promise<Object>} { port, url, token, infoPath, close } where close() stops the
+ *   server, releases its port and removes the discovery file
+ * @throws {Error} If no port could be allocated for the server
+ */
+export async function serveApi(pm, options = {}) {
+  const token = options.token || process.env.GOSIKI_API_TOKEN || randomBytes(24).toString('hex');
+  const range = options.port ? { start: options.port, end: options.port } : options.range || pm.getRange();
+  const infoPath = options.infoPath || getApiInfoPath(pm.registryPath);
+
+  const { port, server } = await pm.listen(
+    range,
+    { app: 'gosiki-os', worktree: 'api', label: 'api' },
+    { host: LOCAL_HOST, pid: process.pid }
+  );
+  const url = `http://${LOCAL_HOST}:${port}/`;
+
+  const httpServer = http.createServer(async (request, response) => {
+    if (!isLocalHost(request.headers.host, port)) {
+      sendJson(response, 403, logError('Requests must be addressed to localhost'));
+      return;
+    }
+    if (!isAuthorized(request.headers.authorization, token)) {
+      sendJson(response, 401, logError('Missing or invalid bearer token'));
+      return;
+    }
+
+    try {
+      const [statusCode, body] = await route(pm, request, new URL(request.url, url));
+      sendJson(response, statusCode, body);
+    } catch (error) {
+      if (error.reason) {
+        sendJson(response, 409, logBlocked(error.port ?? null, error.reason, error.message));
+      } else {
+        sendJson(response, errorStatus(error), logError(error.message));
+      }
+    }
+  });
+  // httpServer never listens itself, so it cannot track (or close) these connections
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.once('close', () => sockets.delete(socket));
+    httpServer.emit('connection', socket);
+  });
+
+  writeApiInfo(infoPath, { url, port, token, pid: process.pid });
+
+  return {
+    port,
+    url,
+    token,
+    infoPath,
+    close: async () => {
+      const stopped = new Promise(resolve => server.close(resolve));
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      await stopped;
+      removeApiInfo(infoPath, token);
+      await pm.release(port);
+    }
+  };
+}
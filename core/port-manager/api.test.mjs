@@ -0,0 +1,171 @@
+/**
+ * HTTP API tests
+ *
+ * @module core/port-manager/api.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import http from 'http';
+import { serveApi } from './api.mjs';
+import { defer, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 24400, end: 24499 };
+const TOKEN = 'test-token';
+
+/**
+ * Serve the API on a temporary registry, stopped after the test
+ * @param {TestContext} t - Test context
+ * @param {Object} [options] - Extra PortManager options
+ * @returns {Promise<Object>} { pm, api, request(method, path, body?, token?) }
+ */
+async function tempApi(t, options = {}) {
+  const pm = tempPortManager(t, { range: RANGE, ...options });
+  const api = await serveApi(pm, { range: { start: RANGE.end, end: RANGE.end }, token: TOKEN });
+  defer(t, () => api.close());
+
+  // No keep-alive: every test's server reuses the same port
+  const request = (method, path, body, token = TOKEN) => new Promise((resolve, reject) => {
+    const outgoing = http.request(new URL(path, api.url), {
+      method,
+      agent: false,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }
+    }, (response) => {
+      let text = '';
+      response.on('data', (chunk) => {
+        text += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+    });
+    outgoing.on('error', reject);
+    outgoing.end(body && JSON.stringify(body));
+  });
+
+  return { pm, api, request };
+}
+
+test('the discovery file names the server and is removed on close', async (t) => {
+  const { api } = await tempApi(t);
+
+  const info = JSON.parse(readFileSync(api.infoPath, 'utf-8'));
+  assert.equal(info.url, api.url);
+  assert.equal(info.token, TOKEN);
+
+  // An idle keep-alive connection does not hold close() up
+  const agent = new http.Agent({ keepAlive: true });
+  defer(t, () => agent.destroy());
+  await new Promise(resolve => http.get(api.url + 'allocations', { agent }, response => response.resume().on('end', resolve)));
+  const started = Date.now();
+  await api.close();
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(existsSync(api.infoPath), false);
+});
+
+test('requests need the bearer token', async (t) => {
+  const { request } = await tempApi(t);
+
+  const { status, body } = await request('GET', '/allocations', undefined, 'wrong');
+  assert.equal(status, 401);
+  assert.equal(body.status, 'error');
+});
+
+test('ports are allocated, listed and released', async (t) => {
+  const { request } = await tempApi(t);
+
+  const allocated = await request('POST', '/allocations', { app: 'web', worktree: 'main', range: '24400-24410' });
+  assert.equal(allocated.status, 201);
+  assert.equal(allocated.body.status, 'allocated');
+  const { port } = allocated.body;
+
+  const listed = await request('GET', '/allocations?app=web');
+  assert.deepEqual(listed.body.allocations.map(entry => entry.port), [port]);
+
+  assert.equal((await request('DELETE', `/allocations/${port}`)).status, 200);
+  assert.equal((await request('DELETE', `/allocations/${port}`)).status, 404);
+});
+
+test('ports are owned by the server unless the request names an owner', async (t) => {
+  const { pm, request } = await tempApi(t);
+
+  const served = (await request('POST', '/allocations', { range: '24400-24410' })).body.port;
+  const owned = (await request('POST', '/allocations', { range: '24400-24410', owner: 1 })).body.port;
+
+  const owners = Object.fromEntries(pm.listAllocations().map(entry => [entry.port, entry.pid]));
+  assert.equal(owners[served], process.pid);
+  assert.equal(owners[owned], 1);
+});
+
+test('groups are allocated and released together', async (t) => {
+  const { request } = await tempApi(t);
+
+  const group = await request('POST', '/groups', { roles: ['web', 'api'], range: '24400-24410', contiguous: true });
+  assert.equal(group.status, 201);
+  assert.equal(group.body.status, 'group-allocated');
+
+  const released = await request('DELETE', `/groups/${group.body.groupId}`);
+  assert.equal(released.status, 200);
+  assert.equal(released.body.status, 'group-released');
+});
+
+test('policy rejections are reported as blocked', async (t) => {
+  const { request } = await tempApi(t, { policy: { maxPerApp: 1 } });
+  await request('POST', '/allocations', { app: 'web', range: '24400-24410' });
+
+  const { status, body } = await request('POST', '/allocations', { app: 'web', range: '24400-24410' });
+  assert.equal(status, 409);
+  assert.equal(body.status, 'blocked');
+});
+
+test('metadata must be a JSON object', async (t) => {
+  const { pm, request } = await tempApi(t);
+
+  for (const metadata of ['web', 42, ['web'], true]) {
+    const { status, body } = await request('POST', '/allocations', { metadata, range: '24400-24410' });
+    assert.equal(status, 400);
+    assert.equal(body.message, 'metadata must be a JSON object');
+  }
+  assert.equal((await request('POST', '/groups', { roles: ['web'], metadata: 'web' })).status, 400);
+  assert.equal(pm.listAllocations().length, 1);
+
+  const { body } = await request('POST', '/allocations', { metadata: { label: 'web' }, app: 'shop', range: '24400-24410' });
+  const [entry] = pm.listAllocations().filter(allocation => allocation.port === body.port);
+  assert.deepEqual(entry.metadata, { label: 'web', app: 'shop' });
+});
+
+test('owner must be a PID', async (t) => {
+  const { pm, request } = await tempApi(t);
+
+  for (const owner of ['abc', '123', -1, 0, 1.5, true]) {
+    const { status, body } = await request('POST', '/allocations', { owner, range: '24400-24410' });
+    assert.equal(status, 400, JSON.stringify(owner));
+    assert.match(body.message, /^Invalid owner/);
+  }
+  assert.equal((await request('POST', '/groups', { roles: ['web'], owner: 'abc' })).status, 400);
+  assert.equal(pm.listAllocations().length, 1);
+});
+
+test('failures are answered with a status that tells whether to retry', async (t) => {
+  const { pm, request } = await tempApi(t);
+
+  assert.equal((await request('POST', '/allocations', { ttl: '30', range: '24400-24410' })).status, 400);
+  assert.equal((await request('POST', '/allocations', { protocol: 'sctp', range: '24400-24410' })).status, 400);
+  assert.equal((await request('POST', '/groups', { roles: ['web'], contiguous: true, alignment: 0 })).status, 400);
+
+  await request('POST', '/allocations', { range: '24400-24400' });
+  const exhausted = await request('POST', '/allocations', { range: '24400-24400' });
+  assert.equal(exhausted.status, 503);
+  assert.match(exhausted.body.message, /No available ports/);
+
+  const allocate = t.mock.method(pm, 'allocate', async () => {
+    throw Object.assign(new Error('Timed out waiting for registry lock'), { code: 'EREGISTRYLOCKED' });
+  });
+  assert.equal((await request('POST', '/allocations', {})).status, 503);
+
+  allocate.mock.mockImplementation(async () => {
+    throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+  });
+  const failed = await request('POST', '/allocations', {});
+  assert.equal(failed.status, 500);
+  assert.equal(failed.body.status, 'error');
+});
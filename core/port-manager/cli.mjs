@@ -5,13 +5,25 @@
  * Simple CLI interface for AI agents to manage ports
  *
  * Usage:
- *   gosiki-port --allocate [--range 3000-3999] [--metadata key=value]
+ *   gosiki-port up | down | status [--manifest gosiki.ports.json]
+ *   gosiki-port run [--roles frontend,backend] -- <command> [args...]
+ *   gosiki-port mcp
+ *   gosiki-port --allocate [--range 3000-3999] [--metadata key=value] [--ttl 30m]
+ *   gosiki-port --renew 3000 [--ttl 30m]
  *   gosiki-port --reserve 11434 [--kill] [--force]
  *   gosiki-port --probe 3000
+ *   gosiki-port --wait 3000 [--http /health] [--timeout 30s]
  *   gosiki-port --detect 3000
  *   gosiki-port --kill-port 3000 [--force]
  *   gosiki-port --release 3000
+ *   gosiki-port --dashboard [--watch [--interval 2s]]
+ *   gosiki-port --serve-dashboard [--port 3999]
+ *   gosiki-port --serve-api [--port 3998] [--token <token>]
+ *   gosiki-port --events
  *   gosiki-port --list
+ *   gosiki-port --export dotenv --group <id> [--output .env]
+ *   gosiki-port --reclaim
+ *   gosiki-port --registry-repair
  *   gosiki-port --cleanup
  *
  * Examples:
@@ -40,10 +52,21 @@ import {
   logAllocated,
   logBlocked,
   logReleased,
+  logRenewed,
+  logReady,
   logNotInUse,
   logError
 } from './logger.mjs';
-import { formatDashboard } from './dashboard.mjs';
+import { formatDashboard, watchDashboard } from './dashboard.mjs';
+import { formatExport, selectAllocations, writeExportFile } from './export.mjs';
+import { detectGitContext } from './git.mjs';
+import { findManifest, loadManifest, manifestDown, manifestStatus, manifestUp } from './manifest.mjs';
+import { runWithPorts } from './runner.mjs';
+import { serveDashboard } from './web.mjs';
+import { serveApi } from './api.mjs';
+import { serveMcp } from './mcp.mjs';
+import { followEvents } from './events.mjs';
+import { constants as osConstants } from 'os';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -64,6 +87,15 @@ function parseArgs() {
     metadata: {},
     app: null,
     worktree: null,
+    owner: null,
+    ttl: null,
+    host: null,
+    protocol: undefined,
+    sticky: undefined,
+    manifest: null,
+    exec: [],
+    reclaim: true,
+    git: true,
     kill: false,
     force: false,
     json: false,
@@ -75,6 +107,12 @@ function parseArgs() {
 
     if (arg === '--help' || arg === '-h') {
       args.help = true;
+    } else if (['up', 'down', 'status', 'run', 'mcp'].includes(arg) && !args.command) {
+      args.command = arg;
+    } else if (arg === '--') {
+      // Everything after -- is the command for run
+      args.exec = process.argv.slice(i + 1);
+      break;
     } else if (arg === '--allocate') {
       args.command = 'allocate';
     } else if (arg === '--allocate-group') {
@@ -85,12 +123,25 @@ function parseArgs() {
       args.groupId = process.argv[++i];
     } else if (arg === '--dashboard') {
       args.command = 'dashboard';
+    } else if (arg === '--serve-dashboard') {
+      args.command = 'serve-dashboard';
+    } else if (arg === '--serve-api') {
+      args.command = 'serve-api';
+    } else if (arg === '--events') {
+      args.command = 'events';
+    } else if (arg === '--token') {
+      args.token = process.argv[++i];
+    } else if (arg === '--port') {
+      args.port = parseInt(process.argv[++i]);
     } else if (arg === '--reserve') {
       args.command = 'reserve';
       args.port = parseInt(process.argv[++i]);
     } else if (arg === '--probe') {
       args.command = 'probe';
       args.port = parseInt(process.argv[++i]);
+    } else if (arg === '--wait') {
+      args.command = 'wait';
+      args.target = process.argv[++i];
     } else if (arg === '--detect') {
       args.command = 'detect';
       args.port = parseInt(process.argv[++i]);
@@ -100,8 +151,18 @@ function parseArgs() {
     } else if (arg === '--release') {
       args.command = 'release';
       args.port = parseInt(process.argv[++i]);
+    } else if (arg === '--renew') {
+      args.command = 'renew';
+      args.port = parseInt(process.argv[++i]);
     } else if (arg === '--list') {
       args.command = 'list';
+    } else if (arg === '--export') {
+      args.command = 'export';
+      args.format = process.argv[++i];
+    } else if (arg === '--reclaim') {
+      args.command = 'reclaim';
+    } else if (arg === '--registry-repair') {
+      args.command = 'registry-repair';
     } else if (arg === '--cleanup') {
       args.command = 'cleanup';
     } else if (arg === '--range') {
@@ -119,6 +180,44 @@ function parseArgs() {
       const metaStr = process.argv[++i];
       const [key, value] = metaStr.split('=');
       args.metadata[key] = value;
+    } else if (arg === '--owner') {
+      args.owner = parseInt(process.argv[++i]);
+    } else if (arg === '--ttl') {
+      args.ttl = process.argv[++i];
+    } else if (arg === '--watch') {
+      args.watch = true;
+    } else if (arg === '--interval') {
+      args.interval = process.argv[++i];
+    } else if (arg === '--timeout') {
+      args.timeout = process.argv[++i];
+    } else if (arg === '--http') {
+      args.http = process.argv[++i];
+    } else if (arg === '--expect-status') {
+      args.expectStatus = parseInt(process.argv[++i]);
+    } else if (arg === '--host') {
+      args.host = process.argv[++i];
+    } else if (arg === '--protocol') {
+      args.protocol = process.argv[++i];
+    } else if (arg === '--group') {
+      args.groupId = process.argv[++i];
+    } else if (arg === '--output') {
+      args.output = process.argv[++i];
+    } else if (arg === '--overwrite') {
+      args.overwrite = true;
+    } else if (arg === '--manifest') {
+      args.manifest = process.argv[++i];
+    } else if (arg === '--sticky') {
+      args.sticky = true;
+    } else if (arg === '--listen') {
+      args.listen = true;
+    } else if (arg === '--contiguous') {
+      args.contiguous = true;
+    } else if (arg === '--alignment') {
+      args.alignment = parseInt(process.argv[++i]);
+    } else if (arg === '--no-git') {
+      args.git = false;
+    } else if (arg === '--no-reclaim') {
+      args.reclaim = false;
     } else if (arg === '--kill') {
       args.kill = true;
     } else if (arg === '--force') {
@@ -131,6 +230,36 @@ function parseArgs() {
   return args;
 }
 
+/**
+ * Find the port allocated for a role
+ *
+ * The role is looked up in --group, else in --app/--worktree, which default
+ * to the current git checkout.
+ * @param {PortManager} pm - Port manager
+ * @param {string} role - Role name
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Port number
+ * @throws {Error} If no port or more than one port has the role
+ */
+function resolveRolePort(pm, role, args) {
+  const git = !args.groupId && args.git ? detectGitContext() : null;
+  const filter = args.groupId
+    ? { groupId: args.groupId }
+    : { app: args.app || git?.app, worktree: args.worktree || git?.worktree };
+
+  const ports = [...new Set(selectAllocations(pm.listAllocations(), filter)
+    .filter(entry => entry.role === role)
+    .map(entry => entry.port))];
+
+  if (ports.length === 0) {
+    throw new Error(`No port is allocated for role "${role}"`);
+  }
+  if (ports.length > 1) {
+    throw new Error(`Role "${role}" matches ports ${ports.join(', ')}; use --group <id> to pick one`);
+  }
+  return ports[0];
+}
+
 /**
  * Print help message
  */
@@ -140,66 +269,176 @@ Gosiki Port Manager CLI
 ========================
 
 Usage:
-  gosiki-port --allocate [--range 3000-3999] [--app <name>] [--worktree <name>]
-  gosiki-port --allocate-group <count> --roles <role1,role2> [--app <name>] [--worktree <name>]
-  gosiki-port --reserve <port> [--kill] [--force]
-  gosiki-port --probe <port>
-  gosiki-port --detect <port>
-  gosiki-port --kill-port <port> [--force]
-  gosiki-port --release <port>
+  gosiki-port up [--manifest <path>] [--app <name>] [--worktree <name>]
+  gosiki-port down [--manifest <path>]
+  gosiki-port status [--manifest <path>]
+  gosiki-port run [--roles <role1,role2>] [--app <name>] [--ttl <duration>] [--listen] -- <command> [args...]
+  gosiki-port mcp
+  gosiki-port --allocate [--range 3000-3999] [--app <name>] [--worktree <name>] [--ttl <duration>] [--host <addr>] [--protocol <p>] [--sticky]
+  gosiki-port --allocate-group <count> --roles <role1,role2> [--range 3000-3999] [--app <name>] [--worktree <name>] [--ttl <duration>] [--host <addr>] [--protocol <p>] [--sticky] [--contiguous [--alignment <n>]]
+  gosiki-port --reserve <port> [--kill] [--force] [--ttl <duration>] [--host <addr>] [--protocol <p>]
+  gosiki-port --renew <port> [--ttl <duration>]
+  gosiki-port --probe <port> [--host <addr>] [--protocol <p>]
+  gosiki-port --wait <port|role> [--timeout <duration>] [--http <path>] [--expect-status <code>] [--group <id>]
+  gosiki-port --detect <port> [--host <addr>] [--protocol <p>]
+  gosiki-port --kill-port <port> [--force] [--host <addr>] [--protocol <p>]
+  gosiki-port --release <port> [--protocol <p>]
   gosiki-port --release-group <groupId>
-  gosiki-port --dashboard
+  gosiki-port --dashboard [--watch [--interval <duration>]]
+  gosiki-port --serve-dashboard [--port <port>] [--range 3000-3999] [--interval <duration>]
+  gosiki-port --serve-api [--port <port>] [--range 3000-3999] [--token <token>]
+  gosiki-port --events
   gosiki-port --list
+  gosiki-port --export <format> [--group <id> | --app <name> [--worktree <name>]] [--output <file>] [--overwrite]
+  gosiki-port --reclaim
+  gosiki-port --registry-repair
   gosiki-port --cleanup
 
 Commands:
+  up                        Allocate every service in gosiki.ports.json as one group
+  down                      Release the group allocated by up
+  status                    Show the ports allocated for gosiki.ports.json
+  run -- <command>          Allocate, run <command> with PORT (or PORT_<ROLE>) set,
+                            and release when it exits
+  mcp                       Serve port management tools to AI agents over MCP (stdio)
   --allocate                Allocate any available port in range
   --allocate-group <count>  Allocate multiple ports as a group
   --release-group <id>      Release all ports in a group
   --dashboard               Show port allocations dashboard
+  --serve-dashboard         Serve the dashboard as a live web page on 127.0.0.1, with
+                            release buttons, until Ctrl+C
+  --serve-api               Serve the HTTP/JSON API on 127.0.0.1 until Ctrl+C
+  --events                  Stream port changes from every process as NDJSON
+                            (allocated, released, group-*, reserved, killed,
+                            stale-reclaimed, cleanup) until Ctrl+C
   --reserve <port>          Reserve a specific port
   --probe <port>            Check if a port is in use
+  --wait <port|role>        Wait until a service accepts connections (exit 1 on timeout);
+                            a role is looked up in --group, or the current app/worktree
   --detect <port>           Detect which process is using a port
   --kill-port <port>        Kill the process using a port
   --release <port>          Release an allocated port
+  --renew <port>            Extend the lease of a port (or its whole group)
   --list                    List all port allocations
+  --export <format>         Print allocations as dotenv, shell, json or compose
+                            (docker-compose.override.yml ports)
+  --reclaim                 Release allocations whose owner process has exited
+  --registry-repair         Rebuild a corrupted registry from backups and listening ports
   --cleanup                 Remove all allocations from registry
 
 Options:
+  --group <id>              Group to export, or to look up a --wait role in
+  --watch                   With --dashboard, redraw on an interval and mark what changed
+                            (NDJSON snapshots with --json); Ctrl+C to exit
+  --interval <duration>     Refresh interval for --watch and --serve-dashboard (default: 2s)
+  --port <port>             Port for --serve-dashboard/--serve-api (default: allocated from --range)
+  --token <token>           Bearer token for --serve-api (default: GOSIKI_API_TOKEN, else random)
+  --timeout <duration>      How long --wait waits (default: 30s)
+  --http <path>             With --wait, also wait until GET <path> answers 2xx
+  --expect-status <code>    With --http, the exact status to wait for (e.g. 204)
+  --output <file>           Write --export output to a file instead of stdout
+  --overwrite               Replace an existing --output file
+  --manifest <path>         Manifest for up/down/status (default: nearest gosiki.ports.json)
   --range <start-end>       Port range (e.g., 3000-3999)
   --roles <role1,role2>     Role names for group allocation (e.g., frontend,backend)
-  --app <name>              Application name (e.g., miyabi, gosiki, xevaral-bus)
-  --worktree <name>         Worktree name
+  --app <name>              Application name (e.g., miyabi, gosiki, xevaral-bus);
+                            default: the git remote's repository name
+  --worktree <name>         Worktree name; default: the current git branch
   --metadata <k=v>          Add metadata to allocation
+  --owner <pid>             Owning process; the port is reclaimed once it exits
+  --ttl <duration>          Lease duration (e.g. 90s, 30m, 2h); expires unless renewed
+  --host <addr>             Address the service binds (e.g. 127.0.0.1, ::1, localhost);
+                            default: must be free on all IPv4/IPv6 wildcard and loopback addresses
+  --protocol <p>            tcp (default), udp, or both (same port on TCP and UDP)
+  --sticky                  Prefer the same port for the same app/worktree/role across restarts
+  --listen                  With run, pass the ports to the command as listening sockets
+                            (fd 3, 4, ...; LISTEN_FDS/LISTEN_FDNAMES/LISTEN_PID like systemd)
+  --contiguous              Allocate a group as consecutive ports (base, base+1, ...) in role order
+  --alignment <n>           With --contiguous, start the block at a multiple of n (e.g. 10 → 3010)
+  --no-git                  Don't detect --app/--worktree from the git checkout
+  --no-reclaim              Don't reclaim allocations of exited owners while allocating
   --kill                    Kill occupier when reserving
   --force                   Force kill process (SIGKILL/taskkill /F)
   --json                    Output in JSON format (AI-readable)
   --help, -h                Show this help message
 
 Examples:
+  # Allocate the ports declared in ./gosiki.ports.json, and release them again
+  gosiki-port up
+  gosiki-port down
+
+  # Run a dev server on an allocated port (PORT), released when it exits
+  gosiki-port run --app miyabi -- npm run dev
+
+  # Hand the command its port already bound (fd 3), so nothing can take it first
+  gosiki-port run --listen -- node server.js
+
+  # Let an agent manage ports as MCP tools (configure this as its MCP server command)
+  node core/port-manager/cli.mjs mcp
+
+  # Run a stack with PORT_FRONTEND and PORT_BACKEND
+  gosiki-port run --roles frontend,backend --app miyabi -- npm run dev:all
+
   # Allocate any available port
   gosiki-port --allocate --app gosiki --worktree feature/ports
 
   # Allocate group for frontend + backend
   gosiki-port --allocate-group 3 --roles frontend,backend,test --app miyabi
 
+  # Allocate a 30 minute lease and renew it as a heartbeat
+  gosiki-port --allocate --app gosiki --ttl 30m
+  gosiki-port --renew 3000
+
   # Show dashboard
   gosiki-port --dashboard
 
+  # Keep a live dashboard open while agents start and stop services
+  gosiki-port --dashboard --watch --interval 1s
+
+  # Open the dashboard in a browser tab instead
+  gosiki-port --serve-dashboard
+
+  # Let a Python agent allocate over HTTP (URL and token are written to api.json)
+  gosiki-port --serve-api
+
+  # React to port changes in an orchestrator instead of polling --list
+  gosiki-port --events | jq -c 'select(.event == "allocated")'
+
   # Reserve port 11434 (fail if occupied)
   gosiki-port --reserve 11434
 
   # Reserve port 11434 and kill occupier if needed
   gosiki-port --reserve 11434 --kill
 
+  # Allocate a port that only needs to be free on IPv4 loopback
+  gosiki-port --allocate --app gosiki --host 127.0.0.1
+
+  # Get the same ports back every time this worktree starts
+  gosiki-port --allocate-group 2 --roles frontend,backend --app miyabi --worktree feature/ui --sticky
+
+  # Allocate app, debug and HMR ports as a block starting at a multiple of 10
+  gosiki-port --allocate-group 3 --roles app,debug,hmr --app miyabi --contiguous --alignment 10
+
+  # Allocate a UDP port for a local DNS stub
+  gosiki-port --allocate --app dns --protocol udp
+
   # Check who's using port 3000
   gosiki-port --detect 3000
 
+  # Start a backend and wait for its health check instead of sleeping
+  gosiki-port --wait backend --http /health --timeout 60s
+
   # Kill process on port 3000
   gosiki-port --kill-port 3000
 
   # List all allocations
   gosiki-port --list
+
+  # Write a group's ports to .env as PORT_FRONTEND=..., PORT_BACKEND=...
+  gosiki-port --export dotenv --group <id> --output .env
+
+  # Load an app's ports into the current shell
+  eval "$(gosiki-port --export shell --app miyabi --worktree main)"
 `);
 }
 
@@ -214,7 +453,16 @@ async function main() {
     process.exit(0);
   }
 
-  const pm = new PortManager();
+  // The CLI exits right away, so it only records an owner when asked to.
+  // The MCP and API servers live as long as their clients' sessions: ports
+  // handed out through them are owned by the server unless a client names an owner.
+  // API clients name their own app/worktree, so the server's checkout is not used.
+  const serving = args.command === 'mcp' || args.command === 'serve-api';
+  const pm = new PortManager({
+    ownerPid: args.owner || (serving ? process.pid : null),
+    autoReclaim: args.reclaim,
+    detectGit: args.git && args.command !== 'serve-api'
+  });
 
   try {
     // Build metadata from app/worktree if provided
@@ -226,8 +474,107 @@ async function main() {
     }
 
     switch (args.command) {
+      case 'mcp':
+        // stdout carries the protocol; nothing else may be printed there
+        await serveMcp(pm);
+        break;
+
+      case 'run': {
+        if (args.exec.length === 0) {
+          const errorData = logError('run requires a command after --');
+          console.error(formatOutput(errorData, args.json));
+          process.exit(1);
+        }
+
+        const [command, ...commandArgs] = args.exec;
+        const result = await runWithPorts(pm, command, commandArgs, {
+          roles: args.roles,
+          range: args.range || undefined,
+          metadata: args.metadata,
+          ttl: args.ttl ?? undefined,
+          protocol: args.protocol,
+          host: args.host ?? undefined,
+          sticky: args.sticky,
+          contiguous: args.contiguous,
+          alignment: args.alignment ?? undefined,
+          listen: args.listen,
+          onAllocated: ({ ports, env }) => {
+            // stderr, so the command's own stdout stays clean
+            if (args.json) {
+              console.error(JSON.stringify({ status: 'running', command: args.exec, ports, env }));
+            } else {
+              const vars = Object.entries(env).map(([name, port]) => `${name}=${port}`).join(' ');
+              console.error(`Gosiki OS: Running ${args.exec.join(' ')} with ${vars}`);
+            }
+          }
+        });
+
+        process.exitCode = result.signal
+          ? 128 + (osConstants.signals[result.signal] || 0)
+          : result.code ?? 0;
+        break;
+      }
+
+      case 'up':
+      case 'down':
+      case 'status': {
+        const manifestPath = args.manifest || findManifest();
+        if (!manifestPath) {
+          const errorData = logError(`No gosiki.ports.json found in ${process.cwd()} or its parents`);
+          console.error(formatOutput(errorData, args.json));
+          process.exit(1);
+        }
+
+        const manifest = loadManifest(manifestPath);
+
+        if (args.command === 'up') {
+          const result = await manifestUp(pm, manifest, { app: args.app, worktree: args.worktree });
+
+          if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+          } else {
+            console.log(result.alreadyUp
+              ? `Gosiki OS: ${result.metadata.app}/${result.metadata.worktree} is already up (group ${result.groupId})`
+              : `Gosiki OS: Allocated ${result.metadata.app}/${result.metadata.worktree} as group ${result.groupId}`);
+            for (const [role, port] of Object.entries(result.ports)) {
+              console.log(`  ${role}: ${port}`);
+            }
+          }
+        } else if (args.command === 'down') {
+          const result = await manifestDown(pm, manifest);
+
+          if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+          } else if (!result.groupId) {
+            console.log(`Gosiki OS: Nothing is allocated for ${manifest.path}`);
+          } else {
+            console.log(`Gosiki OS: Released ${result.released} port(s) from group ${result.groupId}`);
+            console.log(`  Ports: ${result.ports.join(', ')}`);
+          }
+        } else {
+          const result = await manifestStatus(pm, manifest);
+
+          if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+          } else {
+            console.log(`Gosiki OS: ${result.app}/${result.worktree} is ${result.groupId ? `up (group ${result.groupId})` : 'down'}`);
+            for (const service of result.services) {
+              const port = service.port ? `${service.port}/${service.protocol}` : '-';
+              const processInfo = service.process ? ` ${service.process.processName} (PID ${service.process.pid})` : '';
+              console.log(`  ${service.role.padEnd(10)} ${port.padEnd(9)}  ${service.status}${processInfo}`);
+            }
+          }
+        }
+        break;
+      }
+
       case 'allocate': {
-        const port = await pm.allocate(args.range, args.metadata);
+        const port = await pm.allocate(args.range || undefined, args.metadata, {
+          ttl: args.ttl ?? undefined,
+          host: args.host ?? undefined,
+          protocol: args.protocol,
+          sticky: args.sticky
+        });
         const logData = logAllocated(port);
         console.log(formatOutput(logData, args.json));
         break;
@@ -240,7 +587,15 @@ async function main() {
           process.exit(1);
         }
 
-        const result = await pm.allocateGroup(args.count, args.metadata, args.roles);
+        const result = await pm.allocateGroup(args.count, args.metadata, args.roles, {
+          range: args.range || undefined,
+          ttl: args.ttl ?? undefined,
+          host: args.host ?? undefined,
+          protocol: args.protocol,
+          sticky: args.sticky,
+          contiguous: args.contiguous,
+          alignment: args.alignment ?? undefined
+        });
 
         if (args.json) {
           console.log(JSON.stringify(result, null, 2));
@@ -272,11 +627,89 @@ async function main() {
       }
 
       case 'dashboard': {
+        if (args.watch) {
+          const stop = watchDashboard(pm, { interval: args.interval ?? undefined, json: args.json });
+          for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => {
+              stop();
+              process.exit(0);
+            });
+          }
+          break;
+        }
+
         const grouped = await pm.getAllGrouped();
         console.log(formatDashboard(grouped, args.json));
         break;
       }
 
+      case 'serve-dashboard': {
+        const dashboard = await serveDashboard(pm, {
+          port: args.port ?? undefined,
+          range: args.range || undefined,
+          interval: args.interval ?? undefined
+        });
+
+        if (args.json) {
+          console.log(JSON.stringify({ status: 'serving', port: dashboard.port, url: dashboard.url }, null, 2));
+        } else {
+          console.log(`Gosiki OS: Dashboard running at ${dashboard.url} (Ctrl+C to stop)`);
+        }
+
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+          process.once(signal, async () => {
+            await dashboard.close();
+            process.exit(0);
+          });
+        }
+        break;
+      }
+
+      case 'serve-api': {
+        const api = await serveApi(pm, {
+          port: args.port ?? undefined,
+          range: args.range || undefined,
+          token: args.token
+        });
+
+        if (args.json) {
+          console.log(JSON.stringify({ status: 'serving', port: api.port, url: api.url, infoPath: api.infoPath }, null, 2));
+        } else {
+          console.log(`Gosiki OS: API listening at ${api.url} (Ctrl+C to stop)`);
+          console.log(`  URL and token written to ${api.infoPath}`);
+        }
+
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+          process.once(signal, async () => {
+            await api.close();
+            process.exit(0);
+          });
+        }
+        break;
+      }
+
+      case 'events': {
+        // Always NDJSON, one event per line, whatever --json says
+        const stop = followEvents(pm.eventLogPath, (record) => {
+          process.stdout.write(JSON.stringify(record) + '\n');
+        }, {
+          onError: error => console.error(formatOutput(logError(error.message), args.json))
+        });
+
+        // The reader went away (e.g. `| head`)
+        process.stdout.on('error', () => {
+          stop();
+          process.exit(0);
+        });
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+          process.once(signal, () => {
+            stop();
+            process.exit(0);
+          });
+        }
+        break;
+      }
+
       case 'reserve': {
         if (!args.port) {
           const errorData = logError('--reserve requires a port number');
@@ -287,7 +720,10 @@ async function main() {
         const result = await pm.reserve(args.port, {
           killIfOccupied: args.kill,
           force: args.force,
-          metadata: args.metadata
+          metadata: args.metadata,
+          ttl: args.ttl ?? undefined,
+          host: args.host ?? undefined,
+          protocol: args.protocol
         });
 
         const logData = logReserved(result.port, result);
@@ -302,7 +738,7 @@ async function main() {
           process.exit(1);
         }
 
-        const result = await pm.probe(args.port);
+        const result = await pm.probe(args.port, { host: args.host ?? undefined, protocol: args.protocol });
         const logData = result.inUse
           ? { status: 'in-use', port: args.port, message: 'Port is currently in use.' }
           : logNotInUse(args.port);
@@ -310,6 +746,25 @@ async function main() {
         break;
       }
 
+      case 'wait': {
+        if (!args.target) {
+          const errorData = logError('--wait requires a port number or role');
+          console.error(formatOutput(errorData, args.json));
+          process.exit(1);
+        }
+
+        const port = /^\d+$/.test(args.target) ? Number(args.target) : resolveRolePort(pm, args.target, args);
+        const result = await pm.waitForPort(port, {
+          timeout: args.timeout ?? undefined,
+          http: args.http,
+          expectStatus: Number.isNaN(args.expectStatus) ? undefined : args.expectStatus,
+          host: args.host ?? undefined,
+          protocol: args.protocol
+        });
+        console.log(formatOutput(logReady(port, result), args.json));
+        break;
+      }
+
       case 'detect': {
         if (!args.port) {
           const errorData = logError('--detect requires a port number');
@@ -317,7 +772,7 @@ async function main() {
           process.exit(1);
         }
 
-        const occupier = await pm.detectOccupier(args.port);
+        const occupier = await pm.detectOccupier(args.port, { host: args.host ?? undefined, protocol: args.protocol });
         const logData = occupier
           ? logOccupied(args.port, occupier)
           : logNotInUse(args.port);
@@ -332,7 +787,11 @@ async function main() {
           process.exit(1);
         }
 
-        const result = await pm.killOccupier(args.port, { force: args.force });
+        const result = await pm.killOccupier(args.port, {
+          force: args.force,
+          host: args.host ?? undefined,
+          protocol: args.protocol
+        });
         const logData = result.killed
           ? logTerminated(args.port, result)
           : logNotInUse(args.port);
@@ -347,12 +806,25 @@ async function main() {
           process.exit(1);
         }
 
-        await pm.release(args.port);
+        await pm.release(args.port, { protocol: args.protocol });
         const logData = logReleased(args.port);
         console.log(formatOutput(logData, args.json));
         break;
       }
 
+      case 'renew': {
+        if (!args.port) {
+          const errorData = logError('--renew requires a port number');
+          console.error(formatOutput(errorData, args.json));
+          process.exit(1);
+        }
+
+        const result = await pm.renew(args.port, { ttl: args.ttl ?? undefined });
+        const logData = logRenewed(args.port, result.expiresAt);
+        console.log(formatOutput(logData, args.json));
+        break;
+      }
+
       case 'list': {
         const allocations = pm.listAllocations();
         const logData = {
@@ -364,8 +836,81 @@ async function main() {
         break;
       }
 
+      case 'export': {
+        // Without a selection, export the current git worktree's ports
+        const git = !args.groupId && !args.app && args.git ? detectGitContext() : null;
+        if (git) {
+          args.app = git.app;
+          args.worktree = args.worktree || git.worktree;
+        }
+        if (!args.groupId && !args.app) {
+          const errorData = logError('--export requires --group <id> or --app <name> outside a git checkout');
+          console.error(formatOutput(errorData, args.json));
+          process.exit(1);
+        }
+
+        const allocations = selectAllocations(pm.listAllocations(), {
+          groupId: args.groupId,
+          app: args.app,
+          worktree: args.worktree
+        });
+        if (allocations.length === 0) {
+          throw new Error('No allocations match the given --group/--app/--worktree');
+        }
+
+        const content = formatExport(allocations, args.format);
+
+        if (!args.output) {
+          process.stdout.write(content);
+        } else {
+          writeExportFile(args.output, content, { overwrite: args.overwrite });
+          const ports = [...new Set(allocations.map(entry => entry.port))];
+
+          if (args.json) {
+            console.log(JSON.stringify({ status: 'exported', format: args.format, output: args.output, ports }, null, 2));
+          } else {
+            console.log(`Gosiki OS: Exported ${ports.length} port(s) to ${args.output} (${args.format})`);
+          }
+        }
+        break;
+      }
+
+      case 'reclaim': {
+        const result = await pm.reclaimStale();
+
+        if (args.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          console.log(`Gosiki OS: Reclaimed ${result.reclaimed} stale port(s)`);
+          if (result.ports.length > 0) {
+            console.log(`  Ports: ${result.ports.join(', ')}`);
+          }
+        }
+        break;
+      }
+
+      case 'registry-repair': {
+        const result = await pm.repairRegistry();
+
+        if (args.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else if (result.status === 'healthy') {
+          console.log(`Gosiki OS: Registry is healthy (${result.allocations} allocation(s)). Nothing to repair.`);
+        } else {
+          console.log('Gosiki OS: Registry repaired.');
+          console.log(`  Corrupted file kept as: ${result.quarantinedTo}`);
+          if (result.restoredFrom) {
+            console.log(`  Restored from: ${result.restoredFrom}`);
+          }
+          console.log(`  Restored: ${result.restored.join(', ') || 'none'}`);
+          console.log(`  Recovered (still listening): ${result.recovered.join(', ') || 'none'}`);
+          console.log(`  Lost: ${result.lost.join(', ') || 'none'}`);
+        }
+        break;
+      }
+
       case 'cleanup': {
-        pm.cleanup();
+        await pm.cleanup();
         const logData = {
           status: 'cleanup',
           message: 'All port allocations have been cleared.'
@@ -380,7 +925,10 @@ async function main() {
         process.exit(1);
     }
   } catch (error) {
-    const errorData = logError(error.message);
+    // Policy rejections and ports held by another workspace carry a reason
+    const errorData = error.reason
+      ? logBlocked(error.port ?? args.port, error.reason, error.message)
+      : logError(error.message);
     console.error(formatOutput(errorData, args.json));
     process.exit(1);
   }
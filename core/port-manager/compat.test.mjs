@@ -0,0 +1,106 @@
+/**
+ * Compatibility tests - the npx API in src/index.js and the installed gosiki-port command
+ *
+ * @module core/port-manager/compat.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { PortManager } from './PortManager.mjs';
+import { MANIFEST_FILENAME } from './manifest.mjs';
+import { defer, tempDir, tempRegistryPath } from './test-helpers.mjs';
+
+const RANGE = { start: 25500, end: 25599 };
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const BIN = join(ROOT, JSON.parse(readFileSync(join(ROOT, 'package.json'), 'utf-8')).bin['gosiki-port']);
+
+/**
+ * Point the default registry at a temporary file for the rest of the test
+ * @param {TestContext} t - Test context
+ * @returns {string} Registry path
+ */
+function tempDefaultRegistry(t) {
+  const registryPath = tempRegistryPath(t);
+  const previous = process.env.GOSIKI_REGISTRY_PATH;
+  process.env.GOSIKI_REGISTRY_PATH = registryPath;
+  defer(t, () => {
+    if (previous === undefined) delete process.env.GOSIKI_REGISTRY_PATH;
+    else process.env.GOSIKI_REGISTRY_PATH = previous;
+  });
+  return registryPath;
+}
+
+/**
+ * Run the installed gosiki-port command
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - { cwd, registryPath }
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function runBin(args, { cwd, registryPath }) {
+  return new Promise((resolve) => {
+    const env = { ...process.env, GOSIKI_REGISTRY_PATH: registryPath };
+    execFile(process.execPath, [BIN, ...args], { cwd, env, timeout: 20000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('acquirePort, releasePort and listAllocations answer from the PortManager registry', async (t) => {
+  const registryPath = tempDefaultRegistry(t);
+  t.mock.method(console, 'log', () => {});
+  const { acquirePort, listAllocations, releasePort } = await import('../../src/index.js');
+  const pm = new PortManager({ registryPath, daemon: false, detectGit: false });
+
+  const port = await acquirePort(RANGE.start, 10, 'web');
+  const [entry] = pm.listAllocations();
+  assert.equal(entry.port, port);
+  assert.equal(entry.pid, process.pid);
+  assert.equal(entry.metadata.label, 'web');
+
+  const other = await pm.allocate(RANGE, { app: 'other' });
+  assert.deepEqual(await listAllocations(), pm.listAllocations().map(({ port, protocol, allocatedAt, pid }) => ({
+    port,
+    protocol,
+    allocatedAt,
+    pid
+  })));
+
+  assert.equal(await releasePort(other), true);
+  assert.equal(await releasePort(other), false);
+  assert.deepEqual(pm.listAllocations().map(allocation => allocation.port), [port]);
+});
+
+test('the installed command keeps the npx usage and runs the other commands through the CLI', async (t) => {
+  const dir = tempDir(t, 'gosiki-compat-');
+  const registryPath = join(dir, 'port-registry.json');
+  const options = { cwd: dir, registryPath };
+  const pm = new PortManager({ registryPath, daemon: false, detectGit: false });
+  writeFileSync(join(dir, MANIFEST_FILENAME), JSON.stringify({
+    app: 'shop',
+    worktree: 'main',
+    range: `${RANGE.start + 10}-${RANGE.start + 19}`,
+    services: { web: {}, api: {} }
+  }));
+
+  const legacy = await runBin([String(RANGE.start), '--label', 'npx'], options);
+  assert.equal(legacy.code, 0);
+  assert.match(legacy.stdout, new RegExp(`Port ${RANGE.start} acquired ✓ \\[npx\\]`));
+
+  const up = await runBin(['up', '--json'], options);
+  assert.equal(up.code, 0, up.stderr);
+  const group = pm.listAllocations().filter(entry => entry.metadata.app === 'shop');
+  assert.deepEqual(group.map(entry => entry.role).sort(), ['api', 'web']);
+
+  const run = await runBin(['run', '--no-git', '--range', `${RANGE.start + 20}-${RANGE.end}`, '--',
+    process.execPath, '-e', 'console.log(`PORT=${process.env.PORT}`)'], options);
+  assert.equal(run.code, 0, run.stderr);
+  assert.match(run.stdout, new RegExp(`^PORT=${RANGE.start + 20}$`, 'm'));
+
+  const down = await runBin(['down'], options);
+  assert.equal(down.code, 0, down.stderr);
+  assert.deepEqual(pm.listAllocations().filter(entry => entry.metadata.app === 'shop'), []);
+});
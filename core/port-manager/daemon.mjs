@@ -0,0 +1,361 @@
+/**
+ * Port Allocation Daemon - Gosiki OS
+ *
+ * Optional long-running authority for a registry. Requests arrive over a
+ * local socket (a Unix domain socket, or a named pipe on Windows) as
+ * newline-delimited JSON. Changes are executed one at a time, so its
+ * clients never race each other. The daemon holds the registry in memory
+ * and answers reads (listAllocations, getGroups, getAllGrouped) from it
+ * without waiting for queued changes; the file is only re-read once its
+ * stamp shows a write replaced it. Changes still take the registry lock
+ * and are saved to the file, since processes running without the daemon
+ * write it too. The daemon also watches owning processes and releases
+ * their ports as soon as they exit.
+ *
+ * Protocol (one JSON object per line):
+ *   → { "id": 1, "method": "allocate", "params": [range, metadata, options], "client": { ... } }
+ *   ← { "id": 1, "result": 3000, "events": [{ "event": "allocated", ... }] }
+ *   ← { "id": 1, "error": { "message": "No available ports in range 3000-3999", "code": "ENOPORTS" } }
+ *   ← { "id": 1, "error": { "message": "...", "reason": "app-quota-exceeded", "port": null } }
+ *
+ * `client` carries the calling PortManager's own settings (autoReclaim,
+ * probeConcurrency, prefilter, eventLog, policy) and its PID, which the
+ * request runs with instead of the daemon's and records as the source of
+ * its events.
+ *
+ * Every change is still persisted to the shared registry file, so readers
+ * and clients running without the daemon see the same allocations. Events
+ * the request emitted are returned with the result, so the client can emit
+ * them on its own PortManager.
+ *
+ * @module core/port-manager/daemon
+ */
+
+import net from 'net';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, unlinkSync } from 'fs';
+import { dirname } from 'path';
+import os from 'os';
+import { PORT_EVENTS } from './events.mjs';
+import { normalizePolicy } from './policy.mjs';
+
+/**
+ * Methods a client may call, mapped to PortManager methods
+ */
+const DAEMON_METHODS = [
+  'allocate',
+  'allocateGroup',
+  'reserve',
+  'release',
+  'releaseGroup',
+  'renew',
+  'setOwner',
+  'reclaimStale',
+  'cleanup',
+  'listAllocations',
+  'getGroups',
+  'getAllGrouped'
+];
+
+/**
+ * Methods answered from the daemon's in-memory registry, outside the queue
+ */
+const READ_METHODS = ['listAllocations', 'getGroups', 'getAllGrouped'];
+
+/**
+ * Methods that reclaim ports of exited owners when the client's autoReclaim is on
+ */
+const ALLOCATING_METHODS = ['allocate', 'allocateGroup', 'reserve'];
+
+/**
+ * How long a client waits for a response
+ */
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+/**
+ * Get the daemon socket path for a registry
+ * @param {string} registryPath - Path to registry file
+ * @returns {string} Unix socket path or Windows named pipe
+ */
+export function getDaemonSocketPath(registryPath) {
+  if (os.platform() === 'win32') {
+    const hash = createHash('sha1').update(registryPath).digest('hex').slice(0, 12);
+    return `\\\\.\\pipe\\gosiki-portd-${hash}`;
+  }
+  return `${registryPath}.sock`;
+}
+
+/**
+ * Send one request to the daemon
+ * @param {string} socketPath - Daemon socket path
+ * @param {string} method - Method name
+ * @param {Array} [params] - Method arguments
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeout=30000] - Response timeout in ms
+ * @param {Object} [options.client] - Calling PortManager's settings to run the request with
+ * @returns {Promise<Object|null>} { result, events } or null if no daemon is listening
+ * @throws {Error} If the daemon answered with an error, timed out or closed the connection
+ *   without answering (code 'EDAEMONRESPONSE' if the response could not be parsed,
+ *   'EDAEMONCLOSED' if it never came)
+ */
+export function requestDaemon(socketPath, method, params = [], options = {}) {
+  const timeout = options.timeout || DEFAULT_REQUEST_TIMEOUT;
+
+  return new Promise((resolve, reject) => {
+    if (os.platform() !== 'win32' && !existsSync(socketPath)) {
+      resolve(null);
+      return;
+    }
+
+    const socket = net.createConnection(socketPath);
+    let connected = false;
+    let buffer = '';
+
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new Error(`Gosiki port daemon did not answer ${method} within ${timeout}ms`));
+    });
+
+    socket.once('connect', () => {
+      connected = true;
+      socket.write(JSON.stringify({ id: 1, method, params, ...(options.client && { client: options.client }) }) + '\n');
+    });
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+
+      socket.end();
+      let response;
+      try {
+        response = JSON.parse(buffer.slice(0, newline));
+      } catch (cause) {
+        const error = new Error(`Gosiki port daemon sent an invalid response to ${method}: ${cause.message}`);
+        error.code = 'EDAEMONRESPONSE';
+        reject(error);
+        return;
+      }
+      if (response.error) {
+        // Keep the policy reason so callers can report it as blocked
+        const { message, ...details } = response.error;
+        reject(Object.assign(new Error(message), details));
+      } else {
+        resolve({ result: response.result, events: response.events || [] });
+      }
+    });
+
+    socket.once('error', (error) => {
+      // Nothing listening (or a socket left by a crashed daemon): fall back
+      if (!connected && ['ENOENT', 'ECONNREFUSED', 'ENOTSOCK'].includes(error.code)) {
+        resolve(null);
+        return;
+      }
+      reject(error);
+    });
+
+    // Settles nothing if a response, error or timeout came first
+    socket.once('close', () => {
+      const error = new Error(`Gosiki port daemon closed the connection without answering ${method}`);
+      error.code = 'EDAEMONCLOSED';
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Check whether a daemon is serving a socket
+ * @param {string} socketPath - Daemon socket path
+ * @returns {Promise<Object|null>} Daemon status or null if not running
+ */
+export async function pingDaemon(socketPath) {
+  try {
+    const response = await requestDaemon(socketPath, 'ping', [], { timeout: 2000 });
+    return response ? response.result : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the PortManager a client's request runs on
+ * @private
+ * @param {PortManager} pm - The daemon's PortManager
+ * @param {Object} client - Settings sent by the client ({ autoReclaim, probeConcurrency, prefilter, eventLog, policy, pid })
+ * @returns {PortManager} File-backed PortManager with the client's settings
+ */
+function clientPortManager(pm, client) {
+  const instance = new pm.constructor({
+    registryPath: pm.registryPath,
+    config: pm.config,
+    range: pm.getRange(),
+    ownerPid: null,
+    daemon: false,
+    sticky: pm.sticky,
+    // The client has filled in its own git context already
+    detectGit: false,
+    autoReclaim: client.autoReclaim ?? pm.autoReclaim,
+    probeConcurrency: client.probeConcurrency ?? pm.probeConcurrency,
+    prefilter: client.prefilter ?? pm.prefilter,
+    eventLog: client.eventLog ?? pm.eventLogPath ?? false,
+    eventSource: client.pid ?? pm.eventSource
+  });
+  instance.policy = client.policy ? normalizePolicy(client.policy) : pm.policy;
+  return instance;
+}
+
+/**
+ * Start the daemon
+ * @param {Object} options - Daemon options
+ * @param {PortManager} options.portManager - File-backed PortManager (with daemon: false);
+ *   its registry is kept in memory from now on (cacheRegistry)
+ * @param {string} [options.socketPath] - Socket path (default: derived from the registry path)
+ * @param {number} [options.watchInterval=500] - Owner check interval in ms (0 disables)
+ * @param {Function} [options.onLog] - Called with human-readable log lines
+ * @returns {Promise<Object>} { socketPath, close }
+ * @throws {Error} If another daemon already serves the socket
+ */
+export async function startDaemon(options) {
+  const pm = options.portManager;
+  const socketPath = options.socketPath || getDaemonSocketPath(pm.registryPath);
+  const watchInterval = options.watchInterval ?? 500;
+  const log = options.onLog || (() => {});
+  const startedAt = new Date().toISOString();
+
+  // Reads are answered from memory, re-read only after a write replaced the file
+  pm.cacheRegistry = true;
+
+  if (await pingDaemon(socketPath)) {
+    throw new Error(`Gosiki port daemon is already running on ${socketPath}`);
+  }
+
+  if (os.platform() !== 'win32') {
+    // Remove a socket file left behind by a daemon that crashed
+    if (existsSync(socketPath)) {
+      unlinkSync(socketPath);
+    }
+    mkdirSync(dirname(socketPath), { recursive: true });
+  }
+
+  // Changes run strictly one after another
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  let server;
+  let watcher = null;
+
+  const close = () => new Promise((resolve) => {
+    if (watcher) clearInterval(watcher);
+    server.close(() => resolve());
+  });
+
+  /**
+   * Execute a single request
+   * @param {Object} request - { method, params, client? }
+   * @returns {Promise<Object>} { result, events } with the events the call emitted
+   * @throws {Error} If the method is unknown, or the client's settings can't be honoured
+   */
+  const dispatch = async ({ method, params = [], client }) => {
+    if (method === 'ping') {
+      return { result: { pid: process.pid, registryPath: pm.registryPath, socketPath, startedAt }, events: [] };
+    }
+    if (method === 'shutdown') {
+      setImmediate(() => close().then(() => log('Daemon stopped')));
+      return { result: { stopping: true }, events: [] };
+    }
+    if (!DAEMON_METHODS.includes(method)) {
+      throw new Error(`Unknown daemon method: ${method}`);
+    }
+    if (client?.autoReclaim === false && watchInterval > 0 && ALLOCATING_METHODS.includes(method)) {
+      throw new Error(
+        `autoReclaim: false cannot be honoured: gosiki-portd reclaims ports of exited owners every ${watchInterval}ms. ` +
+        'Start it with --watch-interval 0, or use new PortManager({ daemon: false }).'
+      );
+    }
+
+    if (READ_METHODS.includes(method)) {
+      return { result: await pm[method](...params), events: [] };
+    }
+
+    const target = client ? clientPortManager(pm, client) : pm;
+
+    // Requests run one at a time, so everything emitted meanwhile belongs to this one
+    return enqueue(async () => {
+      const events = [];
+      const collect = record => events.push(record);
+      PORT_EVENTS.forEach(event => target.on(event, collect));
+      try {
+        return { result: await target[method](...params), events };
+      } finally {
+        PORT_EVENTS.forEach(event => target.off(event, collect));
+      }
+    });
+  };
+
+  server = net.createServer((socket) => {
+    let buffer = '';
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (!line.trim()) continue;
+
+        let request;
+        try {
+          request = JSON.parse(line);
+        } catch {
+          socket.write(JSON.stringify({ id: null, error: { message: 'Invalid JSON request' } }) + '\n');
+          continue;
+        }
+
+        dispatch(request)
+          .then(({ result, events }) => ({ id: request.id, result, ...(events.length > 0 && { events }) }))
+          .catch(error => ({
+            id: request.id,
+            error: error.reason
+              ? { message: error.message, reason: error.reason, port: error.port }
+              : { message: error.message, ...(error.code && { code: error.code }) }
+          }))
+          .then((response) => {
+            if (!socket.destroyed) {
+              socket.write(JSON.stringify(response) + '\n');
+            }
+          });
+      }
+    });
+
+    socket.on('error', () => {
+      // Client went away mid-request
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, resolve);
+  });
+
+  if (watchInterval > 0) {
+    watcher = setInterval(() => {
+      // The registry lock is only taken once an owner has actually exited
+      enqueue(() => (pm.hasDeadOwners() ? pm.reclaimStale() : { reclaimed: 0, ports: [] }))
+        .then((result) => {
+          if (result.reclaimed > 0) {
+            log(`Reclaimed port(s) of exited owners: ${result.ports.join(', ')}`);
+          }
+        })
+        .catch(error => log(`Owner check failed: ${error.message}`));
+    }, watchInterval);
+  }
+
+  log(`Daemon listening on ${socketPath} (registry: ${pm.registryPath})`);
+
+  return { socketPath, close };
+}
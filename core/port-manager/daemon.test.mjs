@@ -0,0 +1,171 @@
+/**
+ * Daemon tests - forwarding, in-memory reads, client settings and fallback
+ *
+ * @module core/port-manager/daemon.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { readFileSync } from 'fs';
+import net from 'net';
+import { PortManager } from './PortManager.mjs';
+import { getDaemonSocketPath, pingDaemon, requestDaemon, startDaemon } from './daemon.mjs';
+import { getEventLogPath } from './events.mjs';
+import { defer, sleep, tempRegistryPath } from './test-helpers.mjs';
+
+const RANGE = { start: 24600, end: 24699 };
+
+/**
+ * Start a daemon on a temporary registry, stopped after the test
+ * @param {TestContext} t - Test context
+ * @param {Object} [options] - Daemon options (default watchInterval: 0)
+ * @returns {Promise<Object>} { registryPath, portManager, daemon, client(options?) }
+ */
+async function tempDaemon(t, options = {}) {
+  const registryPath = tempRegistryPath(t);
+  const portManager = new PortManager({ registryPath, range: RANGE, daemon: false, detectGit: false });
+  const daemon = await startDaemon({ portManager, watchInterval: 0, ...options });
+  defer(t, () => daemon.close());
+
+  return {
+    registryPath,
+    portManager,
+    daemon,
+    client: clientOptions => new PortManager({ registryPath, range: RANGE, detectGit: false, ...clientOptions })
+  };
+}
+
+/**
+ * Serve a fake daemon socket for a temporary registry, closed after the test
+ * @param {TestContext} t - Test context
+ * @param {Function} onConnection - Called with each client socket
+ * @returns {Promise<string>} Registry path the fake daemon serves
+ */
+async function fakeDaemon(t, onConnection) {
+  const registryPath = tempRegistryPath(t);
+  const server = net.createServer(onConnection);
+  await new Promise(resolve => server.listen(getDaemonSocketPath(registryPath), resolve));
+  defer(t, () => new Promise(resolve => server.close(resolve)));
+  return registryPath;
+}
+
+test('the daemon answers pings and refuses a second instance', async (t) => {
+  const { registryPath, daemon } = await tempDaemon(t);
+
+  const status = await pingDaemon(daemon.socketPath);
+  assert.equal(status.pid, process.pid);
+  assert.equal(status.registryPath, registryPath);
+  await assert.rejects(
+    startDaemon({ portManager: new PortManager({ registryPath, daemon: false }), watchInterval: 0 }),
+    /already running/
+  );
+});
+
+test('forwarded changes are saved, emitted and logged with the caller as source', async (t) => {
+  const { registryPath, client } = await tempDaemon(t);
+  const pm = client({ eventSource: 4242 });
+  const seen = [];
+  pm.on('allocated', record => seen.push(record));
+
+  const port = await pm.allocate(RANGE, { app: 'web' });
+
+  assert.deepEqual(new PortManager({ registryPath, daemon: false }).listAllocations().map(entry => entry.port), [port]);
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].source, 4242);
+  const logged = readFileSync(getEventLogPath(registryPath), 'utf-8').trim().split('\n').map(JSON.parse);
+  assert.deepEqual(logged.map(record => [record.event, record.source]), [['allocated', 4242]]);
+});
+
+test('the dashboard is answered by the daemon', async (t) => {
+  const { portManager, client } = await tempDaemon(t);
+  const pm = client();
+  const served = t.mock.method(portManager, 'getAllGrouped');
+
+  const port = await pm.allocate(RANGE, { app: 'web', worktree: 'main' });
+  const grouped = await pm.getAllGrouped();
+
+  assert.equal(served.mock.callCount(), 1);
+  assert.deepEqual(grouped.web.main.map(entry => entry.port), [port]);
+});
+
+test('reads come from memory and follow writes made without the daemon', async (t) => {
+  const { registryPath, portManager, daemon, client } = await tempDaemon(t);
+  const list = async () => (await requestDaemon(daemon.socketPath, 'listAllocations')).result.map(entry => entry.port);
+
+  const first = await client().allocate(RANGE);
+  assert.deepEqual(await list(), [first]);
+  // The same registry object answers both reads
+  assert.equal(portManager.listAllocations()[0].metadata, portManager.listAllocations()[0].metadata);
+
+  const second = await new PortManager({ registryPath, range: RANGE, daemon: false, detectGit: false }).allocate(RANGE);
+  assert.deepEqual((await list()).sort(), [first, second].sort());
+});
+
+test('requests run with the caller\'s policy', async (t) => {
+  const { client } = await tempDaemon(t);
+  const pm = client({ policy: { exclude: ['24600-24602'] } });
+
+  assert.equal(await pm.allocate(RANGE), 24603);
+  assert.equal(await client().allocate(RANGE), 24600);
+});
+
+test('failures keep their error code', async (t) => {
+  const { client } = await tempDaemon(t);
+  const pm = client();
+  await pm.allocate({ start: RANGE.start, end: RANGE.start });
+
+  await assert.rejects(pm.allocate({ start: RANGE.start, end: RANGE.start }), { code: 'ENOPORTS' });
+  await assert.rejects(pm.allocate(RANGE, {}, { protocol: 'sctp' }), { code: 'EINVALIDARG' });
+});
+
+test('requests run with the caller\'s event log setting', async (t) => {
+  const { registryPath, client } = await tempDaemon(t);
+
+  await client({ eventLog: false }).allocate(RANGE);
+  assert.throws(() => readFileSync(getEventLogPath(registryPath)), { code: 'ENOENT' });
+});
+
+test('autoReclaim: false is refused while the daemon checks owners', async (t) => {
+  const { client } = await tempDaemon(t, { watchInterval: 60000 });
+
+  await assert.rejects(client({ autoReclaim: false }).allocate(RANGE), /autoReclaim: false cannot be honoured/);
+  assert.ok(await client().allocate(RANGE));
+});
+
+test('the owner check only reclaims, and takes the lock, once an owner has exited', async (t) => {
+  const { portManager } = await tempDaemon(t, { watchInterval: 20 });
+  const reclaims = t.mock.method(portManager, 'reclaimStale');
+  const alive = await portManager.allocate(RANGE, {}, { pid: process.pid });
+
+  await sleep(200);
+  assert.equal(reclaims.mock.callCount(), 0);
+
+  const exited = spawnSync(process.execPath, ['-e', '']).pid;
+  await portManager.allocate(RANGE, {}, { pid: exited });
+  const deadline = Date.now() + 5000;
+  while (portManager.listAllocations().length > 1 && Date.now() < deadline) await sleep(20);
+
+  assert.deepEqual(portManager.listAllocations().map(entry => entry.port), [alive]);
+  assert.ok(reclaims.mock.callCount() >= 1);
+});
+
+test('a daemon that answers garbage is bypassed', async (t) => {
+  const registryPath = await fakeDaemon(t, socket => socket.resume().end('not json\n'));
+
+  const pm = new PortManager({ registryPath, range: RANGE, detectGit: false });
+  const port = await pm.allocate(RANGE);
+
+  assert.deepEqual(pm.listAllocations().map(entry => entry.port), [port]);
+});
+
+test('a daemon that hangs up without answering fails the request at once', async (t) => {
+  const registryPath = await fakeDaemon(t, socket => socket.once('data', () => socket.destroy()));
+  const started = Date.now();
+
+  await assert.rejects(
+    requestDaemon(getDaemonSocketPath(registryPath), 'allocate', [RANGE]),
+    { code: 'EDAEMONCLOSED', message: /closed the connection without answering allocate/ }
+  );
+  assert.ok(Date.now() - started < 5000);
+});
@@ -1,32 +1,230 @@
 /**
  * Port Manager Dashboard - Gosiki OS
  *
- * Terminal visualization for port allocations
+ * Terminal visualization for port allocations. watchDashboard() redraws it
+ * in place and marks what changed since the previous refresh.
  *
  * @module core/port-manager/dashboard
  */
 
+import { parseDuration } from './lease.mjs';
+
+/**
+ * Default refresh interval of watchDashboard (ms)
+ */
+export const DEFAULT_WATCH_INTERVAL = 2000;
+
+/**
+ * ANSI colors per kind of change
+ */
+const CHANGE_COLORS = {
+  new: '\x1b[32m',
+  status: '\x1b[33m',
+  restarted: '\x1b[33m',
+  exited: '\x1b[31m',
+  released: '\x1b[2m'
+};
+
+const RESET = '\x1b[0m';
+
+/**
+ * Status labels shown in the human-readable dashboard
+ */
+const STATUS_LABELS = {
+  starting: '[STARTING]',
+  ready: '[READY]   ',
+  active: '[ACTIVE]  ',
+  free: '[FREE]    ',
+  stale: '[STALE]   ',
+  expired: '[EXPIRED] '
+};
+
+/**
+ * Format a port status label
+ * @private
+ * @param {string} status - Port status from getAllGrouped()
+ * @returns {string} Fixed-width status label
+ */
+function formatStatus(status) {
+  return STATUS_LABELS[status] || STATUS_LABELS.free;
+}
+
+/**
+ * Format a port with its protocol (e.g. "3000/tcp")
+ * @private
+ * @param {Object} portInfo - Port entry from getAllGrouped()
+ * @returns {string} Fixed-width port label
+ */
+function formatPort(portInfo) {
+  return `${portInfo.port}/${portInfo.protocol || 'tcp'}`.padEnd(9);
+}
+
+/**
+ * Order port entries by port, then protocol
+ * @private
+ * @param {Object} a - Port entry
+ * @param {Object} b - Port entry
+ * @returns {number} Sort order
+ */
+function comparePorts(a, b) {
+  return a.port - b.port || String(a.protocol).localeCompare(String(b.protocol));
+}
+
+/**
+ * Key identifying a port entry across refreshes
+ * @private
+ * @param {Object} portInfo - Port entry
+ * @returns {string} e.g. '3000/tcp'
+ */
+function entryKey(portInfo) {
+  return `${portInfo.port}/${portInfo.protocol || 'tcp'}`;
+}
+
+/**
+ * Index port entries by key
+ * @private
+ * @param {Object} grouped - Grouped port data
+ * @returns {Map<string, Object>} Entries with their app and worktree
+ */
+function indexEntries(grouped) {
+  const entries = new Map();
+  for (const [app, worktrees] of Object.entries(grouped)) {
+    for (const [worktree, ports] of Object.entries(worktrees)) {
+      for (const portInfo of ports) {
+        entries.set(entryKey(portInfo), { ...portInfo, app, worktree });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Count port entries by status
+ * @private
+ * @param {Object} grouped - Grouped port data
+ * @returns {Object} { total, [status]: count } (statuses without entries are missing)
+ */
+function countByStatus(grouped) {
+  const counts = { total: 0 };
+  for (const worktrees of Object.values(grouped)) {
+    for (const ports of Object.values(worktrees)) {
+      for (const portInfo of ports) {
+        counts.total++;
+        counts[portInfo.status] = (counts[portInfo.status] || 0) + 1;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Find what changed between two dashboard snapshots
+ * @param {Object} previous - Earlier getAllGrouped() result
+ * @param {Object} current - Later getAllGrouped() result
+ * @returns {Object} Map of '3000/tcp' to a change:
+ *   { change: 'new' } for new allocations,
+ *   { change: 'exited', pid, processName } when the listening process went away,
+ *   { change: 'restarted', pid, processName, previousPid } when another process listens now,
+ *   { change: 'status', from, to } for other status changes,
+ *   { change: 'released', port, protocol, app, worktree, role } for allocations that are gone
+ */
+export function diffDashboard(previous, current) {
+  const before = indexEntries(previous);
+  const after = indexEntries(current);
+  const changes = {};
+
+  for (const [key, entry] of after) {
+    const old = before.get(key);
+
+    if (!old) {
+      changes[key] = { change: 'new' };
+    } else if (old.process?.pid && !entry.process?.pid) {
+      changes[key] = { change: 'exited', pid: old.process.pid, processName: old.process.processName };
+    } else if (old.process?.pid && old.process.pid !== entry.process.pid) {
+      changes[key] = {
+        change: 'restarted',
+        pid: entry.process.pid,
+        processName: entry.process.processName,
+        previousPid: old.process.pid
+      };
+    } else if (old.status !== entry.status) {
+      changes[key] = { change: 'status', from: old.status, to: entry.status };
+    }
+  }
+
+  for (const [key, old] of before) {
+    if (!after.has(key)) {
+      const { port, protocol, app, worktree, role } = old;
+      changes[key] = { change: 'released', port, protocol, app, worktree, role };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Describe a change next to a port line
+ * @private
+ * @param {Object} change - Change from diffDashboard()
+ * @returns {string} e.g. '← now ACTIVE (was FREE)'
+ */
+function describeChange(change) {
+  switch (change.change) {
+    case 'new':
+      return '← new';
+    case 'exited':
+      return `← ${change.processName || 'process'} (PID ${change.pid ?? 'unknown'}) exited`;
+    case 'restarted':
+      return `← restarted as ${change.processName || 'process'} (PID ${change.pid}, was ${change.previousPid})`;
+    case 'status':
+      return `← now ${change.to.toUpperCase()} (was ${change.from.toUpperCase()})`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Append a change marker to a port line
+ * @private
+ * @param {string} line - Port line
+ * @param {Object} [change] - Change from diffDashboard()
+ * @param {boolean} color - Whether to color the line
+ * @returns {string} Line with the change marked
+ */
+function markChange(line, change, color) {
+  if (!change) return line;
+
+  const marked = `${line.trimEnd()}  ${describeChange(change)}`;
+  return color ? `${CHANGE_COLORS[change.change]}${marked}${RESET}` : marked;
+}
+
 /**
  * Format dashboard output
  * @param {Object} grouped - Grouped port data from getAllGrouped()
  * @param {boolean} jsonMode - Whether to output JSON
+ * @param {Object} [options] - Formatting options
+ * @param {Object} [options.changes] - Changes from diffDashboard() to mark
+ * @param {boolean} [options.color=false] - Color changed lines with ANSI escapes
  * @returns {string} Formatted dashboard
  */
-export function formatDashboard(grouped, jsonMode = false) {
+export function formatDashboard(grouped, jsonMode = false, options = {}) {
   if (jsonMode) {
     return JSON.stringify({ apps: grouped }, null, 2);
   }
 
-  return formatHumanDashboard(grouped);
+  return formatHumanDashboard(grouped, options);
 }
 
 /**
  * Format human-readable dashboard
  * @private
  * @param {Object} grouped - Grouped port data
+ * @param {Object} options - { changes, color } (see formatDashboard)
  * @returns {string} Human-readable dashboard
  */
-function formatHumanDashboard(grouped) {
+function formatHumanDashboard(grouped, options) {
+  const changes = options.changes || {};
+  const color = Boolean(options.color);
   const lines = [];
 
   lines.push('');
@@ -36,9 +234,12 @@ function formatHumanDashboard(grouped) {
 
   const apps = Object.keys(grouped);
 
+  const released = Object.values(changes).filter(change => change.change === 'released');
+
   if (apps.length === 0) {
     lines.push('No ports currently allocated.');
     lines.push('');
+    lines.push(...formatReleased(released, color));
     return lines.join('\n');
   }
 
@@ -69,52 +270,159 @@ function formatHumanDashboard(grouped) {
 
       // Display grouped ports
       for (const [groupId, groupPorts] of Object.entries(groupedPorts)) {
-        for (const portInfo of groupPorts.sort((a, b) => a.port - b.port)) {
-          const status = portInfo.status === 'active' ? '[ACTIVE]' : '[FREE]  ';
+        for (const portInfo of groupPorts.sort(comparePorts)) {
+          const status = formatStatus(portInfo.status);
           const processInfo = portInfo.process
             ? `${portInfo.process.processName} (PID ${portInfo.process.pid})`
             : '';
           const roleDisplay = portInfo.role.padEnd(10);
 
-          lines.push(`     ${roleDisplay} ${portInfo.port}  ${status} ${processInfo}`);
+          const line = `     ${roleDisplay} ${formatPort(portInfo)}  ${status} ${processInfo}`;
+          lines.push(markChange(line, changes[entryKey(portInfo)], color));
         }
       }
 
       // Display ungrouped ports
-      for (const portInfo of ungroupedPorts.sort((a, b) => a.port - b.port)) {
-        const status = portInfo.status === 'active' ? '[ACTIVE]' : '[FREE]  ';
+      for (const portInfo of ungroupedPorts.sort(comparePorts)) {
+        const status = formatStatus(portInfo.status);
         const processInfo = portInfo.process
           ? `${portInfo.process.processName} (PID ${portInfo.process.pid})`
           : '';
         const roleDisplay = (portInfo.role || 'port').padEnd(10);
 
-        lines.push(`     ${roleDisplay} ${portInfo.port}  ${status} ${processInfo}`);
+        const line = `     ${roleDisplay} ${formatPort(portInfo)}  ${status} ${processInfo}`;
+        lines.push(markChange(line, changes[entryKey(portInfo)], color));
       }
 
       lines.push('');
     }
   }
 
-  // Summary
-  const totalPorts = Object.values(grouped).reduce((sum, workspace) => {
-    return sum + Object.values(workspace).reduce((wsum, ports) => wsum + ports.length, 0);
-  }, 0);
+  lines.push(...formatReleased(released, color));
 
-  const activePorts = Object.values(grouped).reduce((sum, workspace) => {
-    return sum + Object.values(workspace).reduce((wsum, ports) => {
-      return wsum + ports.filter(p => p.status === 'active').length;
-    }, 0);
-  }, 0);
+  // Summary
+  const {
+    total: totalPorts,
+    active: activePorts = 0,
+    ready: readyPorts = 0,
+    starting: startingPorts = 0,
+    stale: stalePorts = 0,
+    expired: expiredPorts = 0
+  } = countByStatus(grouped);
 
   lines.push('Summary:');
   lines.push(`  Total allocated: ${totalPorts}`);
   lines.push(`  Active: ${activePorts}`);
-  lines.push(`  Free: ${totalPorts - activePorts}`);
+  if (readyPorts > 0) {
+    lines.push(`  Ready (readiness check passed): ${readyPorts}`);
+  }
+  if (startingPorts > 0) {
+    lines.push(`  Starting (waiting to come up): ${startingPorts}`);
+  }
+  lines.push(`  Free: ${totalPorts - activePorts - readyPorts - startingPorts - stalePorts - expiredPorts}`);
+  if (stalePorts > 0) {
+    lines.push(`  Stale (owner exited): ${stalePorts}`);
+  }
+  if (expiredPorts > 0) {
+    lines.push(`  Expired (lease ran out): ${expiredPorts}`);
+  }
   lines.push('');
 
   return lines.join('\n');
 }
 
+/**
+ * Format the allocations released since the previous refresh
+ * @private
+ * @param {Array<Object>} released - 'released' changes from diffDashboard()
+ * @param {boolean} color - Whether to color the lines
+ * @returns {Array<string>} Lines (none if nothing was released)
+ */
+function formatReleased(released, color) {
+  if (released.length === 0) return [];
+
+  const lines = ['Released since last refresh:'];
+  for (const entry of released.sort(comparePorts)) {
+    const line = `     ${(entry.role || 'port').padEnd(10)} ${formatPort(entry)}  ${entry.app}/${entry.worktree}`;
+    lines.push(color ? `${CHANGE_COLORS.released}${line}${RESET}` : line);
+  }
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Redraw the dashboard on an interval until stopped
+ *
+ * On a terminal the dashboard is redrawn in place and changed lines are
+ * colored (unless NO_COLOR is set); otherwise each refresh is appended. In
+ * JSON mode each refresh is one line: { at, apps, changes }.
+ * @param {PortManager} pm - Port manager to read from
+ * @param {Object} [options] - Watch options
+ * @param {string|number} [options.interval='2s'] - Refresh interval
+ * @param {boolean} [options.json=false] - Write NDJSON snapshots
+ * @param {stream.Writable} [options.stream=process.stdout] - Output stream
+ * @param {Function} [options.onError] - Called when a refresh fails (default: shown in the output)
+ * @returns {Function} Stop function (restores the cursor); called by itself if the stream errors
+ */
+export function watchDashboard(pm, options = {}) {
+  const interval = parseDuration(options.interval ?? DEFAULT_WATCH_INTERVAL);
+  const stream = options.stream || process.stdout;
+  const tty = Boolean(stream.isTTY) && !options.json;
+  const color = tty && !process.env.NO_COLOR;
+  let previous = null;
+  let timer = null;
+  let stopped = false;
+
+  const refresh = async () => {
+    try {
+      const grouped = await pm.getAllGrouped();
+      const changes = previous ? diffDashboard(previous, grouped) : {};
+      previous = grouped;
+      if (stopped) return;
+
+      if (options.json) {
+        stream.write(JSON.stringify({ at: new Date().toISOString(), apps: grouped, changes }) + '\n');
+      } else {
+        const footer = `Refreshed ${new Date().toLocaleTimeString()} every ${interval / 1000}s. Press Ctrl+C to exit.`;
+        const text = `${formatDashboard(grouped, false, { changes, color })}\n${footer}\n`;
+        // Home, overwrite each line, then clear whatever the last frame left below
+        stream.write(tty ? `\x1b[H${text.replace(/\n/g, '\x1b[K\n')}\x1b[J` : text);
+      }
+    } catch (error) {
+      if (stopped) return;
+      if (options.onError) {
+        options.onError(error);
+      } else {
+        stream.write(`Gosiki OS: Error - ${error.message}\n`);
+      }
+    }
+
+    if (!stopped) {
+      timer = setTimeout(refresh, interval);
+    }
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timer);
+    stream.off('error', stop);
+    if (tty) {
+      stream.write('\x1b[?25h');
+    }
+  };
+
+  // A closed pipe (e.g. `| head`) ends the watch instead of crashing
+  stream.on('error', stop);
+
+  if (tty) {
+    stream.write('\x1b[?25l\x1b[2J');
+  }
+  refresh();
+
+  return stop;
+}
+
 /**
  * Format compact port list
  * @param {Object} grouped - Grouped port data
@@ -126,8 +434,10 @@ export function formatCompact(grouped) {
   for (const [workspace, worktrees] of Object.entries(grouped)) {
     for (const [worktree, ports] of Object.entries(worktrees)) {
       for (const portInfo of ports) {
-        const status = portInfo.status === 'active' ? '●' : '○';
-        lines.push(`${status} ${portInfo.port} [${workspace}/${worktree}] ${portInfo.role}`);
+        const status = ['active', 'ready'].includes(portInfo.status)
+          ? '●'
+          : portInfo.status === 'starting' ? '◐' : ['stale', 'expired'].includes(portInfo.status) ? '×' : '○';
+        lines.push(`${status} ${portInfo.port}/${portInfo.protocol || 'tcp'} [${workspace}/${worktree}] ${portInfo.role}`);
       }
     }
   }
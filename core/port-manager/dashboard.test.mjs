@@ -0,0 +1,152 @@
+/**
+ * Dashboard tests - snapshots, diffs and the live watch
+ *
+ * @module core/port-manager/dashboard.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { syncBuiltinESMExports } from 'module';
+import { PassThrough } from 'stream';
+import { diffDashboard, watchDashboard } from './dashboard.mjs';
+import { isProcAvailable } from './sockets.mjs';
+import { defer, occupy, sleep, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 25100, end: 25199 };
+
+/**
+ * Build a getAllGrouped() snapshot with one app and worktree
+ * @param {...Object} entries - Port entries ({ port, status, process? })
+ * @returns {Object} Grouped port data
+ */
+function snapshot(...entries) {
+  return { web: { main: entries.map(entry => ({ protocol: 'tcp', role: 'web', ...entry })) } };
+}
+
+/**
+ * Collect what a watch writes, one chunk per refresh
+ * @param {TestContext} t - Test context
+ * @param {PortManager} pm - Port manager to watch
+ * @param {Object} [options] - Extra watchDashboard options
+ * @returns {Object} { chunks, stream, stop, next(count) } where next waits for `count` chunks
+ */
+function watch(t, pm, options = {}) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(String(chunk)));
+  const stop = watchDashboard(pm, { interval: '50ms', stream, ...options });
+  defer(t, stop);
+
+  return {
+    chunks,
+    stream,
+    stop,
+    next: async (count) => {
+      const deadline = Date.now() + 5000;
+      while (chunks.length < count && Date.now() < deadline) await sleep(10);
+      assert.ok(chunks.length >= count, `expected ${count} refreshes, got ${chunks.length}`);
+      return chunks[count - 1];
+    }
+  };
+}
+
+test('diffDashboard reports new, exited, restarted, changed and released ports', () => {
+  const previous = snapshot(
+    { port: 3000, status: 'active', process: { pid: 11, processName: 'node' } },
+    { port: 3001, status: 'free' },
+    { port: 3002, status: 'free' },
+    { port: 3003, status: 'free' },
+    { port: 3005, status: 'active', process: { pid: 12, processName: 'node' } }
+  );
+  const current = snapshot(
+    { port: 3000, status: 'free' },
+    { port: 3001, status: 'ready' },
+    { port: 3002, status: 'free' },
+    { port: 3004, status: 'free' },
+    { port: 3005, status: 'active', process: { pid: 13, processName: 'vite' } }
+  );
+
+  assert.deepEqual(diffDashboard(previous, current), {
+    '3000/tcp': { change: 'exited', pid: 11, processName: 'node' },
+    '3001/tcp': { change: 'status', from: 'free', to: 'ready' },
+    '3005/tcp': { change: 'restarted', pid: 13, processName: 'vite', previousPid: 12 },
+    '3004/tcp': { change: 'new' },
+    '3003/tcp': { change: 'released', port: 3003, protocol: 'tcp', app: 'web', worktree: 'main', role: 'web' }
+  });
+  assert.deepEqual(diffDashboard(current, current), {});
+});
+
+test('a JSON watch writes one snapshot per refresh with the changes since the last', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const first = await pm.allocate(RANGE, { app: 'web', worktree: 'main' });
+  const { next } = watch(t, pm, { json: true });
+
+  const initial = JSON.parse(await next(1));
+  assert.deepEqual(initial.apps.web.main.map(entry => entry.port), [first]);
+  assert.deepEqual(initial.changes, {});
+
+  await pm.release(first);
+  const second = await pm.allocate(RANGE, { app: 'web', worktree: 'main' }, { protocol: 'udp' });
+  let refresh;
+  for (let count = 2; !refresh?.changes[`${second}/udp`]; count++) {
+    refresh = JSON.parse(await next(count));
+  }
+
+  assert.equal(refresh.changes[`${second}/udp`].change, 'new');
+  assert.equal(refresh.changes[`${first}/tcp`].change, 'released');
+});
+
+test('a text watch marks changed lines and keeps going after errors', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const port = await pm.allocate(RANGE, { app: 'web', worktree: 'main', label: 'api' });
+  const { next } = watch(t, pm);
+
+  assert.match(await next(1), /Refreshed .* every 0.05s\. Press Ctrl\+C to exit\./);
+
+  await occupy(t, port);
+  let text = '';
+  for (let count = 2; !text.includes('now ACTIVE'); count++) {
+    text = await next(count);
+  }
+  assert.match(text, new RegExp(`${port}/tcp +\\[ACTIVE\\].*← now ACTIVE \\(was FREE\\)`));
+
+  const errors = [];
+  const failing = { getAllGrouped: async () => { throw new Error('registry is gone'); } };
+  watch(t, failing, { onError: error => errors.push(error.message) });
+  while (errors.length < 2) await sleep(10);
+  assert.deepEqual(errors.slice(0, 2), ['registry is gone', 'registry is gone']);
+});
+
+test('a watch stops when its stream fails', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const calls = t.mock.method(pm, 'getAllGrouped');
+  const { stream, next } = watch(t, pm);
+  await next(1);
+
+  stream.emit('error', new Error('EPIPE'));
+  const count = calls.mock.callCount();
+  await sleep(200);
+
+  assert.ok(calls.mock.callCount() <= count + 1);
+});
+
+test('a snapshot scans the processes once, however many ports are allocated', { skip: !isProcAvailable() }, async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  for (let i = 0; i < 4; i++) {
+    await occupy(t, await pm.allocate(RANGE, { app: 'web' }));
+  }
+
+  const readdir = t.mock.method(fs, 'readdirSync');
+  syncBuiltinESMExports();
+  let grouped;
+  try {
+    grouped = await pm.getAllGrouped();
+  } finally {
+    readdir.mock.restore();
+    syncBuiltinESMExports();
+  }
+
+  assert.equal(readdir.mock.calls.filter(call => call.arguments[0] === '/proc').length, 1);
+  assert.ok(grouped.web.default.every(entry => entry.status === 'active' && entry.process.pid === process.pid));
+});
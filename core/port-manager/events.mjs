@@ -0,0 +1,183 @@
+/**
+ * Port Events - Gosiki OS
+ *
+ * Every PortManager change is emitted as an event on the instance and
+ * appended as one JSON line to an event log next to the registry, so other
+ * processes can follow changes made anywhere on the machine without
+ * polling the registry:
+ *
+ *   { "event": "allocated", "at": "...", "source": 4242, "port": 3000, "allocations": [...] }
+ *
+ * The log is rotated once it grows past MAX_EVENT_LOG_SIZE; the previous
+ * file is kept as `.1` until the next rotation.
+ *
+ * @module core/port-manager/events
+ */
+
+import {
+  appendFileSync,
+  closeSync,
+  fstatSync,
+  mkdirSync,
+  openSync,
+  readSync,
+  renameSync,
+  statSync
+} from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Events emitted by PortManager
+ */
+export const PORT_EVENTS = [
+  'allocated',
+  'released',
+  'group-allocated',
+  'group-released',
+  'reserved',
+  'renewed',
+  'owner-changed',
+  'killed',
+  'stale-reclaimed',
+  'cleanup'
+];
+
+/**
+ * Size at which the event log is rotated (bytes)
+ */
+export const MAX_EVENT_LOG_SIZE = 1024 * 1024;
+
+/**
+ * How often followEvents checks the log (ms)
+ */
+const FOLLOW_INTERVAL = 250;
+
+/**
+ * Get the event log path for a registry
+ * @param {string} registryPath - Registry file path
+ * @returns {string} Path of the NDJSON event log
+ */
+export function getEventLogPath(registryPath) {
+  return `${registryPath.replace(/\.json$/, '')}.events.ndjson`;
+}
+
+/**
+ * Append an event to the log, rotating it when it has grown too large
+ *
+ * Each event is written with a single append, so lines from concurrent
+ * processes do not interleave.
+ * @param {string} logPath - Event log path
+ * @param {Object} record - Event record ({ event, at, source, ...payload })
+ */
+export function appendEvent(logPath, record) {
+  mkdirSync(dirname(logPath), { recursive: true });
+
+  try {
+    if (statSync(logPath).size > MAX_EVENT_LOG_SIZE) {
+      renameSync(logPath, `${logPath}.1`);
+    }
+  } catch {
+    // No log yet, or another process rotated it first
+  }
+
+  appendFileSync(logPath, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Follow the event log, calling onEvent for every event appended from now on
+ *
+ * Survives rotation: the old file is read to the end before switching to
+ * the new one.
+ * @param {string} logPath - Event log path
+ * @param {Function} onEvent - Called with each event record
+ * @param {Object} [options] - Follow options
+ * @param {number} [options.interval=250] - Poll interval in ms
+ * @param {Function} [options.onError] - Called with errors reading the log
+ * @returns {Function} Stops following
+ */
+export function followEvents(logPath, onEvent, options = {}) {
+  const interval = options.interval ?? FOLLOW_INTERVAL;
+  const onError = options.onError || (() => {});
+  let fd = null;
+  let offset = 0;
+  let partial = '';
+  let timer = null;
+  let stopped = false;
+
+  const open = (atEnd) => {
+    try {
+      fd = openSync(logPath, 'r');
+      offset = atEnd ? fstatSync(fd).size : 0;
+    } catch (error) {
+      fd = null;
+      if (error.code !== 'ENOENT') onError(error);
+    }
+  };
+
+  const drain = () => {
+    const buffer = Buffer.alloc(64 * 1024);
+    let bytes;
+
+    while ((bytes = readSync(fd, buffer, 0, buffer.length, offset)) > 0) {
+      offset += bytes;
+      partial += buffer.toString('utf-8', 0, bytes);
+    }
+
+    const lines = partial.split('\n');
+    partial = lines.pop();
+    for (const line of lines) {
+      // onEvent may stop following mid-batch
+      if (stopped) return;
+      if (!line.trim()) continue;
+      try {
+        onEvent(JSON.parse(line));
+      } catch (error) {
+        onError(error);
+      }
+    }
+  };
+
+  const poll = () => {
+    try {
+      if (fd === null) {
+        // Created after we started: everything in it is new
+        open(false);
+      }
+      if (fd !== null) {
+        drain();
+        if (stopped) return;
+
+        let current = null;
+        try {
+          current = statSync(logPath).ino;
+        } catch {
+          // Rotated away and not recreated yet
+        }
+        if (current !== fstatSync(fd).ino) {
+          closeSync(fd);
+          fd = null;
+          partial = '';
+          if (current !== null) {
+            open(false);
+            drain();
+          }
+        }
+      }
+    } catch (error) {
+      onError(error);
+    }
+    if (!stopped) timer = setTimeout(poll, interval);
+  };
+
+  open(true);
+  timer = setTimeout(poll, interval);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (fd !== null) {
+      closeSync(fd);
+      fd = null;
+    }
+  };
+}
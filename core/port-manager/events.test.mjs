@@ -0,0 +1,60 @@
+/**
+ * Event tests - emitted events, the NDJSON log and following it
+ *
+ * @module core/port-manager/events.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { followEvents, getEventLogPath } from './events.mjs';
+import { defer, sleep, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 25400, end: 25499 };
+
+test('every change is emitted and appended to the event log', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, eventSource: 4242 });
+  const seen = [];
+  for (const event of ['allocated', 'renewed', 'owner-changed', 'released']) {
+    pm.on(event, record => seen.push(record));
+  }
+
+  const port = await pm.allocate(RANGE, { app: 'a' }, { ttl: '1m' });
+  await pm.renew(port);
+  await pm.setOwner(port, process.pid);
+  await pm.release(port);
+
+  assert.deepEqual(seen.map(record => record.event), ['allocated', 'renewed', 'owner-changed', 'released']);
+  assert.ok(seen.every(record => record.port === port && record.source === 4242));
+  assert.equal(seen[2].pid, process.pid);
+  assert.equal(seen[2].allocations[0].pid, process.pid);
+
+  const logged = readFileSync(getEventLogPath(pm.registryPath), 'utf-8').trim().split('\n').map(JSON.parse);
+  assert.deepEqual(logged, seen);
+});
+
+test('following the log only reports events appended after it started', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const earlier = await pm.allocate(RANGE);
+  const followed = [];
+  const stop = followEvents(getEventLogPath(pm.registryPath), record => followed.push(record), { interval: 20 });
+  defer(t, stop);
+
+  const port = await pm.allocate(RANGE);
+  await pm.release(earlier);
+  const deadline = Date.now() + 5000;
+  while (followed.length < 2 && Date.now() < deadline) await sleep(10);
+
+  assert.deepEqual(followed.map(record => [record.event, record.port]), [['allocated', port], ['released', earlier]]);
+});
+
+test('no event log is written when it is turned off', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, eventLog: false });
+  const seen = [];
+  pm.on('allocated', record => seen.push(record));
+
+  await pm.allocate(RANGE);
+
+  assert.equal(seen.length, 1);
+  assert.throws(() => readFileSync(getEventLogPath(pm.registryPath)), { code: 'ENOENT' });
+});
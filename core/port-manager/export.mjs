@@ -0,0 +1,153 @@
+/**
+ * Allocation Export - Gosiki OS
+ *
+ * Renders allocations for other tools, so agents don't have to scrape the
+ * human-readable CLI output:
+ *
+ *   dotenv   PORT_FRONTEND=3000
+ *   shell    export PORT_FRONTEND=3000
+ *   json     { "frontend": 3000 }
+ *   compose  docker-compose.override.yml `ports:` mappings per role
+ *
+ * Variable and service names come from roles (see portEnvName in runner.mjs).
+ *
+ * @module core/port-manager/export
+ */
+
+import { existsSync, mkdirSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { isLeaseExpired } from './lease.mjs';
+import { portEnvName } from './runner.mjs';
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = ['dotenv', 'shell', 'json', 'compose'];
+
+/**
+ * Select the allocations to export
+ * @param {Array<Object>} allocations - Records from listAllocations()
+ * @param {Object} filter - Selection
+ * @param {string} [filter.groupId] - Only this group
+ * @param {string} [filter.app] - Only this app
+ * @param {string} [filter.worktree] - Only this worktree
+ * @returns {Array<Object>} Matching live allocations, ordered by port
+ */
+export function selectAllocations(allocations, filter = {}) {
+  return allocations
+    .filter(entry => !isLeaseExpired(entry))
+    .filter(entry => !filter.groupId || entry.groupId === filter.groupId)
+    .filter(entry => !filter.app || entry.metadata.app === filter.app)
+    .filter(entry => !filter.worktree || entry.metadata.worktree === filter.worktree)
+    .sort((a, b) => a.port - b.port || a.protocol.localeCompare(b.protocol));
+}
+
+/**
+ * Name each exported port after its role
+ * @private
+ * @param {Array<Object>} allocations - Selected allocations
+ * @returns {Array<Object>} { name, port, protocols } per port
+ */
+function namePorts(allocations) {
+  const byPort = new Map();
+
+  for (const entry of allocations) {
+    const existing = byPort.get(entry.port);
+    if (existing) {
+      existing.protocols.push(entry.protocol);
+      continue;
+    }
+    byPort.set(entry.port, {
+      role: entry.role || entry.metadata.label || null,
+      port: entry.port,
+      protocols: [entry.protocol]
+    });
+  }
+
+  const ports = [...byPort.values()];
+  const counts = {};
+  for (const { role } of ports) {
+    counts[role] = (counts[role] || 0) + 1;
+  }
+
+  // A lone unnamed port is simply PORT; otherwise fall back to the port number
+  return ports.map(({ role, port, protocols }) => ({
+    name: role && counts[role] === 1 ? role : (ports.length === 1 ? null : `port${port}`),
+    port,
+    protocols
+  }));
+}
+
+/**
+ * Render allocations in an export format
+ * @param {Array<Object>} allocations - Selected allocations
+ * @param {string} format - 'dotenv', 'shell', 'json' or 'compose'
+ * @returns {string} Rendered output (ends with a newline)
+ * @throws {Error} If the format is unknown
+ */
+export function formatExport(allocations, format) {
+  const ports = namePorts(allocations);
+  const header = '# Generated by gosiki-port --export';
+
+  switch (format) {
+    case 'dotenv':
+      return [header, ...ports.map(({ name, port }) => `${portEnvName(name)}=${port}`)].join('\n') + '\n';
+
+    case 'shell':
+      return [header, ...ports.map(({ name, port }) => `export ${portEnvName(name)}=${port}`)].join('\n') + '\n';
+
+    case 'json':
+      return JSON.stringify(
+        Object.fromEntries(ports.map(({ name, port }) => [name || 'port', port])),
+        null,
+        2
+      ) + '\n';
+
+    case 'compose': {
+      const lines = [header, 'services:'];
+      for (const { name, port, protocols } of ports) {
+        lines.push(`  ${name || 'app'}:`);
+        lines.push('    ports:');
+        for (const protocol of protocols) {
+          lines.push(`      - "${port}:${port}${protocol === 'udp' ? '/udp' : ''}"`);
+        }
+      }
+      return lines.join('\n') + '\n';
+    }
+
+    default:
+      throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Write export output to a file
+ *
+ * The file is written with write-then-rename, so readers never see a
+ * partial file, and an existing file is only replaced when asked to.
+ * @param {string} filePath - Destination file
+ * @param {string} content - Rendered output
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.overwrite=false] - Replace an existing file
+ * @throws {Error} If the file exists and overwrite is not set
+ */
+export function writeExportFile(filePath, content, options = {}) {
+  if (existsSync(filePath) && !options.overwrite) {
+    throw new Error(`${filePath} already exists (use --overwrite to replace it)`);
+  }
+
+  mkdirSync(dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+  try {
+    writeFileSync(tmpPath, content, 'utf-8');
+    renameSync(tmpPath, filePath);
+  } catch (error) {
+    try {
+      unlinkSync(tmpPath);
+    } catch {
+      // Temp file was never created
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Export tests - formats, selection and writing files
+ *
+ * @module core/port-manager/export.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { readFileSync, readdirSync } from 'fs';
+import { platform } from 'os';
+import { join } from 'path';
+import { formatExport, selectAllocations, writeExportFile } from './export.mjs';
+import { tempDir } from './test-helpers.mjs';
+
+/**
+ * Build an allocation record as listAllocations() returns it
+ * @param {number} port - Port number
+ * @param {Object} [fields] - Other fields ({ protocol, role, groupId, metadata, expiresAt })
+ * @returns {Object} Allocation record
+ */
+function allocation(port, fields = {}) {
+  return { port, protocol: 'tcp', metadata: { app: 'shop', worktree: 'main' }, ...fields };
+}
+
+const GROUP = [
+  allocation(3001, { role: 'api', groupId: 'g1' }),
+  allocation(3000, { role: 'frontend', groupId: 'g1' }),
+  allocation(3001, { role: 'api', groupId: 'g1', protocol: 'udp' })
+];
+
+test('dotenv, shell and json name ports after their roles', () => {
+  assert.equal(formatExport(GROUP, 'dotenv'), '# Generated by gosiki-port --export\nPORT_API=3001\nPORT_FRONTEND=3000\n');
+  assert.equal(formatExport(GROUP, 'shell'), '# Generated by gosiki-port --export\nexport PORT_API=3001\nexport PORT_FRONTEND=3000\n');
+  assert.deepEqual(JSON.parse(formatExport(GROUP, 'json')), { api: 3001, frontend: 3000 });
+});
+
+test('compose maps every protocol of a role', () => {
+  assert.equal(formatExport(GROUP, 'compose'), [
+    '# Generated by gosiki-port --export',
+    'services:',
+    '  api:',
+    '    ports:',
+    '      - "3001:3001"',
+    '      - "3001:3001/udp"',
+    '  frontend:',
+    '    ports:',
+    '      - "3000:3000"',
+    ''
+  ].join('\n'));
+});
+
+test('ports without a unique role fall back to PORT or the port number', () => {
+  assert.equal(formatExport([allocation(3000)], 'dotenv').split('\n')[1], 'PORT=3000');
+  assert.deepEqual(JSON.parse(formatExport([allocation(3000), allocation(3001)], 'json')), { port3000: 3000, port3001: 3001 });
+  assert.throws(() => formatExport(GROUP, 'yaml'), /Unknown export format "yaml"/);
+});
+
+test('shell output is safe to eval whatever the roles are called', { skip: platform() === 'win32' }, () => {
+  const script = formatExport([
+    allocation(3000, { role: 'web; touch pwned' }),
+    allocation(3001, { role: '$(id) `id`' })
+  ], 'shell');
+
+  assert.ok(script.split('\n').slice(1, -1).every(line => /^export PORT_[A-Z0-9_]*=\d+$/.test(line)));
+  const env = execFileSync('sh', ['-c', `${script}env`], { encoding: 'utf-8', env: {} });
+  assert.match(env, /^PORT_WEB_TOUCH_PWNED=3000$/m);
+  assert.match(env, /^PORT_ID_ID=3001$/m);
+});
+
+test('selectAllocations filters by group, app and worktree and drops expired leases', () => {
+  const allocations = [
+    ...GROUP,
+    allocation(4000, { metadata: { app: 'blog', worktree: 'main' } }),
+    allocation(4001, { metadata: { app: 'shop', worktree: 'dev' } }),
+    allocation(4002, { expiresAt: new Date(Date.now() - 1000).toISOString() })
+  ];
+
+  assert.deepEqual(selectAllocations(allocations, { groupId: 'g1' }).map(entry => `${entry.port}/${entry.protocol}`),
+    ['3000/tcp', '3001/tcp', '3001/udp']);
+  assert.deepEqual(selectAllocations(allocations, { app: 'shop', worktree: 'dev' }).map(entry => entry.port), [4001]);
+  assert.deepEqual(selectAllocations(allocations, { app: 'blog' }).map(entry => entry.port), [4000]);
+  assert.equal(selectAllocations(allocations).length, 5);
+});
+
+test('writeExportFile refuses to replace a file unless overwrite is set', (t) => {
+  const dir = tempDir(t, 'gosiki-export-');
+  const filePath = join(dir, 'nested', '.env');
+
+  writeExportFile(filePath, 'PORT=3000\n');
+  assert.equal(readFileSync(filePath, 'utf-8'), 'PORT=3000\n');
+
+  assert.throws(() => writeExportFile(filePath, 'PORT=3001\n'), /already exists \(use --overwrite to replace it\)/);
+  assert.equal(readFileSync(filePath, 'utf-8'), 'PORT=3000\n');
+
+  writeExportFile(filePath, 'PORT=3001\n', { overwrite: true });
+  assert.equal(readFileSync(filePath, 'utf-8'), 'PORT=3001\n');
+  assert.deepEqual(readdirSync(join(dir, 'nested')), ['.env']);
+});
+
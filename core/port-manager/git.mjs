@@ -0,0 +1,136 @@
+/**
+ * Git Context Detection - Gosiki OS
+ *
+ * Derives the app and worktree of an allocation from the git checkout it is
+ * made in, so agents in separate `git worktree`s show up separately in the
+ * dashboard without passing --app/--worktree:
+ *
+ *   app       the origin remote's repository name, else the main checkout's directory name
+ *   worktree  the checked-out branch, else (detached HEAD) the worktree's directory name
+ *
+ * `.git` directories and files are read directly, so the `git` binary is
+ * not needed.
+ *
+ * @module core/port-manager/git
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+
+/**
+ * Read a file inside a git directory
+ * @private
+ * @param {string} path - File path
+ * @returns {string|null} Trimmed contents, or null if unreadable
+ */
+function readGitFile(path) {
+  try {
+    return readFileSync(path, 'utf-8').trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the working tree and git directory containing a directory
+ *
+ * A `.git` file (linked worktrees, submodules) points to the real git
+ * directory with a `gitdir: <path>` line.
+ * @private
+ * @param {string} startDir - Directory to start from
+ * @returns {Object|null} { root, gitDir }, or null outside a git checkout
+ */
+function findGitDir(startDir) {
+  let dir = resolve(startDir);
+
+  while (true) {
+    const dotGit = join(dir, '.git');
+
+    if (existsSync(dotGit)) {
+      if (statSync(dotGit).isDirectory()) {
+        return { root: dir, gitDir: dotGit };
+      }
+
+      const match = /^gitdir:\s*(.+)$/m.exec(readGitFile(dotGit) || '');
+      if (match) {
+        return { root: dir, gitDir: resolve(dir, match[1].trim()) };
+      }
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read the URL of the origin remote (or the first remote) from a git config
+ * @private
+ * @param {string} configText - Contents of the config file
+ * @returns {string|null} Remote URL
+ */
+function findRemoteUrl(configText) {
+  const urls = {};
+  let remote = null;
+
+  for (const line of configText.split('\n')) {
+    const section = /^\s*\[\s*remote\s+"([^"]+)"\s*\]/.exec(line);
+    if (section) {
+      remote = section[1];
+      continue;
+    }
+    if (/^\s*\[/.test(line)) {
+      remote = null;
+      continue;
+    }
+
+    const url = /^\s*url\s*=\s*(.+?)\s*$/.exec(line);
+    if (remote && url && !urls[remote]) {
+      urls[remote] = url[1];
+    }
+  }
+
+  return urls.origin || Object.values(urls)[0] || null;
+}
+
+/**
+ * Extract the repository name from a remote URL
+ * @private
+ * @param {string} url - e.g. git@github.com:gosiki/miyabi.git, https://host/gosiki/miyabi
+ * @returns {string|null} e.g. 'miyabi'
+ */
+function repoName(url) {
+  const name = url.replace(/[\\/]+$/, '').split(/[\\/:]/).pop().replace(/\.git$/, '');
+  return name || null;
+}
+
+/**
+ * Detect the git app and worktree for a directory
+ * @param {string} [cwd] - Directory to detect from (default: process.cwd())
+ * @returns {Object|null} { app, worktree, root, branch, remote } where root is the
+ *   worktree's top-level directory and branch/remote may be null; null outside git
+ */
+export function detectGitContext(cwd = process.cwd()) {
+  const found = findGitDir(cwd);
+  if (!found) return null;
+
+  const { root, gitDir } = found;
+  const commonLink = readGitFile(join(gitDir, 'commondir'));
+  // Linked worktrees keep config and remotes in the main repository's git directory
+  const commonDir = commonLink ? resolve(gitDir, commonLink) : gitDir;
+
+  const head = readGitFile(join(gitDir, 'HEAD')) || '';
+  const branch = /^ref:\s*refs\/heads\/(.+)$/.exec(head)?.[1] || null;
+
+  const remoteUrl = findRemoteUrl(readGitFile(join(commonDir, 'config')) || '');
+  const remote = remoteUrl ? repoName(remoteUrl) : null;
+  const mainRoot = basename(commonDir) === '.git' ? dirname(commonDir) : root;
+
+  return {
+    app: remote || basename(mainRoot),
+    worktree: branch || basename(root),
+    root,
+    branch,
+    remote
+  };
+}
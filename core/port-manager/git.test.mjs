@@ -0,0 +1,131 @@
+/**
+ * Git detection tests - checkouts, linked worktrees, detached HEADs and remotes
+ *
+ * @module core/port-manager/git.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { detectGitContext } from './git.mjs';
+import { tempDir } from './test-helpers.mjs';
+
+/**
+ * Write files below a directory, creating parent directories
+ * @param {string} dir - Base directory
+ * @param {Object} files - Contents by relative path
+ */
+function writeFiles(dir, files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(join(dir, path, '..'), { recursive: true });
+    writeFileSync(join(dir, path), content);
+  }
+}
+
+/**
+ * Git config with an origin remote
+ * @param {string} url - Remote URL
+ * @returns {string} Config contents
+ */
+function originConfig(url) {
+  return `[core]\n\tbare = false\n[remote "origin"]\n\turl = ${url}\n\tfetch = +refs/heads/*:refs/remotes/origin/*\n`;
+}
+
+test('a checkout is named after its origin and branch, from any subdirectory', (t) => {
+  const dir = tempDir(t, 'gosiki-git-');
+  const root = join(dir, 'checkout');
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/feature/ui\n',
+    '.git/config': originConfig('git@github.com:gosiki/miyabi.git'),
+    'src/deep/.keep': ''
+  });
+
+  assert.deepEqual(detectGitContext(join(root, 'src', 'deep')), {
+    app: 'miyabi',
+    worktree: 'feature/ui',
+    root,
+    branch: 'feature/ui',
+    remote: 'miyabi'
+  });
+});
+
+test('origin URLs are named with or without .git and trailing slashes', (t) => {
+  const dir = tempDir(t, 'gosiki-git-');
+  const urls = {
+    'https://github.com/gosiki/miyabi': 'miyabi',
+    'https://github.com/gosiki/miyabi.git': 'miyabi',
+    'https://github.com/gosiki/miyabi/': 'miyabi',
+    'ssh://git@host:22/srv/shop.git': 'shop',
+    '/srv/git/blog.git': 'blog'
+  };
+
+  Object.entries(urls).forEach(([url, name], i) => {
+    writeFiles(join(dir, String(i)), { '.git/HEAD': 'ref: refs/heads/main\n', '.git/config': originConfig(url) });
+    assert.equal(detectGitContext(join(dir, String(i))).app, name, url);
+  });
+});
+
+test('origin is preferred over other remotes, and without remotes the directory names the app', (t) => {
+  const dir = tempDir(t, 'gosiki-git-');
+  writeFiles(dir, {
+    'two/.git/HEAD': 'ref: refs/heads/main\n',
+    'two/.git/config': `[remote "upstream"]\n\turl = https://host/x/upstream.git\n${originConfig('https://host/x/fork.git')}`,
+    'one/.git/HEAD': 'ref: refs/heads/main\n',
+    'one/.git/config': '[remote "upstream"]\n\turl = https://host/x/upstream.git\n',
+    'local-app/.git/HEAD': 'ref: refs/heads/main\n'
+  });
+
+  assert.equal(detectGitContext(join(dir, 'two')).app, 'fork');
+  assert.equal(detectGitContext(join(dir, 'one')).app, 'upstream');
+  assert.deepEqual(detectGitContext(join(dir, 'local-app')), {
+    app: 'local-app',
+    worktree: 'main',
+    root: join(dir, 'local-app'),
+    branch: 'main',
+    remote: null
+  });
+});
+
+test('a detached HEAD is named after the worktree directory', (t) => {
+  const dir = tempDir(t, 'gosiki-git-');
+  writeFiles(dir, { 'shop/.git/HEAD': '3f786850e387550fdab836ed7e6dc881de23001b\n' });
+
+  const context = detectGitContext(join(dir, 'shop'));
+  assert.equal(context.branch, null);
+  assert.equal(context.worktree, 'shop');
+  assert.equal(context.app, 'shop');
+});
+
+test('a linked worktree follows its .git file to the main repository', (t) => {
+  const dir = tempDir(t, 'gosiki-git-');
+  writeFiles(dir, {
+    'main/.git/HEAD': 'ref: refs/heads/main\n',
+    'main/.git/worktrees/wt-ui/HEAD': 'ref: refs/heads/feature/ui\n',
+    'main/.git/worktrees/wt-ui/commondir': '../..\n',
+    'wt-ui/.git': 'gitdir: ../main/.git/worktrees/wt-ui\n',
+    'wt-detached/.git': `gitdir: ${join(dir, 'main/.git/worktrees/wt-detached')}\n`,
+    'main/.git/worktrees/wt-detached/HEAD': '3f786850e387550fdab836ed7e6dc881de23001b\n',
+    'main/.git/worktrees/wt-detached/commondir': '../..\n'
+  });
+
+  assert.deepEqual(detectGitContext(join(dir, 'wt-ui')), {
+    app: 'main',
+    worktree: 'feature/ui',
+    root: join(dir, 'wt-ui'),
+    branch: 'feature/ui',
+    remote: null
+  });
+  assert.equal(detectGitContext(join(dir, 'wt-detached')).worktree, 'wt-detached');
+
+  writeFiles(dir, { 'main/.git/config': originConfig('git@github.com:gosiki/miyabi.git') });
+  assert.equal(detectGitContext(join(dir, 'wt-ui')).app, 'miyabi');
+});
+
+test('outside a checkout there is no context', (t) => {
+  const dir = tempDir(t, 'gosiki-git-');
+  // A .git file without a gitdir line is not a checkout
+  writeFiles(dir, { 'project/.git': 'nonsense\n' });
+
+  assert.equal(detectGitContext(join(dir, 'project')), null);
+});
@@ -12,10 +12,34 @@ export {
   logTerminated,
   logReserved,
   logAllocated,
+  logGroupAllocated,
+  logGroupReleased,
   logBlocked,
   logReleased,
+  logRenewed,
+  logReady,
   logNotInUse,
+  logDashboard,
   logError
 } from './logger.mjs';
-export { formatDashboard, formatCompact } from './dashboard.mjs';
+export { formatDashboard, formatCompact, diffDashboard, watchDashboard } from './dashboard.mjs';
+export { parseDuration } from './lease.mjs';
+export { runWithPorts, portEnvName } from './runner.mjs';
+export { EXPORT_FORMATS, selectAllocations, formatExport, writeExportFile } from './export.mjs';
+export { detectGitContext } from './git.mjs';
+export { WELL_KNOWN_PORTS, getPolicyPath, loadPolicy, normalizePolicy } from './policy.mjs';
+export { checkPortAvailability, findAvailablePorts, listenOnPort } from './probe.mjs';
+export { acceptsConnections, requestStatus } from './ready.mjs';
+export { serveDashboard } from './web.mjs';
+export { getApiInfoPath, serveApi } from './api.mjs';
+export { MCP_TOOLS, serveMcp } from './mcp.mjs';
+export { PORT_EVENTS, getEventLogPath, followEvents } from './events.mjs';
+export {
+  MANIFEST_FILENAME,
+  findManifest,
+  loadManifest,
+  manifestUp,
+  manifestDown,
+  manifestStatus
+} from './manifest.mjs';
 
@@ -0,0 +1,72 @@
+/**
+ * Port Leases - Gosiki OS
+ *
+ * Time-limited allocations. A lease expires unless it is renewed, so ports
+ * held by agents that were killed without cleaning up come back on their own.
+ *
+ * @module core/port-manager/lease
+ */
+
+/**
+ * Milliseconds per duration unit
+ */
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as '30s', '30m', '2h', '1d' or a number of milliseconds
+ *
+ * Strings must name their unit: '30' from a flag or a JSON body is refused
+ * rather than read as 30 milliseconds.
+ * @param {string|number} value - Duration
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} If the duration is not valid (code 'EINVALIDARG')
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    return value;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/);
+  if (!match || Number(match[1]) <= 0) {
+    throw Object.assign(
+      new Error(`Invalid duration: ${value} (expected a number with a unit, e.g. 30s, 30m, 2h)`),
+      { code: 'EINVALIDARG' }
+    );
+  }
+
+  return Math.round(Number(match[1]) * DURATION_UNITS[match[2]]);
+}
+
+/**
+ * Build lease fields for a registry entry
+ * @param {string|number} [ttl] - Lease duration; no lease when omitted
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {Object} { ttlMs, expiresAt } or {} without a ttl
+ */
+export function leaseFields(ttl, now = Date.now()) {
+  if (ttl === undefined || ttl === null) {
+    return {};
+  }
+
+  const ttlMs = parseDuration(ttl);
+  return {
+    ttlMs,
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+}
+
+/**
+ * Check whether an allocation's lease has expired
+ * @param {Object} info - Allocation entry
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {boolean} True if the entry has a lease and it has run out
+ */
+export function isLeaseExpired(info, now = Date.now()) {
+  return Boolean(info?.expiresAt) && Date.parse(info.expiresAt) <= now;
+}
@@ -0,0 +1,82 @@
+/**
+ * Lease tests - durations, expiry and renewal
+ *
+ * @module core/port-manager/lease.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isLeaseExpired, leaseFields, parseDuration } from './lease.mjs';
+import { sleep, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 24200, end: 24299 };
+
+test('parseDuration understands units and numbers of milliseconds', () => {
+  assert.equal(parseDuration('250ms'), 250);
+  assert.equal(parseDuration('30s'), 30000);
+  assert.equal(parseDuration('1.5m'), 90000);
+  assert.equal(parseDuration('2h'), 7200000);
+  assert.equal(parseDuration(500), 500);
+  assert.throws(() => parseDuration('soon'), /Invalid duration/);
+  assert.throws(() => parseDuration(0), /Invalid duration/);
+});
+
+test('parseDuration refuses strings without a unit', () => {
+  assert.throws(() => parseDuration('30'), /Invalid duration: 30/);
+  assert.throws(() => leaseFields('30'), /Invalid duration/);
+});
+
+test('a ttl without a unit is refused instead of expiring at once', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+
+  await assert.rejects(pm.allocate(RANGE, { app: 'a' }, { ttl: '30' }), /Invalid duration/);
+  assert.equal(pm.listAllocations().length, 0);
+});
+
+test('leases expire after their ttl', () => {
+  const lease = leaseFields('1s', 0);
+
+  assert.deepEqual(lease, { ttlMs: 1000, expiresAt: new Date(1000).toISOString() });
+  assert.equal(isLeaseExpired(lease, 999), false);
+  assert.equal(isLeaseExpired(lease, 1000), true);
+  assert.equal(isLeaseExpired({}, Date.now()), false);
+});
+
+test('an expired port is handed out again', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const range = { start: RANGE.start, end: RANGE.start };
+
+  const port = await pm.allocate(range, { app: 'a' }, { ttl: '50ms' });
+  await assert.rejects(pm.allocate(range, { app: 'b' }), /No available ports/);
+
+  await sleep(80);
+  assert.equal(await pm.allocate(range, { app: 'b' }), port);
+  assert.equal(pm.listAllocations()[0].metadata.app, 'b');
+});
+
+test('renewing extends the lease of the whole group', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const group = await pm.allocateGroup(2, {}, ['web', 'api'], { range: RANGE, ttl: '1m' });
+  const before = pm.listAllocations().map(entry => entry.expiresAt);
+
+  await sleep(5);
+  const result = await pm.renew(group.ports.web, { ttl: '2m' });
+
+  assert.deepEqual(result.ports.sort(), Object.values(group.ports).sort());
+  for (const [i, entry] of pm.listAllocations().entries()) {
+    assert.equal(entry.expiresAt, result.expiresAt);
+    assert.ok(entry.expiresAt > before[i]);
+    assert.ok(Date.parse(entry.expiresAt) - Date.now() > 60000);
+  }
+});
+
+test('renewing refuses ports without a live lease', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const plain = await pm.allocate(RANGE);
+  const leased = await pm.allocate(RANGE, {}, { ttl: '20ms' });
+
+  await assert.rejects(pm.renew(plain), /was not allocated with a ttl/);
+  await assert.rejects(pm.renew(RANGE.end), /is not allocated/);
+  await sleep(40);
+  await assert.rejects(pm.renew(leased), /has already expired/);
+});
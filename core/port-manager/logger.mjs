@@ -33,7 +33,7 @@ function formatHuman(data) {
   switch (status) {
     case 'occupied':
       return `Gosiki OS: Port ${port} is currently occupied.
-Process: ${process.name} (PID: ${process.pid})
+Process: ${process.name} (PID: ${process.pid ?? 'unknown'})
 No action was taken.`;
 
     case 'terminated':
@@ -55,8 +55,12 @@ PortShot was prevented.`;
 
     case 'blocked':
       if (reason === 'reserved-by-another') {
-        return `Gosiki OS: Port ${port} is reserved by another workspace.
+        return `Gosiki OS: ${data.detail || `Port ${port} is reserved by another workspace`}.
 Your request was blocked to prevent PortShot.`;
+      }
+      if (data.detail) {
+        return `Gosiki OS: ${data.detail}.
+Your request was blocked by policy (${reason}).`;
       }
       return `Gosiki OS: Port ${port} is not available.
 Your request was blocked to prevent PortShot.`;
@@ -64,6 +68,22 @@ Your request was blocked to prevent PortShot.`;
     case 'released':
       return `Gosiki OS: Port ${port} has been released.`;
 
+    case 'group-allocated':
+      return [
+        `Gosiki OS: Allocated port group ${data.groupId}`,
+        ...Object.entries(data.ports).map(([role, rolePort]) => `  ${role}: ${rolePort}`)
+      ].join('\n');
+
+    case 'group-released':
+      return `Gosiki OS: Released ${data.released} port(s) from group ${data.groupId}
+  Ports: ${data.ports.join(', ')}`;
+
+    case 'renewed':
+      return `Gosiki OS: Lease for port ${port} renewed until ${data.expiresAt}.`;
+
+    case 'ready':
+      return `Gosiki OS: Port ${port} is ready after ${(data.elapsedMs / 1000).toFixed(1)}s${data.httpStatus ? ` (HTTP ${data.httpStatus})` : ''}.`;
+
     case 'not-in-use':
       return `Gosiki OS: Port ${port} is not currently in use.`;
 
@@ -72,7 +92,7 @@ Your request was blocked to prevent PortShot.`;
         return `Gosiki OS: No ports are currently allocated.`;
       }
       const portList = data.allocations
-        .map(a => `  Port ${a.port} (allocated at ${a.allocatedAt})`)
+        .map(a => `  Port ${a.port}/${a.protocol || 'tcp'} (allocated at ${a.allocatedAt}${a.expiresAt ? `, expires at ${a.expiresAt}` : ''})`)
         .join('\n');
       return `Gosiki OS: Currently allocated ports:\n${portList}`;
     }
@@ -83,6 +103,9 @@ Your request was blocked to prevent PortShot.`;
     case 'in-use':
       return `Gosiki OS: Port ${port} is currently in use.`;
 
+    case 'dashboard':
+      return `Gosiki OS: ${message}`;
+
     case 'error':
       return `Gosiki OS: Error - ${message}`;
 
@@ -164,18 +187,57 @@ export function logAllocated(port) {
 }
 
 /**
- * Create log data for blocked request
- * @param {number} port - Port number
- * @param {string} reason - Reason for blocking
+ * Create log data for allocated group
+ * @param {Object} result - Result of allocateGroup() { groupId, ports, metadata }
+ * @returns {Object} Log data
+ */
+export function logGroupAllocated(result) {
+  return {
+    status: 'group-allocated',
+    groupId: result.groupId,
+    ports: result.ports,
+    metadata: result.metadata,
+    message: 'Port group allocated.'
+  };
+}
+
+/**
+ * Create log data for released group
+ * @param {string} groupId - Group ID
+ * @param {Object} result - Result of releaseGroup() { released, ports }
  * @returns {Object} Log data
  */
-export function logBlocked(port, reason = 'port-not-available') {
+export function logGroupReleased(groupId, result) {
   return {
+    status: 'group-released',
+    groupId,
+    released: result.released,
+    ports: result.ports,
+    message: 'Port group released.'
+  };
+}
+
+/**
+ * Create log data for blocked request
+ * @param {number|null} port - Port number (null if no particular port was requested)
+ * @param {string} reason - Reason for blocking (e.g. 'reserved-by-another', 'excluded-port',
+ *   'app-quota-exceeded'; see policy.mjs)
+ * @param {string} [detail] - Explanation of this particular rejection
+ * @returns {Object} Log data
+ */
+export function logBlocked(port, reason = 'port-not-available', detail) {
+  const data = {
     status: 'blocked',
     port,
     reason,
     message: 'Request blocked. PortShot prevented.'
   };
+
+  if (detail) {
+    data.detail = detail;
+  }
+
+  return data;
 }
 
 /**
@@ -191,6 +253,42 @@ export function logReleased(port) {
   };
 }
 
+/**
+ * Create log data for renewed lease
+ * @param {number} port - Port number
+ * @param {string} expiresAt - New expiry (ISO timestamp)
+ * @returns {Object} Log data
+ */
+export function logRenewed(port, expiresAt) {
+  return {
+    status: 'renewed',
+    port,
+    expiresAt,
+    message: 'Lease successfully renewed.'
+  };
+}
+
+/**
+ * Create log data for a port that came up
+ * @param {number} port - Port number
+ * @param {Object} result - Result of waitForPort() { elapsedMs, httpStatus? }
+ * @returns {Object} Log data
+ */
+export function logReady(port, result) {
+  const data = {
+    status: 'ready',
+    port,
+    elapsedMs: result.elapsedMs,
+    message: 'Port is ready.'
+  };
+
+  if (result.httpStatus !== undefined) {
+    data.httpStatus = result.httpStatus;
+  }
+
+  return data;
+}
+
 /**
  * Create log data for port not in use
  * @param {number} port - Port number
@@ -204,6 +302,20 @@ export function logNotInUse(port) {
   };
 }
 
+/**
+ * Create log data for a dashboard snapshot
+ * @param {Object} apps - Grouped port data from getAllGrouped()
+ * @returns {Object} Log data
+ */
+export function logDashboard(apps) {
+  const count = Object.values(apps).flatMap(Object.values).flat().length;
+  return {
+    status: 'dashboard',
+    apps,
+    message: `Found ${count} allocated port(s) in ${Object.keys(apps).length} app(s).`
+  };
+}
+
 /**
  * Create log data for error
  * @param {string} message - Error message
@@ -0,0 +1,236 @@
+/**
+ * Port Manifest - Gosiki OS
+ *
+ * A repo commits `gosiki.ports.json` to declare the ports its services
+ * need, so agents don't have to rebuild `--allocate-group` by hand:
+ *
+ *   {
+ *     "app": "miyabi",
+ *     "range": "3000-3999",
+ *     "sticky": true,
+ *     "services": {
+ *       "frontend": { "port": 5173, "host": "localhost" },
+ *       "backend": { "range": "8080-8099" },
+ *       "dns": { "protocol": "udp" }
+ *     }
+ *   }
+ *
+ * `up` allocates every service as one group, `down` releases it and
+ * `status` reports it. The group is identified by the manifest path, so
+ * each checkout (or git worktree) of a repo gets its own set of ports.
+ *
+ * @module core/port-manager/manifest
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { detectGitContext } from './git.mjs';
+import { isLeaseExpired } from './lease.mjs';
+import { resolveProtocols } from './protocol.mjs';
+
+/**
+ * Manifest file name looked up from the working directory upwards
+ */
+export const MANIFEST_FILENAME = 'gosiki.ports.json';
+
+/**
+ * Find the nearest manifest in a directory or its parents
+ * @param {string} [startDir] - Directory to start from (default: cwd)
+ * @returns {string|null} Absolute manifest path, or null if none exists
+ */
+export function findManifest(startDir = process.cwd()) {
+  let dir = resolve(startDir);
+
+  while (true) {
+    const candidate = join(dir, MANIFEST_FILENAME);
+    if (existsSync(candidate)) return candidate;
+
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Parse a range given as "start-end" or { start, end }
+ * @private
+ * @param {string|Object} value - Range value from the manifest
+ * @param {string} where - Location for error messages
+ * @returns {Object} { start, end }
+ * @throws {Error} If the range is malformed
+ */
+function parseRange(value, where) {
+  const [start, end] = typeof value === 'string'
+    ? value.split('-').map(Number)
+    : [Number(value?.start), Number(value?.end)];
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > 65535 || start > end) {
+    throw new Error(`Invalid range in ${where}: ${JSON.stringify(value)}`);
+  }
+  return { start, end };
+}
+
+/**
+ * Load and validate a manifest
+ * @param {string} manifestPath - Path to gosiki.ports.json
+ * @returns {Object} { path, dir, app, worktree, range?, sticky, contiguous, alignment?, ttl?, services }
+ *   where services is [{ role, port?, range?, protocol?, host? }] in manifest order
+ * @throws {Error} If the manifest cannot be read or is invalid
+ */
+export function loadManifest(manifestPath) {
+  const path = resolve(manifestPath);
+  let data;
+
+  try {
+    data = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read manifest ${path}: ${error.message}`);
+  }
+
+  if (!data || typeof data.services !== 'object' || Array.isArray(data.services) ||
+      Object.keys(data.services).length === 0) {
+    throw new Error(`Manifest ${path} must declare at least one service under "services"`);
+  }
+
+  const services = Object.entries(data.services).map(([role, spec = {}]) => {
+    const where = `service "${role}"`;
+    const service = { role };
+
+    if (spec.port !== undefined) {
+      const port = Number(spec.port);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid port in ${where}: ${JSON.stringify(spec.port)}`);
+      }
+      service.port = port;
+    }
+    if (spec.range !== undefined) service.range = parseRange(spec.range, where);
+    if (spec.protocol !== undefined) {
+      resolveProtocols(spec.protocol);
+      service.protocol = spec.protocol;
+    }
+    if (spec.host !== undefined) service.host = spec.host;
+
+    return service;
+  });
+
+  const dir = dirname(path);
+  const git = detectGitContext(dir);
+
+  return {
+    path,
+    dir,
+    app: data.app || git?.app || basename(dir),
+    worktree: data.worktree || git?.worktree || basename(dir),
+    range: data.range !== undefined ? parseRange(data.range, path) : undefined,
+    sticky: data.sticky === true,
+    contiguous: data.contiguous === true,
+    alignment: data.alignment,
+    ttl: data.ttl,
+    services
+  };
+}
+
+/**
+ * Find the group currently allocated for a manifest
+ * @private
+ * @param {PortManager} pm - Port manager
+ * @param {Object} manifest - Loaded manifest
+ * @returns {Object|null} { groupId, ports: [{ port, protocol, role }], metadata },
+ *   or null if the manifest is down (expired leases count as down)
+ */
+function findManifestGroup(pm, manifest) {
+  const entries = pm.listAllocations()
+    .filter(entry => entry.groupId && entry.metadata.manifest === manifest.path && !isLeaseExpired(entry));
+  if (entries.length === 0) return null;
+
+  return {
+    groupId: entries[0].groupId,
+    ports: entries.map(({ port, protocol, role }) => ({ port, protocol, role })),
+    metadata: entries[0].metadata
+  };
+}
+
+/**
+ * Allocate every service of a manifest as one group
+ *
+ * Idempotent: if the manifest is already up, its existing group is returned.
+ * The check and the allocation happen under one registry lock, so two
+ * concurrent `up` runs end up with the same group.
+ * @param {PortManager} pm - Port manager
+ * @param {Object} manifest - Loaded manifest
+ * @param {Object} [overrides] - { app, worktree } taking precedence over the manifest
+ * @returns {Promise<Object>} { groupId, ports: {role: port}, metadata, alreadyUp }
+ */
+export async function manifestUp(pm, manifest, overrides = {}) {
+  const metadata = {
+    app: overrides.app || manifest.app,
+    worktree: overrides.worktree || manifest.worktree,
+    manifest: manifest.path
+  };
+
+  const result = await pm.allocateGroup(manifest.services.length, metadata, manifest.services, {
+    range: manifest.range,
+    sticky: manifest.sticky,
+    contiguous: manifest.contiguous,
+    alignment: manifest.alignment,
+    ttl: manifest.ttl,
+    reuse: 'manifest'
+  });
+
+  const { reused, ...group } = result;
+  return { ...group, alreadyUp: reused === true };
+}
+
+/**
+ * Release the group allocated for a manifest
+ * @param {PortManager} pm - Port manager
+ * @param {Object} manifest - Loaded manifest
+ * @returns {Promise<Object>} { groupId, released, ports } (groupId is null if it was not up)
+ */
+export async function manifestDown(pm, manifest) {
+  const group = findManifestGroup(pm, manifest);
+  if (!group) {
+    return { groupId: null, released: 0, ports: [] };
+  }
+
+  const result = await pm.releaseGroup(group.groupId);
+  return { groupId: group.groupId, ...result };
+}
+
+/**
+ * Report the ports allocated for a manifest
+ * @param {PortManager} pm - Port manager
+ * @param {Object} manifest - Loaded manifest
+ * @returns {Promise<Object>} { manifest, app, worktree, groupId, services }
+ *   where services is [{ role, port, protocol, status, process }]
+ *   (port is null and status 'down' for services without an allocation)
+ */
+export async function manifestStatus(pm, manifest) {
+  const group = findManifestGroup(pm, manifest);
+  const grouped = await pm.getAllGrouped();
+  const entries = Object.values(grouped)
+    .flatMap(worktrees => Object.values(worktrees).flat())
+    .filter(entry => group && entry.groupId === group.groupId);
+
+  const services = manifest.services.flatMap((service) => {
+    const allocated = entries.filter(entry => entry.role === service.role);
+    if (allocated.length === 0) {
+      return [{ role: service.role, port: null, protocol: service.protocol || 'tcp', status: 'down', process: null }];
+    }
+    return allocated.map(entry => ({
+      role: entry.role,
+      port: entry.port,
+      protocol: entry.protocol,
+      status: entry.status,
+      process: entry.process
+    }));
+  });
+
+  return {
+    manifest: manifest.path,
+    app: group?.metadata.app || manifest.app,
+    worktree: group?.metadata.worktree || manifest.worktree,
+    groupId: group?.groupId || null,
+    services
+  };
+}
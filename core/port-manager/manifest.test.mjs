@@ -0,0 +1,103 @@
+/**
+ * Manifest tests - loading, idempotent up and down
+ *
+ * @module core/port-manager/manifest.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { PortManager } from './PortManager.mjs';
+import { MANIFEST_FILENAME, findManifest, loadManifest, manifestDown, manifestStatus, manifestUp } from './manifest.mjs';
+import { tempDir, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 24300, end: 24399 };
+
+/**
+ * Write a manifest and create PortManagers on a registry next to it,
+ * in a temporary directory removed after the test
+ * @param {TestContext} t - Test context
+ * @param {Object} data - Manifest contents
+ * @returns {Object} { dir, manifest, portManager() }
+ */
+function tempProject(t, data) {
+  const dir = tempDir(t, 'gosiki-manifest-');
+  writeFileSync(join(dir, MANIFEST_FILENAME), JSON.stringify(data));
+
+  return {
+    dir,
+    manifest: loadManifest(join(dir, MANIFEST_FILENAME)),
+    portManager: () => new PortManager({ registryPath: join(dir, 'port-registry.json'), daemon: false, detectGit: false })
+  };
+}
+
+const MANIFEST = { app: 'shop', worktree: 'main', range: '24300-24399', services: { web: {}, api: {} } };
+
+test('findManifest looks in parent directories', (t) => {
+  const { dir } = tempProject(t, MANIFEST);
+  mkdirSync(join(dir, 'src', 'deep'), { recursive: true });
+
+  assert.equal(findManifest(join(dir, 'src', 'deep')), join(dir, MANIFEST_FILENAME));
+});
+
+test('loadManifest requires services', (t) => {
+  const { dir } = tempProject(t, MANIFEST);
+  writeFileSync(join(dir, 'empty.json'), JSON.stringify({ app: 'shop', services: {} }));
+
+  assert.throws(() => loadManifest(join(dir, 'empty.json')), /must declare at least one service/);
+});
+
+test('up allocates one group and is idempotent', async (t) => {
+  const { manifest, portManager } = tempProject(t, MANIFEST);
+  const pm = portManager();
+
+  const first = await manifestUp(pm, manifest);
+  const second = await manifestUp(pm, manifest);
+
+  assert.equal(first.alreadyUp, false);
+  assert.equal(second.alreadyUp, true);
+  assert.equal(second.groupId, first.groupId);
+  assert.deepEqual(first.ports, { web: 24300, api: 24301 });
+  assert.deepEqual(second.ports, first.ports);
+  assert.equal(pm.listAllocations().length, 2);
+});
+
+test('concurrent up runs end up with the same group', async (t) => {
+  const { manifest, portManager } = tempProject(t, MANIFEST);
+
+  const results = await Promise.all(Array.from({ length: 4 }, () => manifestUp(portManager(), manifest)));
+
+  assert.equal(new Set(results.map(result => result.groupId)).size, 1);
+  assert.equal(results.filter(result => !result.alreadyUp).length, 1);
+  assert.equal(portManager().listAllocations().length, 2);
+});
+
+test('status reports the services and down releases them', async (t) => {
+  const { manifest, portManager } = tempProject(t, MANIFEST);
+  const pm = portManager();
+  const { groupId } = await manifestUp(pm, manifest);
+
+  const status = await manifestStatus(pm, manifest);
+  assert.equal(status.groupId, groupId);
+  assert.deepEqual(status.services.map(service => [service.role, service.port]), [['web', 24300], ['api', 24301]]);
+
+  assert.deepEqual(await manifestDown(pm, manifest), { groupId, released: 2, ports: [24300, 24301] });
+  assert.deepEqual(await manifestDown(pm, manifest), { groupId: null, released: 0, ports: [] });
+  assert.ok((await manifestStatus(pm, manifest)).services.every(service => service.status === 'down'));
+});
+
+test('allocateGroup with reuse returns the group already allocated', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const metadata = { app: 'a', manifest: '/tmp/gosiki.ports.json' };
+
+  const [first, second] = await Promise.all([
+    pm.allocateGroup(2, metadata, ['web', 'api'], { range: RANGE, reuse: 'manifest' }),
+    pm.allocateGroup(2, metadata, ['web', 'api'], { range: RANGE, reuse: 'manifest' })
+  ]);
+
+  assert.equal(first.groupId, second.groupId);
+  assert.deepEqual(first.ports, second.ports);
+  assert.deepEqual([first.reused, second.reused].sort(), [true, undefined]);
+  assert.equal(pm.listAllocations().length, 2);
+});
@@ -0,0 +1,483 @@
+/**
+ * MCP Server - Gosiki OS
+ *
+ * Model Context Protocol server over stdio (`gosiki-port mcp`), so agents can
+ * manage ports as native tools instead of running the CLI:
+ *
+ *   allocate_port, allocate_group, release_port, release_group,
+ *   detect_occupier, list_allocations, dashboard
+ *
+ * Messages are newline-delimited JSON-RPC 2.0 on stdin/stdout; nothing else
+ * may be written to stdout. Tools return the status objects from logger.mjs
+ * as structured content (and as JSON text for older clients). The app and
+ * worktree default to the git checkout the server was started in, which is
+ * the agent session's working directory.
+ *
+ * @module core/port-manager/mcp
+ */
+
+import { readFileSync } from 'fs';
+import { createInterface } from 'readline';
+import {
+  logAllocated,
+  logBlocked,
+  logDashboard,
+  logError,
+  logGroupAllocated,
+  logGroupReleased,
+  logNotInUse,
+  logOccupied,
+  logReleased
+} from './logger.mjs';
+
+/**
+ * MCP protocol versions this server speaks, newest first
+ */
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/**
+ * JSON-RPC error codes
+ */
+const RPC_ERRORS = {
+  parse: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internal: -32603
+};
+
+/**
+ * Schema of the protocol argument
+ */
+const PROTOCOL_PROPERTY = {
+  type: 'string',
+  enum: ['tcp', 'udp', 'both'],
+  description: 'Protocol (default: tcp)'
+};
+
+/**
+ * Properties shared by the allocation tools
+ */
+const ALLOCATION_PROPERTIES = {
+  range: { type: 'string', description: 'Port range, e.g. "3000-3999" (default: 3000-3999)' },
+  app: { type: 'string', description: 'Application name (default: the git repository)' },
+  worktree: { type: 'string', description: 'Worktree name (default: the current git branch)' },
+  ttl: { type: 'string', description: 'Lease duration, e.g. "30m"; the port is freed unless renewed' },
+  host: { type: 'string', description: 'Address the service will bind, e.g. "127.0.0.1"' },
+  protocol: PROTOCOL_PROPERTY,
+  sticky: { type: 'boolean', description: 'Prefer the port this app/worktree/role had last time' },
+  owner: {
+    type: 'integer',
+    minimum: 1,
+    description: 'PID owning the port; it is freed once that process exits (default: the MCP server)'
+  }
+};
+
+/**
+ * Tools offered by the server
+ */
+export const MCP_TOOLS = [
+  {
+    name: 'allocate_port',
+    description: 'Allocate a free port for a service so no other agent or worktree gets it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...ALLOCATION_PROPERTIES,
+        label: { type: 'string', description: 'What the port is for, e.g. "frontend"' }
+      }
+    }
+  },
+  {
+    name: 'allocate_group',
+    description: 'Allocate one port per role (e.g. frontend, backend, db) as a group that is released together.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        roles: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Role names' },
+        ...ALLOCATION_PROPERTIES,
+        contiguous: { type: 'boolean', description: 'Allocate consecutive ports in role order' },
+        alignment: { type: 'integer', minimum: 1, description: 'With contiguous, start at a multiple of this' }
+      },
+      required: ['roles']
+    }
+  },
+  {
+    name: 'release_port',
+    description: 'Release an allocated port.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        protocol: PROTOCOL_PROPERTY
+      },
+      required: ['port']
+    }
+  },
+  {
+    name: 'release_group',
+    description: 'Release every port of a group.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: { type: 'string', description: 'Group ID returned by allocate_group' }
+      },
+      required: ['groupId']
+    }
+  },
+  {
+    name: 'detect_occupier',
+    description: 'Find the process listening on a port.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        host: { type: 'string', description: 'Only report processes that conflict with this bind address' },
+        protocol: PROTOCOL_PROPERTY
+      },
+      required: ['port']
+    }
+  },
+  {
+    name: 'list_allocations',
+    description: 'List allocated ports, optionally for one app, worktree or group.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        app: { type: 'string' },
+        worktree: { type: 'string' },
+        groupId: { type: 'string' }
+      }
+    }
+  },
+  {
+    name: 'dashboard',
+    description: 'Show every allocation by app and worktree, with status (active, ready, free, stale, ...) and occupying process.',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+/**
+ * Read the package version
+ * @private
+ * @returns {string} Version from package.json
+ */
+function packageVersion() {
+  try {
+    return JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf-8')).version;
+  } catch {
+    return '0.0.0';
+  }
+}
+
+/**
+ * Create an error answered as a JSON-RPC error
+ * @private
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `rpcCode` set
+ */
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  return error;
+}
+
+/**
+ * Parse a range argument
+ * @private
+ * @param {string} [range] - e.g. "3000-3999"
+ * @returns {Object|undefined} { start, end }, or undefined for the default range
+ * @throws {Error} If the range is malformed
+ */
+function parseRange(range) {
+  if (range === undefined) return undefined;
+
+  const [start, end] = String(range).split('-').map(Number);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > 65535 || start > end) {
+    throw new Error(`Invalid range: ${range} (expected e.g. 3000-3999)`);
+  }
+  return { start, end };
+}
+
+/**
+ * Build metadata and options for the allocation tools
+ * @private
+ * @param {Object} args - Tool arguments
+ * @returns {Object} { range, metadata, options }
+ */
+function allocationArgs(args) {
+  const metadata = {};
+  for (const key of ['app', 'worktree', 'label']) {
+    if (args[key]) metadata[key] = args[key];
+  }
+
+  return {
+    range: parseRange(args.range),
+    metadata,
+    options: { ttl: args.ttl, host: args.host, protocol: args.protocol, sticky: args.sticky, pid: args.owner }
+  };
+}
+
+/**
+ * Describe what a property schema accepts
+ * @private
+ * @param {Object} schema - Property schema from MCP_TOOLS
+ * @returns {string} e.g. "an integer from 1 to 65535"
+ */
+function describeSchema(schema) {
+  if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+  if (schema.type === 'array') return `a non-empty array of ${schema.items.type}s`;
+  if (schema.type === 'integer') {
+    return `an integer${schema.minimum !== undefined ? ` from ${schema.minimum}` : ''}` +
+      `${schema.maximum !== undefined ? ` to ${schema.maximum}` : ''}`;
+  }
+  return `a ${schema.type}`;
+}
+
+/**
+ * Check a value against a property schema
+ * @private
+ * @param {Object} schema - Property schema from MCP_TOOLS
+ * @param {*} value - Argument value
+ * @returns {boolean} Whether the value matches
+ */
+function matchesSchema(schema, value) {
+  switch (schema.type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value) && value.length >= (schema.minItems ?? 0) &&
+        value.every(item => matchesSchema(schema.items, item));
+    case 'string':
+      if (typeof value !== 'string') return false;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return false;
+      break;
+  }
+  return (!schema.enum || schema.enum.includes(value)) &&
+    (schema.minimum === undefined || value >= schema.minimum) &&
+    (schema.maximum === undefined || value <= schema.maximum);
+}
+
+/**
+ * Check tool arguments against the input schema the tool advertises
+ *
+ * Arguments the schema does not name are ignored, as are null values.
+ * @private
+ * @param {Object} tool - Tool from MCP_TOOLS
+ * @param {*} args - Tool arguments
+ * @throws {Error} invalidParams for the first missing or mismatched argument
+ */
+function checkArguments(tool, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw rpcError(RPC_ERRORS.invalidParams, 'Tool arguments must be an object');
+  }
+
+  const { properties, required = [] } = tool.inputSchema;
+  for (const name of required) {
+    if (args[name] === undefined || args[name] === null) {
+      throw rpcError(RPC_ERRORS.invalidParams, `Missing required argument: ${name}`);
+    }
+  }
+  for (const [name, value] of Object.entries(args)) {
+    if (value === undefined || value === null || !Object.hasOwn(properties, name)) continue;
+    if (!matchesSchema(properties[name], value)) {
+      throw rpcError(RPC_ERRORS.invalidParams,
+        `Invalid argument ${name}: ${JSON.stringify(value)} (expected ${describeSchema(properties[name])})`);
+    }
+  }
+}
+
+/**
+ * Run a tool
+ * @private
+ * @param {PortManager} pm - Port manager
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} Status object from logger.mjs
+ */
+async function runTool(pm, name, args) {
+  const tool = MCP_TOOLS.find(entry => entry.name === name);
+  if (!tool) throw rpcError(RPC_ERRORS.invalidParams, `Unknown tool: ${name}`);
+  checkArguments(tool, args);
+
+  switch (name) {
+    case 'allocate_port': {
+      const { range, metadata, options } = allocationArgs(args);
+      return logAllocated(await pm.allocate(range, metadata, options));
+    }
+
+    case 'allocate_group': {
+      const { roles } = args;
+      const { range, metadata, options } = allocationArgs(args);
+      const result = await pm.allocateGroup(roles.length, metadata, roles, {
+        ...options,
+        range,
+        contiguous: args.contiguous,
+        alignment: args.alignment
+      });
+      return logGroupAllocated(result);
+    }
+
+    case 'release_port': {
+      const { port } = args;
+      const released = await pm.release(port, { protocol: args.protocol });
+      return released ? logReleased(port) : logError(`Port ${port} is not allocated`);
+    }
+
+    case 'release_group': {
+      const { groupId } = args;
+      const result = await pm.releaseGroup(groupId);
+      return result.released > 0
+        ? logGroupReleased(groupId, result)
+        : logError(`Group ${groupId} has no allocated ports`);
+    }
+
+    case 'detect_occupier': {
+      const { port } = args;
+      const occupier = await pm.detectOccupier(port, { host: args.host, protocol: args.protocol });
+      return occupier ? logOccupied(port, occupier) : logNotInUse(port);
+    }
+
+    case 'list_allocations': {
+      const allocations = pm.listAllocations().filter(entry =>
+        (!args.app || entry.metadata.app === args.app) &&
+        (!args.worktree || entry.metadata.worktree === args.worktree) &&
+        (!args.groupId || entry.groupId === args.groupId));
+      return { status: 'list', allocations, message: `Found ${allocations.length} allocated port(s).` };
+    }
+
+    case 'dashboard':
+      return logDashboard(await pm.getAllGrouped());
+  }
+}
+
+/**
+ * Answer a tools/call request
+ *
+ * Failures of the operation itself (no free port, blocked by the policy)
+ * are tool results with isError set, so the agent sees them.
+ * @private
+ * @param {PortManager} pm - Port manager
+ * @param {Object} params - { name, arguments }
+ * @returns {Promise<Object>} MCP tool result
+ */
+async function callTool(pm, params = {}) {
+  let data;
+  try {
+    data = await runTool(pm, params.name, params.arguments ?? {});
+  } catch (error) {
+    if (error.rpcCode) throw error;
+    data = error.reason
+      ? logBlocked(error.port ?? null, error.reason, error.message)
+      : logError(error.message);
+  }
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+    structuredContent: data,
+    isError: ['error', 'blocked'].includes(data.status)
+  };
+}
+
+/**
+ * Answer one JSON-RPC message
+ * @private
+ * @param {PortManager} pm - Port manager
+ * @param {Object} message - Request or notification
+ * @returns {Promise<Object|null>} Response, or null for notifications
+ */
+async function handleMessage(pm, message) {
+  if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return {
+      jsonrpc: '2.0',
+      id: message?.id ?? null,
+      error: { code: RPC_ERRORS.invalidRequest, message: 'Invalid Request' }
+    };
+  }
+
+  // Notifications (notifications/initialized, notifications/cancelled) need no answer
+  if (message.id === undefined) return null;
+
+  try {
+    let result;
+    switch (message.method) {
+      case 'initialize': {
+        const requested = message.params?.protocolVersion;
+        result = {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: { name: 'gosiki-port', version: packageVersion() }
+        };
+        break;
+      }
+
+      case 'ping':
+        result = {};
+        break;
+
+      case 'tools/list':
+        result = { tools: MCP_TOOLS };
+        break;
+
+      case 'tools/call':
+        result = await callTool(pm, message.params);
+        break;
+
+      default:
+        throw rpcError(RPC_ERRORS.methodNotFound, `Method not found: ${message.method}`);
+    }
+    return { jsonrpc: '2.0', id: message.id, result };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id: message.id,
+      error: { code: error.rpcCode || RPC_ERRORS.internal, message: error.message }
+    };
+  }
+}
+
+/**
+ * Serve MCP over a pair of streams until the input ends
+ * @param {PortManager} pm - Port manager (app/worktree default to its git checkout)
+ * @param {Object} [options] - Stream options
+ * @param {stream.Readable} [options.input=process.stdin] - Incoming messages
+ * @param {stream.Writable} [options.output=process.stdout] - Outgoing messages
+ * @returns {Promise<void>} Resolves when the input ends
+ */
+export async function serveMcp(pm, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      output.write(JSON.stringify({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: RPC_ERRORS.parse, message: 'Parse error' }
+      }) + '\n');
+      continue;
+    }
+
+    // Requests run concurrently; a slow allocation doesn't hold up a ping
+    const task = handleMessage(pm, message)
+      .then((response) => {
+        if (response) output.write(JSON.stringify(response) + '\n');
+      })
+      // A reply that cannot be written (e.g. the client went away) only loses that reply
+      .catch(() => {})
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  }
+
+  await Promise.all(pending);
+}
@@ -0,0 +1,170 @@
+/**
+ * MCP server tests
+ *
+ * @module core/port-manager/mcp.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { formatOutput } from './logger.mjs';
+import { MCP_TOOLS, serveMcp } from './mcp.mjs';
+import { tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 24500, end: 24599 };
+
+/**
+ * Run an MCP session over in-memory streams until every message is answered
+ * @param {PortManager} pm - Port manager to serve
+ * @param {Array<Object|string>} messages - Messages to send (strings are sent as-is)
+ * @returns {Promise<Object>} Responses keyed by id
+ */
+async function session(pm, messages) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', (chunk) => {
+    text += chunk;
+  });
+
+  const served = serveMcp(pm, { input, output });
+  for (const message of messages) {
+    input.write((typeof message === 'string' ? message : JSON.stringify({ jsonrpc: '2.0', ...message })) + '\n');
+  }
+  input.end();
+  await served;
+
+  const responses = {};
+  for (const line of text.trim().split('\n')) {
+    const response = JSON.parse(line);
+    responses[response.id] = response;
+  }
+  return responses;
+}
+
+/**
+ * Build a tools/call request
+ * @param {number} id - Request id
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Object} JSON-RPC request
+ */
+function call(id, name, args) {
+  return { id, method: 'tools/call', params: { name, arguments: args } };
+}
+
+test('initialize negotiates the protocol version and lists the tools', async (t) => {
+  const responses = await session(tempPortManager(t, { range: RANGE }), [
+    { id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } },
+    { method: 'notifications/initialized' },
+    { id: 2, method: 'tools/list' }
+  ]);
+
+  assert.equal(responses[1].result.protocolVersion, '2025-03-26');
+  assert.deepEqual(responses[2].result.tools, MCP_TOOLS);
+  assert.equal(Object.keys(responses).length, 2);
+});
+
+test('allocate_port and release_port manage ports owned by the server', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const responses = await session(pm, [
+    call(1, 'allocate_port', { range: '24500-24510', app: 'web', label: 'frontend' }),
+    call(2, 'allocate_port', { range: '24511-24520', app: 'web', owner: 1 })
+  ]);
+
+  const allocated = responses[1].result.structuredContent;
+  assert.equal(allocated.status, 'allocated');
+  assert.equal(responses[1].result.isError, false);
+
+  const owners = Object.fromEntries(pm.listAllocations().map(entry => [entry.port, entry.pid]));
+  assert.equal(owners[allocated.port], process.pid);
+  assert.equal(owners[responses[2].result.structuredContent.port], 1);
+
+  const released = await session(pm, [call(3, 'release_port', { port: allocated.port })]);
+  assert.equal(released[3].result.structuredContent.status, 'released');
+  assert.equal(pm.listAllocations().length, 1);
+});
+
+test('allocate_group allocates one port per role', async (t) => {
+  const responses = await session(tempPortManager(t, { range: RANGE }), [
+    call(1, 'allocate_group', { roles: ['web', 'api'], range: '24500-24510', contiguous: true })
+  ]);
+
+  const group = responses[1].result.structuredContent;
+  assert.equal(group.status, 'group-allocated');
+  assert.equal(group.ports.api, group.ports.web + 1);
+});
+
+test('failed operations are tool results with isError', async (t) => {
+  const responses = await session(tempPortManager(t, { range: RANGE }), [
+    call(1, 'allocate_port', { range: '24599-24599' }),
+    call(2, 'allocate_port', { range: '24599-24599' })
+  ]);
+
+  const failed = [responses[1], responses[2]].find(response => response.result.isError);
+  assert.ok(failed);
+  assert.equal(failed.result.structuredContent.status, 'error');
+});
+
+test('protocol errors are JSON-RPC errors', async (t) => {
+  const responses = await session(tempPortManager(t, { range: RANGE }), [
+    '{ not json',
+    { id: 1, method: 'resources/list' },
+    call(2, 'release_port', {})
+  ]);
+
+  assert.equal(responses[null].error.code, -32700);
+  assert.equal(responses[1].error.code, -32601);
+  assert.equal(responses[2].error.code, -32602);
+});
+
+test('arguments that do not match the advertised schema are invalid params', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const responses = await session(pm, [
+    call(1, 'allocate_port', { range: '24500-24599', owner: 0 }),
+    call(2, 'allocate_port', { range: '24500-24599', owner: '1234' }),
+    call(3, 'allocate_port', { range: '24500-24599', protocol: 'sctp' }),
+    call(4, 'allocate_port', { range: '24500-24599', sticky: 'yes' }),
+    call(5, 'allocate_group', { range: '24500-24599', roles: ['web', 1] }),
+    call(6, 'release_port', { port: '24500' }),
+    call(7, 'detect_occupier', { port: 70000 }),
+    call(8, 'release_group', { groupId: 42 }),
+    { id: 9, method: 'tools/call', params: { name: 'dashboard', arguments: [] } }
+  ]);
+
+  for (const id of [1, 2, 3, 4, 5, 6, 7, 8, 9]) {
+    assert.equal(responses[id].error?.code, -32602, `request ${id}`);
+  }
+  assert.match(responses[1].error.message, /Invalid argument owner: 0 \(expected an integer from 1\)/);
+  assert.match(responses[5].error.message, /expected a non-empty array of strings/);
+  assert.deepEqual(pm.listAllocations(), []);
+});
+
+test('dashboard answers with a logger status object', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  await pm.allocate(RANGE, { app: 'web', worktree: 'main' });
+
+  const responses = await session(pm, [call(1, 'dashboard', {})]);
+  const dashboard = responses[1].result.structuredContent;
+
+  assert.equal(dashboard.status, 'dashboard');
+  assert.equal(dashboard.apps.web.main.length, 1);
+  assert.equal(dashboard.message, 'Found 1 allocated port(s) in 1 app(s).');
+  assert.equal(formatOutput(dashboard), 'Gosiki OS: Found 1 allocated port(s) in 1 app(s).');
+});
+
+test('a reply that cannot be written does not end the session', async (t) => {
+  const unhandled = [];
+  const onUnhandled = reason => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  const input = new PassThrough();
+  const output = { write: () => { throw new Error('client went away'); } };
+  const served = serveMcp(tempPortManager(t, { range: RANGE }), { input, output });
+  input.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }) + '\n');
+
+  await served;
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(unhandled, []);
+});
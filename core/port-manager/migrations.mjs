@@ -0,0 +1,122 @@
+/**
+ * Registry Migrations - Gosiki OS
+ *
+ * Upgrades registry data written by older versions to the current schema,
+ * one version step at a time. Registries written by a newer version are
+ * refused rather than silently downgraded.
+ *
+ * Schema history:
+ *   1.0.0  Original format. The npx CLI wrote `pid`/`label` entries,
+ *          PortManager wrote `metadata`/`groupId`/`role` entries, and early
+ *          metadata used `workspace` instead of `app`.
+ *   2.0.0  Unified format: `label` lives in `metadata.label`, `workspace`
+ *          is renamed to `app`, and every entry has a `metadata` object.
+ *   3.0.0  Allocations are keyed per protocol ('3000/tcp', '5353/udp');
+ *          every existing entry is a TCP allocation.
+ *
+ * @module core/port-manager/migrations
+ */
+
+import { allocationKey } from './protocol.mjs';
+
+/**
+ * Schema version written by this version of the port manager
+ */
+export const CURRENT_REGISTRY_VERSION = '3.0.0';
+
+/**
+ * Version assumed for registries without a version field
+ */
+const INITIAL_REGISTRY_VERSION = '1.0.0';
+
+/**
+ * Ordered migration steps; each upgrades a registry from `from` to `to`
+ */
+const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '2.0.0',
+    migrate(registry) {
+      const allocations = {};
+
+      for (const [port, info] of Object.entries(registry.allocations || {})) {
+        const { label, ...rest } = info;
+        const { workspace, ...metadata } = rest.metadata || {};
+
+        if (label && !metadata.label) {
+          metadata.label = label;
+        }
+        if (workspace && !metadata.app) {
+          metadata.app = workspace;
+        }
+
+        allocations[port] = { ...rest, metadata };
+      }
+
+      return { ...registry, allocations };
+    }
+  },
+  {
+    from: '2.0.0',
+    to: '3.0.0',
+    migrate(registry) {
+      const allocations = {};
+
+      for (const [port, info] of Object.entries(registry.allocations || {})) {
+        allocations[allocationKey(port, 'tcp')] = info;
+      }
+
+      return { ...registry, allocations };
+    }
+  }
+];
+
+/**
+ * Compare two x.y.z version strings
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Upgrade registry data to the current schema
+ * @param {Object} registry - Registry data as read from disk
+ * @returns {Object} { registry, fromVersion, migrated }
+ * @throws {Error} If the registry was written by a newer version, or no migration path exists
+ */
+export function migrateRegistry(registry) {
+  const fromVersion = registry.version || INITIAL_REGISTRY_VERSION;
+
+  if (compareVersions(fromVersion, CURRENT_REGISTRY_VERSION) > 0) {
+    throw new Error(
+      `Registry format ${fromVersion} is newer than this port manager supports (${CURRENT_REGISTRY_VERSION}). ` +
+      'Upgrade @gosiki-os/port-manager instead of downgrading the registry.'
+    );
+  }
+
+  let current = { ...registry, version: fromVersion };
+
+  while (compareVersions(current.version, CURRENT_REGISTRY_VERSION) < 0) {
+    const step = MIGRATIONS.find(migration => migration.from === current.version);
+    if (!step) {
+      throw new Error(`No migration path from registry format ${current.version} to ${CURRENT_REGISTRY_VERSION}`);
+    }
+    current = { ...step.migrate(current), version: step.to };
+  }
+
+  return {
+    registry: current,
+    fromVersion,
+    migrated: fromVersion !== CURRENT_REGISTRY_VERSION
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Port Owner Tracking - Gosiki OS
+ *
+ * Identifies the process that owns an allocation by PID plus process start
+ * time, so a PID that the OS has reused for an unrelated process is not
+ * mistaken for the original owner.
+ *
+ * @module core/port-manager/owner
+ */
+
+import { execFileSync } from 'child_process';
+import { readFileSync } from 'fs';
+import os from 'os';
+
+/**
+ * Start times closer than this are considered the same process
+ * (ps/PowerShell report whole seconds)
+ */
+const START_TIME_TOLERANCE_MS = 2000;
+
+/**
+ * Linux clock ticks per second used by /proc/<pid>/stat (USER_HZ)
+ */
+const LINUX_CLOCK_TICKS = 100;
+
+/**
+ * Read the system boot time on Linux
+ * @private
+ * @returns {number|null} Boot time in ms since epoch
+ */
+function getLinuxBootTime() {
+  try {
+    const match = readFileSync('/proc/stat', 'utf-8').match(/^btime (\d+)$/m);
+    return match ? Number(match[1]) * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the start time of a process
+ * @param {number} pid - Process ID
+ * @returns {string|null} ISO timestamp, or null if it cannot be determined
+ */
+export function getProcessStartTime(pid) {
+  const platform = os.platform();
+
+  try {
+    if (platform === 'linux') {
+      // Field 22 of /proc/<pid>/stat; fields are counted after the "(comm)" part
+      const stat = readFileSync(`/proc/${pid}/stat`, 'utf-8');
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      const bootTime = getLinuxBootTime();
+      if (bootTime === null) return null;
+
+      const startTicks = Number(fields[19]);
+      return new Date(bootTime + (startTicks * 1000) / LINUX_CLOCK_TICKS).toISOString();
+    }
+
+    if (platform === 'win32') {
+      const stdout = execFileSync('powershell', [
+        '-NoProfile',
+        '-Command',
+        `(Get-Process -Id ${Number(pid)}).StartTime.ToUniversalTime().ToString('o')`
+      ], { stdio: 'pipe', timeout: 5000 });
+      const startedAt = new Date(stdout.toString().trim());
+      return isNaN(startedAt) ? null : startedAt.toISOString();
+    }
+
+    // macOS / BSD
+    const stdout = execFileSync('ps', ['-p', String(pid), '-o', 'lstart='], { stdio: 'pipe', timeout: 5000 });
+    const startedAt = new Date(stdout.toString().trim());
+    return isNaN(startedAt) ? null : startedAt.toISOString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a PID refers to a running process
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Describe a process as an allocation owner
+ * @param {number} [pid=process.pid] - Process ID
+ * @returns {Object} { pid, pidStartedAt }
+ */
+export function describeOwner(pid = process.pid) {
+  return {
+    pid,
+    pidStartedAt: getProcessStartTime(pid)
+  };
+}
+
+/**
+ * Check whether the owner recorded on an allocation is still running
+ *
+ * Allocations without an owner are never considered dead. When the start
+ * time cannot be read (or was not recorded) only the PID is checked.
+ * @param {Object} info - Allocation entry ({ pid?, pidStartedAt? })
+ * @returns {boolean} True if the owner is alive (or unknown)
+ */
+export function isOwnerAlive(info) {
+  if (!info?.pid) return true;
+  if (!isProcessAlive(info.pid)) return false;
+  if (!info.pidStartedAt) return true;
+
+  const current = getProcessStartTime(info.pid);
+  if (!current) return true;
+
+  return Math.abs(Date.parse(current) - Date.parse(info.pidStartedAt)) <= START_TIME_TOLERANCE_MS;
+}
@@ -0,0 +1,254 @@
+/**
+ * Allocation Policy - Gosiki OS
+ *
+ * Rules applied by allocate, allocateGroup and reserve, read from
+ * `policy.json` next to the registry (override with GOSIKI_POLICY_PATH):
+ *
+ *   {
+ *     "exclude": [5432, "3300-3310"],
+ *     "excludeWellKnown": true,
+ *     "maxPerApp": 20,
+ *     "maxPerWorktree": 5,
+ *     "apps": {
+ *       "miyabi": { "range": "3000-3099", "max": 10 }
+ *     }
+ *   }
+ *
+ * Excluded ports are never handed out. An app with a range only gets ports
+ * from it, and no other app gets ports from it. Quotas count ports (a port
+ * allocated for TCP and UDP counts once).
+ *
+ * A rejection is an Error with `reason` and `port` set, reported by the CLI
+ * through logBlocked().
+ *
+ * @module core/port-manager/policy
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { isLeaseExpired } from './lease.mjs';
+import { parseAllocationKey } from './protocol.mjs';
+
+/**
+ * Well-known service ports excluded with `excludeWellKnown`
+ */
+export const WELL_KNOWN_PORTS = {
+  1433: 'mssql',
+  1521: 'oracle',
+  2181: 'zookeeper',
+  3306: 'mysql',
+  3389: 'rdp',
+  5432: 'postgres',
+  5672: 'amqp',
+  5984: 'couchdb',
+  6379: 'redis',
+  9092: 'kafka',
+  9200: 'elasticsearch',
+  11211: 'memcached',
+  27017: 'mongodb'
+};
+
+/**
+ * Policy that allows everything
+ */
+const EMPTY_POLICY = { exclude: [], maxPerApp: null, maxPerWorktree: null, apps: {} };
+
+/**
+ * Get the policy file path for a registry
+ * @param {string} registryPath - Registry file path
+ * @returns {string} Policy path (GOSIKI_POLICY_PATH, else policy.json next to the registry)
+ */
+export function getPolicyPath(registryPath) {
+  return process.env.GOSIKI_POLICY_PATH || join(dirname(registryPath), 'policy.json');
+}
+
+/**
+ * Parse a port or range given as 5432, "5432", "3300-3310" or an already
+ * normalized { start, end, name? }
+ * @private
+ * @param {number|string|Object} value - Policy value
+ * @param {string} where - Location for error messages
+ * @returns {Object} { start, end, name? }
+ * @throws {Error} If the value is malformed
+ */
+function parseRange(value, where) {
+  const normalized = value !== null && typeof value === 'object';
+  const [start, end = start] = normalized
+    ? [value.start, value.end]
+    : String(value).split('-').map(Number);
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > 65535 || start > end) {
+    throw new Error(`Invalid port or range in ${where}: ${JSON.stringify(value)}`);
+  }
+  return normalized && value.name ? { start, end, name: value.name } : { start, end };
+}
+
+/**
+ * Parse an optional quota
+ * @private
+ * @param {*} value - Policy value
+ * @param {string} where - Location for error messages
+ * @returns {number|null} Quota, or null for unlimited
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseQuota(value, where) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid quota in ${where}: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Validate and normalize policy data
+ *
+ * Normalizing a normalized policy returns an equal one, so a policy can be
+ * sent as JSON (e.g. to the daemon) and normalized again on arrival.
+ * @param {Object} [data] - Raw policy (see module docs)
+ * @returns {Object} { exclude: [{ start, end, name? }], maxPerApp, maxPerWorktree, apps: { [app]: { range?, max } } }
+ * @throws {Error} If the policy is invalid
+ */
+export function normalizePolicy(data = {}) {
+  const exclude = (data.exclude || []).map(value => parseRange(value, 'exclude'));
+
+  if (data.excludeWellKnown) {
+    for (const [port, name] of Object.entries(WELL_KNOWN_PORTS)) {
+      exclude.push({ start: Number(port), end: Number(port), name });
+    }
+  }
+
+  const apps = {};
+  for (const [app, rules = {}] of Object.entries(data.apps || {})) {
+    apps[app] = {
+      range: rules.range !== undefined ? parseRange(rules.range, `apps.${app}.range`) : undefined,
+      max: parseQuota(rules.max, `apps.${app}.max`)
+    };
+  }
+
+  return {
+    exclude,
+    maxPerApp: parseQuota(data.maxPerApp, 'maxPerApp'),
+    maxPerWorktree: parseQuota(data.maxPerWorktree, 'maxPerWorktree'),
+    apps
+  };
+}
+
+/**
+ * Load the policy file
+ * @param {string} policyPath - Path to policy.json
+ * @returns {Object} Normalized policy (allows everything if the file does not exist)
+ * @throws {Error} If the file cannot be parsed or is invalid
+ */
+export function loadPolicy(policyPath) {
+  if (!existsSync(policyPath)) return EMPTY_POLICY;
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(policyPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read policy ${policyPath}: ${error.message}`);
+  }
+  return normalizePolicy(data);
+}
+
+/**
+ * Create the error for a rejected request
+ * @param {number|null} port - Requested port (null if none in particular)
+ * @param {string} reason - Machine-readable reason (see checkPort and checkQuota)
+ * @param {string} message - Human-readable explanation
+ * @returns {Error} Error with `reason` and `port` set
+ */
+export function blockedError(port, reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  error.port = port;
+  return error;
+}
+
+/**
+ * Range an app's ports come from
+ * @param {Object} policy - Normalized policy
+ * @param {string} [app] - App name
+ * @param {Object} range - Requested range { start, end }
+ * @returns {Object} The app's dedicated range, if it has one, else the requested range
+ */
+export function policyRange(policy, app, range) {
+  return policy.apps[app]?.range || range;
+}
+
+/**
+ * Check whether a port may be given to an app
+ * @param {Object} policy - Normalized policy
+ * @param {number} port - Port number
+ * @param {string} [app] - App name
+ * @returns {Object|null} null if allowed, else { reason, message } where reason is
+ *   'excluded-port', 'outside-app-range' or 'reserved-for-app'
+ */
+export function checkPort(policy, port, app) {
+  const excluded = policy.exclude.find(({ start, end }) => port >= start && port <= end);
+  if (excluded) {
+    const name = excluded.name ? ` (${excluded.name})` : '';
+    return { reason: 'excluded-port', message: `Port ${port}${name} is excluded by policy` };
+  }
+
+  const own = policy.apps[app]?.range;
+  if (own && (port < own.start || port > own.end)) {
+    return {
+      reason: 'outside-app-range',
+      message: `Port ${port} is outside the range ${own.start}-${own.end} dedicated to ${app}`
+    };
+  }
+
+  for (const [other, rules] of Object.entries(policy.apps)) {
+    if (other !== app && rules.range && port >= rules.range.start && port <= rules.range.end) {
+      return {
+        reason: 'reserved-for-app',
+        message: `Port ${port} is in the range ${rules.range.start}-${rules.range.end} dedicated to ${other}`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether an app/worktree may allocate more ports
+ * @param {Object} policy - Normalized policy
+ * @param {Object} registry - Registry data
+ * @param {Object} metadata - Allocation metadata ({ app, worktree })
+ * @param {number} count - Number of new ports requested
+ * @returns {Object|null} null if within quota, else { reason, message } where reason is
+ *   'app-quota-exceeded' or 'worktree-quota-exceeded'
+ */
+export function checkQuota(policy, registry, metadata, count) {
+  const app = metadata.app || 'default';
+  const worktree = metadata.worktree || 'default';
+  const appMax = policy.apps[app]?.max ?? policy.maxPerApp;
+  const appPorts = new Set();
+  const worktreePorts = new Set();
+
+  for (const [key, info] of Object.entries(registry.allocations)) {
+    if (isLeaseExpired(info) || (info.metadata?.app || 'default') !== app) continue;
+
+    const { port } = parseAllocationKey(key);
+    appPorts.add(port);
+    if ((info.metadata?.worktree || 'default') === worktree) {
+      worktreePorts.add(port);
+    }
+  }
+
+  if (appMax !== null && appPorts.size + count > appMax) {
+    return {
+      reason: 'app-quota-exceeded',
+      message: `${app} already has ${appPorts.size} of ${appMax} allowed port(s); cannot allocate ${count} more`
+    };
+  }
+  if (policy.maxPerWorktree !== null && worktreePorts.size + count > policy.maxPerWorktree) {
+    return {
+      reason: 'worktree-quota-exceeded',
+      message: `${app}/${worktree} already has ${worktreePorts.size} of ${policy.maxPerWorktree} allowed port(s); cannot allocate ${count} more`
+    };
+  }
+
+  return null;
+}
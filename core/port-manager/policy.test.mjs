@@ -0,0 +1,81 @@
+/**
+ * Allocation policy tests - exclusions, app ranges and quotas
+ *
+ * @module core/port-manager/policy.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { normalizePolicy } from './policy.mjs';
+import { tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 24100, end: 24199 };
+
+test('normalizePolicy parses ports, ranges and well-known ports', () => {
+  const policy = normalizePolicy({
+    exclude: [24100, '24101-24103'],
+    excludeWellKnown: true,
+    maxPerApp: 2,
+    apps: { web: { range: '24150-24159', max: 1 } }
+  });
+
+  assert.deepEqual(policy.exclude.slice(0, 2), [{ start: 24100, end: 24100 }, { start: 24101, end: 24103 }]);
+  assert.ok(policy.exclude.some(entry => entry.start === 5432 && entry.name === 'postgres'));
+  assert.deepEqual(policy.apps.web, { range: { start: 24150, end: 24159 }, max: 1 });
+  assert.equal(policy.maxPerApp, 2);
+  assert.equal(policy.maxPerWorktree, null);
+});
+
+test('normalizePolicy accepts its own output', () => {
+  const policy = normalizePolicy({ exclude: ['24100-24101'], excludeWellKnown: true, apps: { web: { range: '24150-24159' } } });
+
+  assert.deepEqual(normalizePolicy(JSON.parse(JSON.stringify(policy))), policy);
+});
+
+test('normalizePolicy rejects malformed values', () => {
+  assert.throws(() => normalizePolicy({ exclude: ['24110-24100'] }), /Invalid port or range in exclude/);
+  assert.throws(() => normalizePolicy({ maxPerApp: -1 }), /Invalid quota in maxPerApp/);
+});
+
+test('excluded ports are skipped', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, policy: { exclude: ['24100-24102'] } });
+
+  assert.equal(await pm.allocate(RANGE), 24103);
+});
+
+test('the policy file next to the registry is applied', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  writeFileSync(join(pm.registryPath, '..', 'policy.json'), JSON.stringify({ exclude: [24100] }));
+
+  assert.equal(await pm.allocate(RANGE), 24101);
+});
+
+test('apps only get ports from their own range', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, policy: { apps: { web: { range: '24150-24159' } } } });
+
+  assert.equal(await pm.allocate(RANGE, { app: 'web' }), 24150);
+  assert.equal(await pm.allocate({ start: 24150, end: 24199 }, { app: 'other' }), 24160);
+});
+
+test('quotas reject allocations with a reason', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, policy: { maxPerApp: 1 } });
+  await pm.allocate(RANGE, { app: 'web' });
+
+  await assert.rejects(pm.allocate(RANGE, { app: 'web' }), (error) => {
+    assert.equal(error.reason, 'app-quota-exceeded');
+    return true;
+  });
+  assert.equal(await pm.allocate(RANGE, { app: 'api' }), 24101);
+});
+
+test('reserving an excluded port is rejected', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, policy: { exclude: [24120] } });
+
+  await assert.rejects(pm.reserve(24120), (error) => {
+    assert.equal(error.port, 24120);
+    assert.equal(error.reason, 'excluded-port');
+    return true;
+  });
+});
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Port Allocation Daemon CLI - Gosiki OS
+ *
+ * Usage:
+ *   gosiki-portd [--registry <path>] [--watch-interval <ms>]
+ *   gosiki-portd --detach
+ *   gosiki-portd --status [--json]
+ *   gosiki-portd --stop
+ *
+ * While the daemon runs, PortManager (and gosiki-port) route allocations
+ * through it automatically; when it is stopped they fall back to the
+ * registry file.
+ */
+
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { PortManager } from './PortManager.mjs';
+import { getDaemonSocketPath, pingDaemon, requestDaemon, startDaemon } from './daemon.mjs';
+import { formatOutput, logError } from './logger.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = {
+    command: 'start',
+    registryPath: null,
+    watchInterval: 500,
+    detach: false,
+    json: false,
+    help: false
+  };
+
+  for (let i = 2; i < process.argv.length; i++) {
+    const arg = process.argv[i];
+
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg === '--status') {
+      args.command = 'status';
+    } else if (arg === '--stop') {
+      args.command = 'stop';
+    } else if (arg === '--detach') {
+      args.detach = true;
+    } else if (arg === '--registry') {
+      args.registryPath = process.argv[++i];
+    } else if (arg === '--watch-interval') {
+      args.watchInterval = parseInt(process.argv[++i]);
+    } else if (arg === '--json') {
+      args.json = true;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Print help message
+ */
+function printHelp() {
+  console.log(`
+Gosiki Port Daemon
+==================
+
+Usage:
+  gosiki-portd [--registry <path>] [--watch-interval <ms>] [--detach]
+  gosiki-portd --status [--json]
+  gosiki-portd --stop
+
+Options:
+  --registry <path>         Registry file to serve (default: ~/.gosiki-os/port-registry.json)
+  --watch-interval <ms>     How often to check owner processes (default: 500, 0 disables)
+  --detach                  Start in the background and return
+  --status                  Show whether the daemon is running
+  --stop                    Stop a running daemon
+  --json                    Output in JSON format (AI-readable)
+  --help, -h                Show this help message
+`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const args = parseArgs();
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  const pm = new PortManager({
+    registryPath: args.registryPath || undefined,
+    ownerPid: null,
+    daemon: false,
+    // Clients send their own app/worktree; the daemon's checkout is irrelevant
+    detectGit: false
+  });
+  const socketPath = getDaemonSocketPath(pm.registryPath);
+
+  switch (args.command) {
+    case 'status': {
+      const status = await pingDaemon(socketPath);
+      const logData = status
+        ? { status: 'running', ...status, message: `Daemon running (PID ${status.pid}) on ${status.socketPath}.` }
+        : { status: 'stopped', socketPath, message: 'Daemon is not running.' };
+      console.log(formatOutput(logData, args.json));
+      process.exit(status ? 0 : 1);
+      break;
+    }
+
+    case 'stop': {
+      const response = await requestDaemon(socketPath, 'shutdown');
+      console.log(formatOutput({
+        status: response ? 'stopped' : 'not-running',
+        message: response ? 'Daemon stopped.' : 'Daemon is not running.'
+      }, args.json));
+      break;
+    }
+
+    default: {
+      if (args.detach) {
+        const childArgs = process.argv.slice(2).filter(arg => arg !== '--detach');
+        const child = spawn(process.execPath, [__filename, ...childArgs], {
+          detached: true,
+          stdio: 'ignore'
+        });
+        child.unref();
+
+        // Wait until the daemon answers so callers can rely on it right away
+        for (let attempt = 0; attempt < 50; attempt++) {
+          if (await pingDaemon(socketPath)) {
+            console.log(formatOutput({
+              status: 'running',
+              pid: child.pid,
+              socketPath,
+              message: `Daemon started (PID ${child.pid}) on ${socketPath}.`
+            }, args.json));
+            return;
+          }
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        throw new Error('Daemon did not start within 5 seconds');
+      }
+
+      const daemon = await startDaemon({
+        portManager: pm,
+        socketPath,
+        watchInterval: args.watchInterval,
+        onLog: line => console.log(`Gosiki OS: ${line}`)
+      });
+
+      const shutdown = () => daemon.close().then(() => process.exit(0));
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    }
+  }
+}
+
+main().catch(error => {
+  const errorData = logError(error.message);
+  console.error(formatOutput(errorData, false));
+  process.exit(1);
+});
@@ -0,0 +1,244 @@
+/**
+ * Port Availability Probing - Gosiki OS
+ *
+ * Checks whether a port can be bound by actually binding it. Without a bind
+ * host, every IPv4/IPv6 wildcard and loopback address is probed, so a dev
+ * server bound only to ::1 or 127.0.0.1 is not mistaken for a free port.
+ * With a bind host, only the addresses that host would conflict with are
+ * probed. TCP ports are probed with a listening server, UDP ports by binding
+ * a datagram socket.
+ *
+ * To search a range, findAvailablePorts() probes candidates concurrently in
+ * batches and first drops ports the OS socket table already shows as bound
+ * (Linux /proc), so a busy range costs a few round trips instead of one
+ * bind per port.
+ *
+ * @module core/port-manager/probe
+ */
+
+import dgram from 'dgram';
+import net from 'net';
+import { resolveProtocols } from './protocol.mjs';
+import { isProcAvailable, readSocketTable } from './sockets.mjs';
+
+/**
+ * Addresses probed when no bind host is given
+ */
+export const DEFAULT_PROBE_HOSTS = ['0.0.0.0', '::', '127.0.0.1', '::1'];
+
+/**
+ * Ports probed at once by findAvailablePorts
+ */
+export const DEFAULT_PROBE_CONCURRENCY = 16;
+
+/**
+ * Bind errors meaning "this address does not exist here" rather than "in use"
+ * (e.g. IPv6 disabled on the host)
+ */
+const UNSUPPORTED_ADDRESS_ERRORS = ['EADDRNOTAVAIL', 'EAFNOSUPPORT', 'EPROTONOSUPPORT'];
+
+/**
+ * Resolve the addresses to probe for a bind host
+ * @param {string|Array<string>} [host] - Bind host(s); 'localhost' means both loopbacks
+ * @returns {Array<string>} Addresses to probe
+ */
+export function resolveProbeHosts(host) {
+  if (!host) return DEFAULT_PROBE_HOSTS;
+
+  const hosts = Array.isArray(host) ? host : [host];
+  return [...new Set(hosts.flatMap(entry => (entry === 'localhost' ? ['127.0.0.1', '::1'] : [entry])))];
+}
+
+/**
+ * Normalize an address reported by the OS (drops the IPv4-mapped prefix)
+ * @private
+ * @param {string} address - IP address
+ * @returns {string} Normalized address
+ */
+function normalizeAddress(address) {
+  return address.startsWith('::ffff:') ? address.slice(7) : address;
+}
+
+/**
+ * Check whether a socket bound to an address conflicts with a bind host
+ * @param {string} socketAddress - Address a socket is bound to
+ * @param {string|Array<string>} [host] - Bind host(s); any address conflicts when omitted
+ * @returns {boolean} True if binding host would collide with the socket
+ */
+export function addressConflicts(socketAddress, host) {
+  if (!host) return true;
+
+  const address = normalizeAddress(socketAddress);
+
+  return resolveProbeHosts(host).some((entry) => {
+    const target = normalizeAddress(entry);
+
+    // The IPv6 wildcard is dual-stack by default and collides with everything
+    if (address === '::' || target === '::') return true;
+    if (target === '0.0.0.0') return net.isIPv4(address);
+    if (address === '0.0.0.0') return net.isIPv4(target);
+    return address === target;
+  });
+}
+
+/**
+ * Try to listen on a single address
+ * @private
+ * @param {number} port - Port number
+ * @param {string} host - Address to bind
+ * @returns {Promise<boolean>} True if the address is free (or does not exist here)
+ */
+function probeTcpAddress(port, host) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', (error) => {
+      resolve(UNSUPPORTED_ADDRESS_ERRORS.includes(error.code));
+    });
+    server.once('listening', () => {
+      server.close(() => resolve(true));
+    });
+    server.listen({ port, host, exclusive: true });
+  });
+}
+
+/**
+ * Try to bind a datagram socket on a single address
+ * @private
+ * @param {number} port - Port number
+ * @param {string} host - Address to bind
+ * @returns {Promise<boolean>} True if the address is free (or does not exist here)
+ */
+function probeUdpAddress(port, host) {
+  return new Promise((resolve) => {
+    let socket;
+    try {
+      socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    } catch (error) {
+      resolve(UNSUPPORTED_ADDRESS_ERRORS.includes(error.code));
+      return;
+    }
+    socket.once('error', (error) => {
+      socket.close();
+      resolve(UNSUPPORTED_ADDRESS_ERRORS.includes(error.code));
+    });
+    socket.once('listening', () => {
+      socket.close(() => resolve(true));
+    });
+    socket.bind({ port, address: host, exclusive: true });
+  });
+}
+
+/**
+ * Listen on a port and keep the server open
+ *
+ * Used to hand a port over already bound, so nothing can take it between
+ * the availability check and the consumer's own listen().
+ * @param {number} port - Port number
+ * @param {string} [host] - Bind host (default: '::' dual-stack, or '0.0.0.0' without IPv6)
+ * @returns {Promise<net.Server|null>} Listening server, or null if the port is taken
+ */
+export function listenOnPort(port, host) {
+  return new Promise((resolve) => {
+    const attempt = (address, fallback) => {
+      const server = net.createServer();
+      server.once('error', (error) => {
+        if (fallback && UNSUPPORTED_ADDRESS_ERRORS.includes(error.code)) {
+          attempt(fallback, null);
+        } else {
+          resolve(null);
+        }
+      });
+      server.once('listening', () => resolve(server));
+      server.listen({ port, host: address, exclusive: true });
+    };
+
+    attempt(host || '::', host ? null : '0.0.0.0');
+  });
+}
+
+/**
+ * Probe functions per protocol
+ */
+const PROBES = {
+  tcp: probeTcpAddress,
+  udp: probeUdpAddress
+};
+
+/**
+ * Check if a port is available
+ * @param {number} port - Port number to check
+ * @param {Object} [options] - Probe options
+ * @param {string|Array<string>} [options.host] - Bind host(s) the service will use
+ *   (default: all IPv4/IPv6 wildcard and loopback addresses)
+ * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both'
+ * @returns {Promise<boolean>} True if available on every probed address and protocol
+ */
+export async function checkPortAvailability(port, options = {}) {
+  for (const protocol of resolveProtocols(options.protocol)) {
+    for (const host of resolveProbeHosts(options.host)) {
+      if (!(await PROBES[protocol](port, host))) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Collect the ports the OS socket table shows as bound for a bind host
+ * @private
+ * @param {Object} options - { host, protocol }
+ * @returns {Set<number>} Ports that cannot be free (empty without /proc)
+ */
+function boundPorts(options) {
+  const ports = new Set();
+  if (!isProcAvailable()) return ports;
+
+  for (const protocol of resolveProtocols(options.protocol)) {
+    for (const socket of readSocketTable({ protocol })) {
+      if (addressConflicts(socket.address, options.host)) {
+        ports.add(socket.port);
+      }
+    }
+  }
+  return ports;
+}
+
+/**
+ * Find the first available ports among candidates
+ *
+ * Candidates are probed concurrently in batches that start at `count` and
+ * double up to `concurrency`, so allocating one port from a quiet range
+ * still binds just one port. The result keeps candidate order and never
+ * repeats a port.
+ * @param {Array<number>} candidates - Ports in preference order
+ * @param {number} [count=1] - Number of ports wanted
+ * @param {Object} [options] - Probe options
+ * @param {string|Array<string>} [options.host] - Bind host(s) (see checkPortAvailability)
+ * @param {string} [options.protocol='tcp'] - 'tcp', 'udp' or 'both'
+ * @param {number} [options.concurrency=16] - Maximum ports probed at once
+ * @param {boolean} [options.prefilter=true] - Skip ports the OS socket table shows as bound
+ * @returns {Promise<Array<number>>} Up to `count` available ports
+ */
+export async function findAvailablePorts(candidates, count = 1, options = {}) {
+  const concurrency = Math.max(1, options.concurrency ?? DEFAULT_PROBE_CONCURRENCY);
+  const bound = options.prefilter === false ? new Set() : boundPorts(options);
+  // A port listed twice is only probed (and returned) once
+  const remaining = [...new Set(candidates)].filter(port => !bound.has(port));
+  const found = [];
+  let batchSize = Math.min(count, concurrency);
+  let next = 0;
+
+  while (next < remaining.length && found.length < count) {
+    const batch = remaining.slice(next, next + batchSize);
+    const results = await Promise.all(batch.map(port => checkPortAvailability(port, options)));
+
+    batch.forEach((port, index) => {
+      if (results[index] && found.length < count) found.push(port);
+    });
+    next += batch.length;
+    batchSize = Math.min(batchSize * 2, concurrency);
+  }
+
+  return found;
+}
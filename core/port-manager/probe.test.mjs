@@ -0,0 +1,107 @@
+/**
+ * Probe tests - per-address and per-protocol availability
+ *
+ * @module core/port-manager/probe.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'dgram';
+import net from 'net';
+import { addressConflicts, checkPortAvailability, findAvailablePorts, resolveProbeHosts } from './probe.mjs';
+import { isProcAvailable } from './sockets.mjs';
+import { defer, occupy } from './test-helpers.mjs';
+
+const RANGE = { start: 24800, end: 24899 };
+
+/**
+ * Check whether this host can bind IPv6 loopback
+ * @returns {Promise<boolean>}
+ */
+function hasIPv6() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.listen({ port: 0, host: '::1' }, () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Bind a UDP socket for the rest of the test
+ * @param {TestContext} t - Test context
+ * @param {number} port - Port to bind
+ * @returns {Promise<dgram.Socket>}
+ */
+async function occupyUdp(t, port) {
+  const socket = dgram.createSocket('udp4');
+  await new Promise(resolve => socket.bind(port, '0.0.0.0', resolve));
+  defer(t, () => new Promise(resolve => socket.close(resolve)));
+  return socket;
+}
+
+test('a port bound only on 127.0.0.1 is busy', async (t) => {
+  await occupy(t, RANGE.start, '127.0.0.1');
+
+  assert.equal(await checkPortAvailability(RANGE.start), false);
+  assert.equal(await checkPortAvailability(RANGE.start, { host: 'localhost' }), false);
+});
+
+test('a port bound only on ::1 is busy', { skip: !(await hasIPv6()) }, async (t) => {
+  await occupy(t, RANGE.start + 1, '::1');
+
+  assert.equal(await checkPortAvailability(RANGE.start + 1), false);
+  assert.equal(await checkPortAvailability(RANGE.start + 1, { host: 'localhost' }), false);
+});
+
+test('a bind host only checks the addresses it conflicts with', { skip: !(await hasIPv6()) }, async (t) => {
+  await occupy(t, RANGE.start + 2, '127.0.0.1');
+
+  assert.equal(await checkPortAvailability(RANGE.start + 2, { host: '::1' }), true);
+  assert.equal(await checkPortAvailability(RANGE.start + 2, { host: '0.0.0.0' }), false);
+});
+
+test('addressConflicts matches wildcards, loopbacks and mapped addresses', () => {
+  assert.equal(addressConflicts('127.0.0.1'), true);
+  assert.equal(addressConflicts('::', '127.0.0.1'), true);
+  assert.equal(addressConflicts('0.0.0.0', '127.0.0.1'), true);
+  assert.equal(addressConflicts('0.0.0.0', '::1'), false);
+  assert.equal(addressConflicts('::ffff:127.0.0.1', 'localhost'), true);
+  assert.equal(addressConflicts('::1', '127.0.0.1'), false);
+  assert.deepEqual(resolveProbeHosts('localhost'), ['127.0.0.1', '::1']);
+});
+
+test('UDP and TCP ports are probed separately', async (t) => {
+  await occupyUdp(t, RANGE.start + 3);
+
+  assert.equal(await checkPortAvailability(RANGE.start + 3, { protocol: 'udp' }), false);
+  assert.equal(await checkPortAvailability(RANGE.start + 3, { protocol: 'tcp' }), true);
+  assert.equal(await checkPortAvailability(RANGE.start + 3, { protocol: 'both' }), false);
+});
+
+test('protocol both needs the port free on TCP too', async (t) => {
+  await occupy(t, RANGE.start + 4);
+
+  assert.equal(await checkPortAvailability(RANGE.start + 4, { protocol: 'udp' }), true);
+  assert.equal(await checkPortAvailability(RANGE.start + 4, { protocol: 'both' }), false);
+});
+
+test('findAvailablePorts returns free ports in candidate order, each once', async (t) => {
+  await occupy(t, RANGE.start + 11);
+  const candidates = [RANGE.start + 12, RANGE.start + 11, RANGE.start + 12, RANGE.start + 10, RANGE.start + 10, RANGE.start + 13];
+
+  assert.deepEqual(await findAvailablePorts(candidates, 3, { concurrency: 4 }), [RANGE.start + 12, RANGE.start + 10, RANGE.start + 13]);
+  assert.deepEqual(await findAvailablePorts(candidates, 10, { concurrency: 1, prefilter: false }), [RANGE.start + 12, RANGE.start + 10, RANGE.start + 13]);
+});
+
+test('ports the socket table shows as bound are not probed', { skip: !isProcAvailable() }, async (t) => {
+  await occupy(t, RANGE.start + 20);
+  const listen = t.mock.method(net.Server.prototype, 'listen');
+  const probed = () => listen.mock.calls.map(call => call.arguments[0].port);
+
+  assert.deepEqual(await findAvailablePorts([RANGE.start + 20, RANGE.start + 21], 1), [RANGE.start + 21]);
+  assert.ok(!probed().includes(RANGE.start + 20));
+
+  listen.mock.resetCalls();
+  assert.deepEqual(await findAvailablePorts([RANGE.start + 20, RANGE.start + 21], 1, { prefilter: false }), [RANGE.start + 21]);
+  assert.ok(probed().includes(RANGE.start + 20));
+});
@@ -0,0 +1,70 @@
+/**
+ * Transport Protocols - Gosiki OS
+ *
+ * A TCP and a UDP socket can hold the same port number independently, so
+ * the registry keys allocations per protocol:
+ *
+ *   allocations['3000/tcp'], allocations['5353/udp']
+ *
+ * A 'both' allocation holds the same port number on TCP and UDP (e.g. a
+ * QUIC/HTTP3 server that also serves HTTP/1.1) and is stored as one entry
+ * per protocol.
+ *
+ * @module core/port-manager/protocol
+ */
+
+/**
+ * Protocols a port can be allocated on
+ */
+export const PROTOCOLS = ['tcp', 'udp'];
+
+/**
+ * Protocol used when none is given
+ */
+export const DEFAULT_PROTOCOL = 'tcp';
+
+/**
+ * Expand a protocol option into the protocols it covers
+ * @param {string} [protocol='tcp'] - 'tcp', 'udp' or 'both'
+ * @returns {Array<string>} Protocols ('tcp' and/or 'udp')
+ * @throws {Error} If the protocol is unknown (code 'EINVALIDARG')
+ */
+export function resolveProtocols(protocol = DEFAULT_PROTOCOL) {
+  if (protocol === 'both') return [...PROTOCOLS];
+  if (PROTOCOLS.includes(protocol)) return [protocol];
+  throw Object.assign(new Error(`Unknown protocol "${protocol}" (expected tcp, udp or both)`), { code: 'EINVALIDARG' });
+}
+
+/**
+ * Build the registry key for a port on a protocol
+ * @param {number} port - Port number
+ * @param {string} protocol - 'tcp' or 'udp'
+ * @returns {string} Allocation key, e.g. '3000/tcp'
+ */
+export function allocationKey(port, protocol) {
+  return `${Number(port)}/${protocol}`;
+}
+
+/**
+ * Split a registry key into port and protocol
+ * @param {string} key - Allocation key, e.g. '3000/tcp'
+ * @returns {Object} { port, protocol }
+ */
+export function parseAllocationKey(key) {
+  const [port, protocol = DEFAULT_PROTOCOL] = String(key).split('/');
+  return { port: Number(port), protocol };
+}
+
+/**
+ * Find the allocation keys held for a port
+ * @param {Object} allocations - Registry allocations
+ * @param {number} port - Port number
+ * @param {string} [protocol] - 'tcp', 'udp' or 'both' (default: any protocol)
+ * @returns {Array<string>} Existing allocation keys
+ */
+export function findAllocationKeys(allocations, port, protocol) {
+  const protocols = protocol ? resolveProtocols(protocol) : PROTOCOLS;
+  return protocols
+    .map(entry => allocationKey(port, entry))
+    .filter(key => allocations[key]);
+}
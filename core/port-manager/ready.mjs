@@ -0,0 +1,127 @@
+/**
+ * Readiness Checks - Gosiki OS
+ *
+ * Tells whether a service has come up on its port, so orchestration scripts
+ * can wait for it instead of sleeping. A TCP port is up once it accepts a
+ * connection; nothing is ever bound here, so polling cannot steal the port
+ * from a server that is still starting. With an HTTP path, the service is
+ * ready once the endpoint answers with the expected status.
+ *
+ * @module core/port-manager/ready
+ */
+
+import http from 'http';
+import net from 'net';
+
+/**
+ * How long waitForPort waits by default (ms)
+ */
+export const DEFAULT_WAIT_TIMEOUT = 30000;
+
+/**
+ * Delay between readiness checks (ms)
+ */
+export const DEFAULT_WAIT_INTERVAL = 250;
+
+/**
+ * Time allowed for a single connection attempt or HTTP request (ms)
+ */
+const CHECK_TIMEOUT = 2000;
+
+/**
+ * Resolve the addresses to connect to for a bind host
+ * @private
+ * @param {string} [host] - Bind host; wildcards and 'localhost' mean both loopbacks
+ * @returns {Array<string>} Addresses to try
+ */
+function connectHosts(host) {
+  if (!host || ['0.0.0.0', '::', 'localhost'].includes(host)) {
+    return ['127.0.0.1', '::1'];
+  }
+  return [host];
+}
+
+/**
+ * Try to connect to a single address
+ * @private
+ * @param {number} port - Port number
+ * @param {string} host - Address to connect to
+ * @returns {Promise<boolean>} True if the connection was accepted
+ */
+function connectAddress(port, host) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    socket.setTimeout(CHECK_TIMEOUT);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      resolve(false);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Check whether a TCP port accepts connections
+ * @param {number} port - Port number
+ * @param {string} [host] - Host the service binds (default: IPv4 and IPv6 loopback)
+ * @returns {Promise<boolean>} True if any of the host's addresses accepted a connection
+ */
+export async function acceptsConnections(port, host) {
+  for (const address of connectHosts(host)) {
+    if (await connectAddress(port, address)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Request a single address
+ * @private
+ * @param {number} port - Port number
+ * @param {string} address - Address to connect to
+ * @param {string} path - Request path
+ * @returns {Promise<number|null>} Response status, or null if the request failed
+ */
+function requestAddress(port, address, path) {
+  return new Promise((resolve) => {
+    const request = http.get({ host: address, port, path, timeout: CHECK_TIMEOUT }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.once('timeout', () => request.destroy());
+    request.once('error', () => resolve(null));
+  });
+}
+
+/**
+ * Request an HTTP health endpoint
+ * @param {number} port - Port number
+ * @param {string} [host] - Host the service binds (default: IPv4 and IPv6 loopback)
+ * @param {string} path - Request path (e.g. '/health')
+ * @returns {Promise<number|null>} Status of the first address that answered, or null if none did
+ */
+export async function requestStatus(port, host, path) {
+  for (const address of connectHosts(host)) {
+    const status = await requestAddress(port, address, path);
+    if (status !== null) {
+      return status;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether an HTTP status counts as healthy
+ * @param {number|null} status - Response status
+ * @param {number} [expectStatus] - Required status (default: any 2xx)
+ * @returns {boolean}
+ */
+export function isExpectedStatus(status, expectStatus) {
+  if (status === null) return false;
+  return expectStatus !== undefined ? status === expectStatus : status >= 200 && status < 300;
+}
@@ -0,0 +1,115 @@
+/**
+ * Readiness tests - waiting for services, HTTP health checks and timeouts
+ *
+ * @module core/port-manager/ready.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { formatDashboard } from './dashboard.mjs';
+import { acceptsConnections, isExpectedStatus } from './ready.mjs';
+import { defer, occupy, sleep, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 25000, end: 25099 };
+
+/**
+ * Serve HTTP on a port for the rest of the test
+ * @param {TestContext} t - Test context
+ * @param {number} port - Port to listen on
+ * @param {Function} handler - Request handler
+ * @returns {Promise<http.Server>}
+ */
+async function serveHttp(t, port, handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(port, resolve));
+  defer(t, () => new Promise(resolve => server.close(resolve)));
+  return server;
+}
+
+/**
+ * An allocated port as the dashboard reports it
+ * @param {PortManager} pm - Port manager
+ * @param {number} port - Port number
+ * @returns {Promise<Object>} Entry from getAllGrouped() ({ status, readiness, ... })
+ */
+async function dashboardEntry(pm, port) {
+  const grouped = await pm.getAllGrouped();
+  return Object.values(grouped).flatMap(Object.values).flat().find(entry => entry.port === port);
+}
+
+test('isExpectedStatus accepts any 2xx unless a status is required', () => {
+  assert.equal(isExpectedStatus(204), true);
+  assert.equal(isExpectedStatus(302), false);
+  assert.equal(isExpectedStatus(302, 302), true);
+  assert.equal(isExpectedStatus(200, 204), false);
+  assert.equal(isExpectedStatus(null), false);
+});
+
+test('acceptsConnections never binds the port', async (t) => {
+  assert.equal(await acceptsConnections(RANGE.start), false);
+
+  await occupy(t, RANGE.start);
+  assert.equal(await acceptsConnections(RANGE.start), true);
+});
+
+test('waiting for a port nothing listens on times out', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const port = await pm.allocate(RANGE);
+
+  await assert.rejects(
+    pm.waitForPort(port, { timeout: '300ms', interval: '50ms' }),
+    new RegExp(`Port ${port} was not ready within 0.3s \\(nothing is listening\\)`)
+  );
+  const entry = await dashboardEntry(pm, port);
+  assert.equal(entry.readiness.state, 'timeout');
+  assert.equal(entry.status, 'free');
+});
+
+test('a service started later is reported starting, then ready', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const port = await pm.allocate(RANGE, { app: 'web' });
+
+  const waiting = pm.waitForPort(port, { timeout: '5s', interval: '50ms' });
+  await sleep(100);
+  assert.equal((await dashboardEntry(pm, port)).status, 'starting');
+  assert.match(formatDashboard(await pm.getAllGrouped()), new RegExp(`${port}/tcp +\\[STARTING\\]`));
+
+  await serveHttp(t, port, (request, response) => response.end());
+  const result = await waiting;
+
+  assert.equal(result.ready, true);
+  assert.ok(result.elapsedMs >= 100);
+  const entry = await dashboardEntry(pm, port);
+  assert.equal(entry.status, 'ready');
+  assert.equal(entry.readiness.check, 'tcp');
+  assert.match(formatDashboard(await pm.getAllGrouped()), new RegExp(`${port}/tcp +\\[READY\\]`));
+});
+
+test('an HTTP health check waits for the expected status', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const port = await pm.allocate(RANGE);
+  let requests = 0;
+  await serveHttp(t, port, (request, response) => {
+    requests++;
+    response.writeHead(request.url === '/health' && requests > 2 ? 204 : 503).end();
+  });
+
+  const result = await pm.waitForPort(port, { http: '/health', expectStatus: 204, timeout: '5s', interval: '50ms' });
+
+  assert.equal(result.httpStatus, 204);
+  assert.equal(requests, 3);
+  assert.equal((await dashboardEntry(pm, port)).readiness.check, 'GET /health');
+});
+
+test('an unhealthy HTTP service times out with its last status', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const port = await pm.allocate(RANGE);
+  await serveHttp(t, port, (request, response) => response.writeHead(503).end());
+
+  await assert.rejects(
+    pm.waitForPort(port, { http: '/health', timeout: '200ms', interval: '50ms' }),
+    /was not ready within 0.2s \(GET \/health answered 503\)/
+  );
+  await assert.rejects(pm.waitForPort(port, { http: '/health', protocol: 'udp' }), /HTTP health checks need a TCP port/);
+});
@@ -0,0 +1,777 @@
+/**
+ * Port Registry Storage - Gosiki OS
+ *
+ * Registry persistence shared by every process that allocates ports.
+ * Mutations run under a cross-process lockfile and are written with
+ * write-then-rename, so readers never observe a half-written registry.
+ * Each write rotates the previous file into numbered backups, and a
+ * registry that fails to parse is quarantined and restored from them
+ * instead of being silently reset.
+ *
+ * Both the npx CLI (src/index.js) and PortManager use the same file and
+ * the same allocation schema (see migrations.mjs for the version history):
+ *
+ *   allocations['<port>/<protocol>'] = {
+ *     allocatedAt,           // ISO timestamp
+ *     pid?,                  // Owning process
+ *     groupId?, role?,       // Group allocations
+ *     metadata: { app?, worktree?, label?, ... }
+ *   }
+ *
+ *   sticky[app][worktree][role] = { port, allocatedAt }   // see sticky.mjs
+ *
+ * @module core/port-manager/registry
+ */
+
+import {
+  closeSync,
+  constants,
+  copyFileSync,
+  existsSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  readdirSync,
+  renameSync,
+  statSync,
+  unlinkSync,
+  utimesSync,
+  writeFileSync
+} from 'fs';
+import { randomUUID } from 'crypto';
+import { basename, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { homedir } from 'os';
+import { isProcessAlive } from './owner.mjs';
+import { CURRENT_REGISTRY_VERSION, migrateRegistry } from './migrations.mjs';
+import { allocationKey, parseAllocationKey } from './protocol.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Registries written by versions before the shared registry existed.
+ * Their entries are merged into the shared registry on first use.
+ */
+const LEGACY_REGISTRY_PATHS = [
+  // PortManager used to keep its registry inside the package
+  join(__dirname, 'registry', 'ports.json')
+];
+
+/**
+ * Number of rotating backups kept next to the registry (<registry>.bak.1 is newest)
+ */
+const BACKUP_COUNT = 5;
+
+/**
+ * Default lock options
+ */
+const DEFAULT_LOCK_OPTIONS = {
+  // How long to wait for another process to release the lock
+  timeout: 10000,
+  // A lock older than this is considered abandoned even if its PID is alive
+  // (holders refresh it every staleMs / 4, however long they keep it)
+  staleMs: 60000,
+  // Base delay between attempts (jitter is added on top)
+  retryDelay: 20
+};
+
+/**
+ * Get the shared registry path used by every entry point
+ *
+ * Can be overridden with the GOSIKI_REGISTRY_PATH environment variable.
+ * @returns {string} Registry path (~/.gosiki-os/port-registry.json by default)
+ */
+export function getDefaultRegistryPath() {
+  return process.env.GOSIKI_REGISTRY_PATH || join(homedir(), '.gosiki-os', 'port-registry.json');
+}
+
+/**
+ * Create an empty registry
+ * @returns {Object} Registry data
+ */
+export function createEmptyRegistry() {
+  return { version: CURRENT_REGISTRY_VERSION, allocations: {} };
+}
+
+/**
+ * Ensure directory exists
+ * @param {string} path - Directory path
+ */
+function ensureDir(path) {
+  if (!existsSync(path)) {
+    mkdirSync(path, { recursive: true });
+  }
+}
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the path of a rotating backup
+ * @param {string} registryPath - Path to registry file
+ * @param {number} index - Backup number (1 is newest)
+ * @returns {string} Backup path
+ */
+export function getBackupPath(registryPath, index) {
+  return `${registryPath}.bak.${index}`;
+}
+
+/**
+ * Parse registry file contents
+ * @private
+ * @param {string} text - File contents
+ * @returns {Object} Registry data
+ * @throws {Error} If the contents are not a registry
+ */
+function parseRegistry(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data) ||
+      (data.allocations !== undefined && (typeof data.allocations !== 'object' || Array.isArray(data.allocations)))) {
+    throw new Error('not a registry object');
+  }
+  return data;
+}
+
+/**
+ * Read a registry file without any normalization
+ * @private
+ * @param {string} registryPath - Path to registry file
+ * @returns {Object|null} Registry data or null if missing
+ * @throws {Error} With code 'EREGISTRYCORRUPT' if the file cannot be parsed
+ */
+function readRegistryFile(registryPath) {
+  if (!existsSync(registryPath)) {
+    return null;
+  }
+
+  const text = readFileSync(registryPath, 'utf-8');
+  try {
+    return parseRegistry(text);
+  } catch (cause) {
+    const error = new Error(`Registry ${registryPath} is corrupted (${cause.message})`);
+    error.code = 'EREGISTRYCORRUPT';
+    throw error;
+  }
+}
+
+/**
+ * Read the newest backup that still parses
+ * @private
+ * @param {string} registryPath - Path to registry file
+ * @returns {Object|null} { registry, backupPath } or null if none is usable
+ */
+function readNewestBackup(registryPath) {
+  for (let index = 1; index <= BACKUP_COUNT; index++) {
+    const backupPath = getBackupPath(registryPath, index);
+    try {
+      const registry = readRegistryFile(backupPath);
+      if (registry) return { registry, backupPath };
+    } catch {
+      // Try the next older backup
+    }
+  }
+  return null;
+}
+
+/**
+ * Move a corrupted registry aside to a timestamped file
+ * @param {string} registryPath - Path to registry file
+ * @returns {string|null} Quarantine path, or null if the file was already gone
+ */
+export function quarantineRegistry(registryPath) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const quarantinePath = `${registryPath}.corrupt-${stamp}`;
+
+  try {
+    renameSync(registryPath, quarantinePath);
+    return quarantinePath;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Corrupted registries already reported to an unlocked reader in this process
+ */
+const reportedCorruptions = new Set();
+
+/**
+ * Read the registry file, recovering from corruption
+ *
+ * A corrupted registry is quarantined and replaced with the newest valid
+ * backup, but only by a caller holding the registry lock: a writer may be
+ * about to replace the file. Unlocked readers get the backup's contents
+ * and leave the file alone; the next locked update restores it. Without a
+ * usable backup the corrupted file is left in place and the error is
+ * rethrown, so that nothing is silently reset; run repairRegistry()
+ * (gosiki-port --registry-repair) to rebuild it.
+ * @private
+ * @param {string} registryPath - Path to registry file
+ * @param {boolean} locked - Whether the caller holds the registry lock
+ * @returns {Object|null} Registry data or null if missing
+ */
+function readRegistryOrRecover(registryPath, locked) {
+  try {
+    return readRegistryFile(registryPath);
+  } catch (error) {
+    if (error.code !== 'EREGISTRYCORRUPT') throw error;
+
+    const backup = readNewestBackup(registryPath);
+    if (!backup) {
+      error.message += '. No usable backup found; run "gosiki-port --registry-repair" to rebuild it.';
+      throw error;
+    }
+
+    if (!locked) {
+      if (!reportedCorruptions.has(registryPath)) {
+        reportedCorruptions.add(registryPath);
+        console.warn(
+          `Gosiki OS: Registry ${registryPath} is corrupted; showing ${backup.backupPath} until the next change restores it.`
+        );
+      }
+      return backup.registry;
+    }
+
+    const quarantinePath = quarantineRegistry(registryPath);
+    if (!quarantinePath) {
+      // Removed since we read it
+      return readRegistryFile(registryPath);
+    }
+
+    copyFileSync(backup.backupPath, registryPath);
+    console.warn(
+      `Gosiki OS: Registry ${registryPath} was corrupted and has been restored from ${backup.backupPath}.\n` +
+      `The corrupted file was kept as ${quarantinePath}. Allocations made after that backup may be missing;\n` +
+      'run "gosiki-port --registry-repair" to recover ports that are still listening.'
+    );
+    return backup.registry;
+  }
+}
+
+/**
+ * Get legacy registries that still need merging into a registry path
+ * @private
+ * @param {string} registryPath - Path to registry file
+ * @returns {Array<string>} Existing legacy registry paths
+ */
+function pendingLegacyRegistries(registryPath) {
+  if (registryPath !== getDefaultRegistryPath()) {
+    return [];
+  }
+  return LEGACY_REGISTRY_PATHS.filter(path => path !== registryPath && existsSync(path));
+}
+
+/**
+ * Load a registry and upgrade it to the current schema
+ * @private
+ * @param {string} registryPath - Path to registry file
+ * @param {boolean} [locked=false] - Whether the caller holds the registry lock
+ * @returns {Object} { registry, fromVersion } where fromVersion is the on-disk version
+ * @throws {Error} If the registry was written by a newer version
+ */
+function loadAndMigrate(registryPath, locked = false) {
+  const raw = readRegistryOrRecover(registryPath, locked);
+  const { registry, fromVersion } = raw
+    ? migrateRegistry(raw)
+    : { registry: createEmptyRegistry(), fromVersion: CURRENT_REGISTRY_VERSION };
+  const allocations = {};
+
+  for (const legacyPath of pendingLegacyRegistries(registryPath)) {
+    let legacy;
+    try {
+      legacy = readRegistryFile(legacyPath);
+    } catch {
+      // Unreadable legacy registries are ignored, as they always were
+    }
+    if (!legacy) continue;
+
+    for (const [port, info] of Object.entries(migrateRegistry(legacy).registry.allocations)) {
+      allocations[port] = info;
+    }
+  }
+
+  registry.allocations = { ...allocations, ...registry.allocations };
+  return { registry, fromVersion };
+}
+
+/**
+ * Identify the version of the registry file on disk without reading it
+ *
+ * Every save replaces the file through a rename, so the stamp changes with
+ * each write, whichever process made it.
+ * @param {string} registryPath - Path to registry file
+ * @returns {string} Stamp ('missing' if there is no file yet)
+ */
+export function getRegistryStamp(registryPath) {
+  try {
+    const { ino, size, mtimeMs } = statSync(registryPath);
+    return `${ino}:${size}:${mtimeMs}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 'missing';
+    throw error;
+  }
+}
+
+/**
+ * Load registry from JSON file
+ *
+ * Registries written by older versions are upgraded to the current schema
+ * in memory, and allocations from legacy registry files are merged in
+ * (existing entries win). Both are persisted by the next updateRegistry().
+ * A corrupted registry is read from the newest valid backup; the file
+ * itself is only restored by updateRegistry(), which holds the lock.
+ * @param {string} registryPath - Path to registry file
+ * @returns {Object} Registry data
+ * @throws {Error} If the registry was written by a newer version, or is
+ *   corrupted with no usable backup
+ */
+export function loadRegistry(registryPath) {
+  return loadAndMigrate(registryPath).registry;
+}
+
+/**
+ * Keep a copy of a registry file before it is rewritten in a newer format
+ * @private
+ * @param {string} registryPath - Path to registry file
+ * @param {string} fromVersion - On-disk format version
+ */
+function backupBeforeMigration(registryPath, fromVersion) {
+  try {
+    copyFileSync(registryPath, `${registryPath}.v${fromVersion}.bak`, constants.COPYFILE_EXCL);
+  } catch (error) {
+    // An earlier backup of the same version is kept as-is
+    if (error.code !== 'EEXIST') throw error;
+  }
+}
+
+/**
+ * Retire legacy registry files once their entries have been saved
+ * @private
+ * @param {string} registryPath - Path to registry file
+ */
+function retireLegacyRegistries(registryPath) {
+  for (const legacyPath of pendingLegacyRegistries(registryPath)) {
+    try {
+      renameSync(legacyPath, `${legacyPath}.migrated`);
+    } catch {
+      // Read-only install location: entries are merged again on next load
+    }
+  }
+}
+
+/**
+ * Shift rotating backups and copy the current registry into slot 1
+ * @private
+ * @param {string} registryPath - Path to registry file
+ */
+function rotateBackups(registryPath) {
+  if (!existsSync(registryPath)) return;
+
+  for (let index = BACKUP_COUNT - 1; index >= 1; index--) {
+    const from = getBackupPath(registryPath, index);
+    if (existsSync(from)) {
+      renameSync(from, getBackupPath(registryPath, index + 1));
+    }
+  }
+  copyFileSync(registryPath, getBackupPath(registryPath, 1));
+}
+
+/**
+ * Save registry to JSON file atomically (write to a temp file, then rename)
+ *
+ * The previous contents are kept as <registry>.bak.1 (older ones shift up
+ * to <registry>.bak.5).
+ * @param {string} registryPath - Path to registry file
+ * @param {Object} registry - Registry data
+ */
+export function saveRegistry(registryPath, registry) {
+  ensureDir(dirname(registryPath));
+  const tmpPath = `${registryPath}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    writeFileSync(tmpPath, JSON.stringify(registry, null, 2), 'utf-8');
+    rotateBackups(registryPath);
+    renameSync(tmpPath, registryPath);
+  } catch (error) {
+    try {
+      unlinkSync(tmpPath);
+    } catch {
+      // Temp file was never created
+    }
+    throw error;
+  }
+}
+
+/**
+ * Collect allocation keys that can still be read from a damaged registry file
+ * @private
+ * @param {string} text - Raw file contents
+ * @returns {Array<string>} Allocation keys ('3000/tcp'); bare ports from older formats count as TCP
+ */
+function salvageKeys(text) {
+  const keys = new Set();
+  for (const match of text.matchAll(/"(\d{1,5})(?:\/(tcp|udp))?"\s*:\s*\{/g)) {
+    const port = Number(match[1]);
+    if (port > 0 && port <= 65535) keys.add(allocationKey(port, match[2] || 'tcp'));
+  }
+  return [...keys].sort(compareKeys);
+}
+
+/**
+ * Order allocation keys by port, then protocol
+ * @private
+ * @param {string} a - Allocation key
+ * @param {string} b - Allocation key
+ * @returns {number} Sort order
+ */
+function compareKeys(a, b) {
+  const left = parseAllocationKey(a);
+  const right = parseAllocationKey(b);
+  return left.port - right.port || left.protocol.localeCompare(right.protocol);
+}
+
+/**
+ * Find the most recent backed-up entry for an allocation key
+ * @private
+ * @param {string} registryPath - Path to registry file
+ * @param {string} key - Allocation key
+ * @returns {Object|null} Allocation entry (current schema) or null
+ */
+function findInBackups(registryPath, key) {
+  for (let index = 1; index <= BACKUP_COUNT; index++) {
+    try {
+      const backup = readRegistryFile(getBackupPath(registryPath, index));
+      const entry = backup && migrateRegistry(backup).registry.allocations[key];
+      if (entry) return entry;
+    } catch {
+      // Skip unreadable backups
+    }
+  }
+  return null;
+}
+
+/**
+ * List quarantined registry files that have not been repaired yet
+ * @private
+ * @param {string} registryPath - Path to registry file
+ * @returns {Array<string>} Quarantine paths
+ */
+function pendingQuarantines(registryPath) {
+  const dir = dirname(registryPath);
+  const prefix = `${basename(registryPath)}.corrupt-`;
+
+  try {
+    return readdirSync(dir)
+      .filter(name => name.startsWith(prefix) && !name.endsWith('.repaired'))
+      .map(name => join(dir, name));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Rebuild a registry from its backups and the live socket table
+ *
+ * A corrupted registry is quarantined and the newest valid backup becomes
+ * the new registry. Ports that can still be read from quarantined files
+ * (including ones quarantined automatically on load) are then checked
+ * against the socket table: those still listening are re-added as
+ * recovered entries, the rest are reported as lost. Processed quarantine
+ * files are renamed to *.repaired.
+ * @param {string} registryPath - Path to registry file
+ * @param {Object} options - Repair options
+ * @param {Function} options.detectOccupier - async (port, { protocol }) => { pid, processName } | null
+ * @returns {Promise<Object>} { status, quarantinedTo, restoredFrom, restored, recovered, lost }
+ *   where status is 'healthy' or 'repaired' and the lists hold allocation keys ('3000/tcp')
+ */
+export async function repairRegistry(registryPath, options) {
+  const release = await acquireRegistryLock(registryPath);
+
+  try {
+    let registry = null;
+    let quarantinedTo = null;
+    let restoredFrom = null;
+    let restored = [];
+
+    try {
+      const raw = readRegistryFile(registryPath);
+      registry = raw ? migrateRegistry(raw).registry : createEmptyRegistry();
+    } catch (error) {
+      if (error.code !== 'EREGISTRYCORRUPT') throw error;
+
+      quarantinedTo = quarantineRegistry(registryPath);
+      const backup = readNewestBackup(registryPath);
+      registry = backup ? migrateRegistry(backup.registry).registry : createEmptyRegistry();
+      restoredFrom = backup ? backup.backupPath : null;
+      restored = Object.keys(registry.allocations).sort(compareKeys);
+    }
+
+    const quarantines = pendingQuarantines(registryPath);
+    if (quarantines.length === 0) {
+      return {
+        status: 'healthy',
+        allocations: Object.keys(registry.allocations).length,
+        quarantinedTo: null,
+        restoredFrom: null,
+        restored: [],
+        recovered: [],
+        lost: []
+      };
+    }
+
+    const candidates = new Set();
+    for (const quarantinePath of quarantines) {
+      for (const key of salvageKeys(readFileSync(quarantinePath, 'utf-8'))) {
+        candidates.add(key);
+      }
+    }
+
+    const recovered = [];
+    const lost = [];
+
+    for (const key of [...candidates].sort(compareKeys)) {
+      if (registry.allocations[key]) continue;
+
+      const { port, protocol } = parseAllocationKey(key);
+      const occupier = await options.detectOccupier(port, { protocol });
+      if (occupier) {
+        // Prefer the full entry from an older backup when one still has it
+        const previous = findInBackups(registryPath, key);
+        registry.allocations[key] = {
+          allocatedAt: previous?.allocatedAt || new Date().toISOString(),
+          ...(previous || {}),
+          metadata: {
+            ...(previous?.metadata || { label: occupier.processName }),
+            recovered: true
+          }
+        };
+        recovered.push(key);
+      } else {
+        lost.push(key);
+      }
+    }
+
+    saveRegistry(registryPath, registry);
+
+    for (const quarantinePath of quarantines) {
+      renameSync(quarantinePath, `${quarantinePath}.repaired`);
+    }
+
+    return {
+      status: 'repaired',
+      quarantinedTo: quarantinedTo || quarantines[quarantines.length - 1],
+      restoredFrom,
+      restored,
+      recovered,
+      lost
+    };
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Check whether an existing lockfile was abandoned
+ * @private
+ * @param {string} lockPath - Path to lockfile
+ * @param {number} staleMs - Maximum lock age
+ * @returns {boolean} True if the lock can be broken
+ */
+function isLockStale(lockPath, staleMs) {
+  try {
+    const { mtimeMs } = statSync(lockPath);
+    if (Date.now() - mtimeMs > staleMs) {
+      return true;
+    }
+
+    const owner = JSON.parse(readFileSync(lockPath, 'utf-8'));
+    return !owner.pid || !isProcessAlive(owner.pid);
+  } catch (error) {
+    // Lock vanished between checks: not stale, just retry
+    if (error.code === 'ENOENT') return false;
+
+    // Unreadable or half-written lock: only break it once it has aged a bit
+    try {
+      return Date.now() - statSync(lockPath).mtimeMs > DEFAULT_LOCK_OPTIONS.retryDelay * 50;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Break a stale lock
+ *
+ * Breaking is serialized through a second lockfile so that two waiters
+ * that both saw the same stale lock cannot delete a freshly acquired one.
+ * @private
+ * @param {string} lockPath - Path to lockfile
+ * @param {number} staleMs - Maximum lock age
+ */
+function breakStaleLock(lockPath, staleMs) {
+  const breakerPath = `${lockPath}.break`;
+
+  try {
+    closeSync(openSync(breakerPath, 'wx'));
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+
+    // A breaker that crashed mid-way leaves its file behind
+    if (isLockStale(breakerPath, staleMs)) {
+      try {
+        unlinkSync(breakerPath);
+      } catch {
+        // Another waiter removed it first
+      }
+    }
+    return;
+  }
+
+  try {
+    if (isLockStale(lockPath, staleMs)) {
+      unlinkSync(lockPath);
+    }
+  } catch {
+    // Lock was released while we were checking it
+  } finally {
+    try {
+      unlinkSync(breakerPath);
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * Check whether a lockfile still carries a holder's token
+ * @private
+ * @param {string} lockPath - Path to lockfile
+ * @param {string} token - Token written when the lock was acquired
+ * @returns {boolean}
+ */
+function holdsLock(lockPath, token) {
+  try {
+    return JSON.parse(readFileSync(lockPath, 'utf-8')).token === token;
+  } catch {
+    // Lock was broken as stale and nobody holds it now
+    return false;
+  }
+}
+
+/**
+ * Acquire the registry lock
+ *
+ * The lockfile records the holder's PID and a token; releasing only removes
+ * the lockfile while it still carries that token, so a holder that outlived
+ * staleMs cannot release a lock another process has taken since. While the
+ * lock is held its mtime is refreshed every staleMs / 4, so a holder that is
+ * still working (probing a large range, say) is never taken for abandoned.
+ * @param {string} registryPath - Path to registry file
+ * @param {Object} [options] - Lock options
+ * @param {number} [options.timeout=10000] - Max wait in ms
+ * @param {number} [options.staleMs=60000] - Age after which a lock is broken
+ * @param {number} [options.retryDelay=20] - Base delay between attempts
+ * @returns {Promise<Function>} Release function
+ * @throws {Error} If the lock could not be acquired within the timeout (code 'EREGISTRYLOCKED')
+ */
+export async function acquireRegistryLock(registryPath, options = {}) {
+  const { timeout, staleMs, retryDelay } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+  const lockPath = `${registryPath}.lock`;
+  const deadline = Date.now() + timeout;
+
+  ensureDir(dirname(registryPath));
+
+  while (true) {
+    const token = randomUUID();
+    try {
+      const fd = openSync(lockPath, 'wx');
+      try {
+        writeFileSync(fd, JSON.stringify({ pid: process.pid, token, acquiredAt: new Date().toISOString() }));
+      } finally {
+        closeSync(fd);
+      }
+
+      const heartbeat = setInterval(() => {
+        try {
+          if (holdsLock(lockPath, token)) {
+            const now = new Date();
+            utimesSync(lockPath, now, now);
+          }
+        } catch {
+          // Released between the check and the touch
+        }
+      }, Math.max(1, Math.floor(staleMs / 4)));
+      heartbeat.unref();
+
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        clearInterval(heartbeat);
+        try {
+          // A holder whose lock was broken as stale must not remove its successor's
+          if (holdsLock(lockPath, token)) {
+            unlinkSync(lockPath);
+          }
+        } catch {
+          // Removed by a waiter that found it stale after all
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (isLockStale(lockPath, staleMs)) {
+      breakStaleLock(lockPath, staleMs);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw Object.assign(new Error(`Timed out waiting for registry lock: ${lockPath}`), { code: 'EREGISTRYLOCKED' });
+    }
+
+    await sleep(retryDelay + Math.floor(Math.random() * retryDelay));
+  }
+}
+
+/**
+ * Run a read-modify-write cycle on the registry under the cross-process lock
+ *
+ * The registry is saved only if the mutator resolves and changed something;
+ * if it throws, the file on disk is left untouched.
+ * @param {string} registryPath - Path to registry file
+ * @param {Function} mutator - async (registry) => result
+ * @param {Object} [options] - Lock options (see acquireRegistryLock)
+ * @returns {Promise<*>} Result of the mutator
+ */
+export async function updateRegistry(registryPath, mutator, options = {}) {
+  const release = await acquireRegistryLock(registryPath, options);
+
+  try {
+    const mergingLegacy = pendingLegacyRegistries(registryPath).length > 0;
+    const { registry, fromVersion } = loadAndMigrate(registryPath, true);
+    const upgrading = fromVersion !== CURRENT_REGISTRY_VERSION;
+    const before = JSON.stringify(registry);
+    const result = await mutator(registry);
+
+    // Skip the write entirely when nothing changed
+    if (mergingLegacy || upgrading || JSON.stringify(registry) !== before || !existsSync(registryPath)) {
+      if (upgrading) {
+        backupBeforeMigration(registryPath, fromVersion);
+      }
+      saveRegistry(registryPath, registry);
+    }
+    retireLegacyRegistries(registryPath);
+    return result;
+  } finally {
+    release();
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Registry tests - locking, migrations and corruption recovery
+ *
+ * @module core/port-manager/registry.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { PortManager } from './PortManager.mjs';
+import { CURRENT_REGISTRY_VERSION, migrateRegistry } from './migrations.mjs';
+import { acquireRegistryLock, getBackupPath, loadRegistry, updateRegistry } from './registry.mjs';
+import { defer, sleep, tempRegistryPath } from './test-helpers.mjs';
+
+/**
+ * Directory of the registry PortManager used to keep inside the package
+ */
+const LEGACY_DIR = join(dirname(fileURLToPath(import.meta.url)), 'registry');
+
+/**
+ * Write a legacy package-local ports.json, removed after the test, and point
+ * the default registry at a temporary file
+ * @param {TestContext} t - Test context
+ * @param {Object} allocations - Legacy allocations by port
+ * @returns {Object} { legacyPath, registryPath }
+ */
+function legacySetup(t, allocations) {
+  const registryPath = tempRegistryPath(t);
+  const previous = process.env.GOSIKI_REGISTRY_PATH;
+  process.env.GOSIKI_REGISTRY_PATH = registryPath;
+  mkdirSync(LEGACY_DIR);
+  defer(t, () => {
+    rmSync(LEGACY_DIR, { recursive: true, force: true });
+    if (previous === undefined) delete process.env.GOSIKI_REGISTRY_PATH;
+    else process.env.GOSIKI_REGISTRY_PATH = previous;
+  });
+
+  const legacyPath = join(LEGACY_DIR, 'ports.json');
+  writeFileSync(legacyPath, JSON.stringify({ allocations }));
+  return { legacyPath, registryPath };
+}
+
+test('concurrent updates are serialized by the lock', async (t) => {
+  const registryPath = tempRegistryPath(t);
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => updateRegistry(registryPath, async (registry) => {
+    const count = registry.count || 0;
+    // Yield while holding the lock, so unserialized writers would lose updates
+    await sleep(1);
+    registry.count = count + 1;
+    registry.allocations[`${47000 + i}/tcp`] = { metadata: {} };
+  })));
+
+  const registry = loadRegistry(registryPath);
+  assert.equal(registry.count, 20);
+  assert.equal(Object.keys(registry.allocations).length, 20);
+  assert.equal(existsSync(`${registryPath}.lock`), false);
+});
+
+test('a failing mutator leaves the registry untouched', async (t) => {
+  const registryPath = tempRegistryPath(t);
+  await updateRegistry(registryPath, (registry) => {
+    registry.allocations['47000/tcp'] = { metadata: {} };
+  });
+
+  await assert.rejects(updateRegistry(registryPath, (registry) => {
+    registry.allocations = {};
+    throw new Error('nope');
+  }), /nope/);
+
+  assert.deepEqual(Object.keys(loadRegistry(registryPath).allocations), ['47000/tcp']);
+});
+
+test('a holder whose lock was broken as stale leaves its successor\'s lock alone', async (t) => {
+  const registryPath = tempRegistryPath(t);
+  const lockPath = `${registryPath}.lock`;
+
+  const releaseSlow = await acquireRegistryLock(registryPath);
+  await sleep(60);
+  const releaseNext = await acquireRegistryLock(registryPath, { staleMs: 50, timeout: 1000 });
+  const next = readFileSync(lockPath, 'utf-8');
+
+  releaseSlow();
+  assert.equal(readFileSync(lockPath, 'utf-8'), next);
+  await assert.rejects(acquireRegistryLock(registryPath, { timeout: 50 }), /Timed out waiting for registry lock/);
+
+  releaseNext();
+  assert.equal(existsSync(lockPath), false);
+});
+
+test('a lock is kept fresh while a slow mutator runs', async (t) => {
+  const registryPath = tempRegistryPath(t);
+  const staleMs = 100;
+
+  // Each mutator outlives staleMs, so a lock that aged would be broken and the updates would interleave
+  await Promise.all([0, 1].map(() => updateRegistry(registryPath, async (registry) => {
+    const count = registry.count || 0;
+    await sleep(staleMs * 3);
+    registry.count = count + 1;
+  }, { staleMs, timeout: 5000 })));
+
+  assert.equal(loadRegistry(registryPath).count, 2);
+  assert.equal(existsSync(`${registryPath}.lock`), false);
+});
+
+test('1.0.0 registries are migrated step by step', () => {
+  const { registry, fromVersion, migrated } = migrateRegistry({
+    allocations: {
+      3000: { pid: 1, label: 'web' },
+      3001: { metadata: { workspace: 'miyabi' } }
+    }
+  });
+
+  assert.equal(fromVersion, '1.0.0');
+  assert.equal(migrated, true);
+  assert.equal(registry.version, CURRENT_REGISTRY_VERSION);
+  assert.deepEqual(registry.allocations['3000/tcp'], { pid: 1, metadata: { label: 'web' } });
+  assert.deepEqual(registry.allocations['3001/tcp'], { metadata: { app: 'miyabi' } });
+});
+
+test('registries from a newer version are refused', () => {
+  assert.throws(() => migrateRegistry({ version: '99.0.0', allocations: {} }), /newer than this port manager supports/);
+});
+
+test('an old registry is upgraded on the next update, keeping a backup', async (t) => {
+  const registryPath = tempRegistryPath(t);
+  const original = JSON.stringify({ version: '2.0.0', allocations: { 3000: { metadata: { app: 'a' } } } });
+  writeFileSync(registryPath, original);
+
+  await updateRegistry(registryPath, () => {});
+
+  const saved = JSON.parse(readFileSync(registryPath, 'utf-8'));
+  assert.equal(saved.version, CURRENT_REGISTRY_VERSION);
+  assert.deepEqual(Object.keys(saved.allocations), ['3000/tcp']);
+  assert.equal(readFileSync(`${registryPath}.v2.0.0.bak`, 'utf-8'), original);
+});
+
+test('a corrupted registry is only restored under the lock', async (t) => {
+  const registryPath = tempRegistryPath(t);
+  t.mock.method(console, 'warn', () => {});
+
+  await updateRegistry(registryPath, (registry) => {
+    registry.allocations['47000/tcp'] = { metadata: {} };
+  });
+  // A second save leaves the first version as backup 1
+  await updateRegistry(registryPath, (registry) => {
+    registry.allocations['47001/tcp'] = { metadata: {} };
+  });
+  writeFileSync(registryPath, '{ "allocations": ');
+
+  // Unlocked readers see the backup and leave the file alone
+  assert.deepEqual(Object.keys(loadRegistry(registryPath).allocations), ['47000/tcp']);
+  assert.equal(readFileSync(registryPath, 'utf-8'), '{ "allocations": ');
+  assert.ok(existsSync(getBackupPath(registryPath, 1)));
+
+  // The next update quarantines the file and restores the backup
+  await updateRegistry(registryPath, (registry) => {
+    registry.allocations['47002/tcp'] = { metadata: {} };
+  });
+
+  assert.equal(readdirSync(dirname(registryPath)).filter(name => name.includes('.corrupt-')).length, 1);
+  assert.deepEqual(Object.keys(loadRegistry(registryPath).allocations).sort(), ['47000/tcp', '47002/tcp']);
+});
+
+test('a corrupted registry without backups is not reset', async (t) => {
+  const registryPath = tempRegistryPath(t);
+  writeFileSync(registryPath, 'garbage');
+
+  await assert.rejects(updateRegistry(registryPath, () => {}), /No usable backup found/);
+  assert.equal(readFileSync(registryPath, 'utf-8'), 'garbage');
+});
+
+test('a legacy package-local registry is merged into the default registry once, then retired', { skip: existsSync(LEGACY_DIR) }, async (t) => {
+  const { legacyPath, registryPath } = legacySetup(t, {
+    3000: { allocatedAt: '2025-01-01T00:00:00.000Z', groupId: 'g1', role: 'web', metadata: { app: 'old' } },
+    3001: { metadata: { app: 'old' } }
+  });
+  writeFileSync(registryPath, JSON.stringify({
+    version: CURRENT_REGISTRY_VERSION,
+    allocations: { '3001/tcp': { metadata: { app: 'new' } } }
+  }));
+
+  // Existing entries win over legacy ones; reading leaves the legacy file in place
+  const pm = new PortManager({ daemon: false, detectGit: false });
+  assert.equal(pm.registryPath, registryPath);
+  assert.deepEqual(pm.listAllocations().map(entry => [entry.port, entry.metadata.app]), [[3000, 'old'], [3001, 'new']]);
+  assert.equal(existsSync(legacyPath), true);
+
+  await pm.release(3000);
+  assert.equal(existsSync(legacyPath), false);
+  assert.equal(existsSync(`${legacyPath}.migrated`), true);
+  assert.deepEqual(pm.listAllocations().map(entry => entry.port), [3001]);
+});
+
+test('a legacy registry is not merged into registries at other paths', { skip: existsSync(LEGACY_DIR) }, async (t) => {
+  const { legacyPath } = legacySetup(t, { 3000: { metadata: { app: 'old' } } });
+  const pm = new PortManager({ registryPath: tempRegistryPath(t), daemon: false, detectGit: false });
+
+  await pm.allocate({ start: 47000, end: 47010 }, { app: 'new' });
+
+  assert.deepEqual(pm.listAllocations().map(entry => entry.metadata.app), ['new']);
+  assert.equal(existsSync(legacyPath), true);
+});
@@ -0,0 +1,291 @@
+/**
+ * Command Runner - Gosiki OS
+ *
+ * Allocates a port (or a group), runs a command with the ports in its
+ * environment and releases them when the command exits, however it exits:
+ *
+ *   gosiki-port run -- npm run dev                      → PORT=3000
+ *   gosiki-port run --roles frontend,backend -- make    → PORT_FRONTEND, PORT_BACKEND
+ *
+ * The child's PID is recorded as the owner, so even if the runner itself is
+ * killed with SIGKILL the ports are reclaimed once the child exits.
+ *
+ * With `listen`, the ports are handed over already bound, in the style of
+ * systemd socket activation: the listening sockets are file descriptors
+ * 3, 4, ... in the child, described by LISTEN_FDS, LISTEN_FDNAMES (roles)
+ * and LISTEN_PID. A server that adopts them (`listen({ fd: 3 })` in Node)
+ * can never lose its port to another process.
+ *
+ * @module core/port-manager/runner
+ */
+
+import { execFile, spawn } from 'child_process';
+import { existsSync } from 'fs';
+import os from 'os';
+import { delimiter, join } from 'path';
+import { promisify } from 'util';
+import { findListeningFd, isProcAvailable } from './sockets.mjs';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Signals passed on to the child instead of terminating the runner
+ */
+const FORWARDED_SIGNALS = os.platform() === 'win32' ? ['SIGTERM'] : ['SIGTERM', 'SIGHUP'];
+
+/**
+ * Signals the terminal already delivers to the child, which shares the
+ * runner's foreground process group (on Windows, its console): the runner
+ * only outlives them, as a second Ctrl+C often means "force quit" to a server
+ */
+const TERMINAL_SIGNALS = os.platform() === 'win32' ? ['SIGINT', 'SIGBREAK'] : ['SIGINT', 'SIGQUIT'];
+
+/**
+ * Characters cmd.exe treats specially, escaped with ^ on the command lines it runs
+ */
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+/**
+ * Quote an argument for a command line run by cmd.exe
+ *
+ * The argument is quoted the way programs split their command line
+ * (CommandLineToArgvW), then cmd.exe's own metacharacters are escaped. A
+ * batch file (npm, npx and other .cmd shims) passes its arguments through
+ * cmd.exe a second time, so for one they are escaped twice.
+ * @param {string} arg - Argument
+ * @param {boolean} [batch=false] - Whether the command is a batch file
+ * @returns {string} Quoted argument
+ */
+export function quoteWindowsArg(arg, batch = false) {
+  const quoted = `"${String(arg).replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+  const escaped = quoted.replace(CMD_META_CHARS, '^$1');
+  return batch ? escaped.replace(CMD_META_CHARS, '^$1') : escaped;
+}
+
+/**
+ * Check whether a Windows command resolves to a batch file
+ *
+ * The command is looked up the way cmd.exe does: in the current directory,
+ * then on PATH, with each PATHEXT extension.
+ * @private
+ * @param {string} command - Command name or path
+ * @returns {boolean}
+ */
+function isBatchCommand(command) {
+  if (/\.(bat|cmd)$/i.test(command)) return true;
+
+  const extensions = (process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean);
+  const dirs = /[\\/]/.test(command) ? [''] : [process.cwd(), ...(process.env.PATH || '').split(delimiter)];
+  for (const dir of dirs) {
+    for (const extension of extensions) {
+      if (existsSync(join(dir, command + extension))) {
+        return /^\.(bat|cmd)$/i.test(extension);
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Build the spawn() arguments to run a command through cmd.exe on Windows
+ *
+ * A shell is needed to run npm/npx and other .cmd shims, but spawn()'s
+ * `shell` option joins the arguments unquoted, splitting ones with spaces
+ * and running anything after & or | as a command of its own.
+ * @private
+ * @param {string} command - Command to run
+ * @param {Array<string>} args - Command arguments
+ * @returns {Array} [file, args, options] for spawn()
+ */
+function windowsShellCommand(command, args) {
+  const batch = isBatchCommand(command);
+  const line = [command.replace(CMD_META_CHARS, '^$1'), ...args.map(arg => quoteWindowsArg(arg, batch))].join(' ');
+  return [process.env.comspec || 'cmd.exe', ['/d', '/s', '/c', `"${line}"`], { windowsVerbatimArguments: true }];
+}
+
+/**
+ * Environment variable name for a role's port
+ * @param {string} [role] - Role name (e.g. 'frontend', 'api-gateway')
+ * @returns {string} 'PORT' without a role, else e.g. 'PORT_FRONTEND', 'PORT_API_GATEWAY'
+ */
+export function portEnvName(role) {
+  if (!role) return 'PORT';
+  return `PORT_${String(role).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '')}`;
+}
+
+/**
+ * Find the file descriptor of a listening server in this process
+ *
+ * spawn() takes descriptor numbers only, so the server's socket is looked up
+ * by port: in /proc on Linux, else with lsof.
+ * @private
+ * @param {net.Server} server - Listening server
+ * @returns {Promise<number>} File descriptor
+ * @throws {Error} If the descriptor cannot be found
+ */
+async function listeningFd(server) {
+  const { port } = server.address();
+  let fd = null;
+
+  if (isProcAvailable()) {
+    fd = findListeningFd(port);
+  } else {
+    try {
+      const { stdout } = await execFileAsync('lsof',
+        ['-nP', '-a', '-p', String(process.pid), `-iTCP:${port}`, '-sTCP:LISTEN', '-Ff']);
+      const match = stdout.match(/^f(\d+)$/m);
+      fd = match ? Number(match[1]) : null;
+    } catch {
+      // lsof missing, or it found nothing
+    }
+  }
+
+  if (fd === null) {
+    throw new Error(`Cannot find the file descriptor of the socket listening on port ${port}`);
+  }
+  return fd;
+}
+
+/**
+ * Allocate ports, run a command with them and release them on exit
+ * @param {PortManager} pm - Port manager
+ * @param {string} command - Command to run
+ * @param {Array<string>} [args] - Command arguments
+ * @param {Object} [options] - Run options
+ * @param {Array<string|Object>} [options.roles] - Allocate a group with these roles (or role specs)
+ * @param {Object} [options.range] - Port range { start, end }
+ * @param {Object} [options.metadata] - Metadata to store
+ * @param {string|number} [options.ttl] - Lease duration; renewed while the command runs
+ * @param {string} [options.protocol] - 'tcp', 'udp' or 'both'
+ * @param {string} [options.host] - Address the command will bind
+ * @param {boolean} [options.sticky] - Use sticky ports
+ * @param {boolean} [options.contiguous] - Allocate the roles as consecutive ports
+ * @param {number} [options.alignment] - With contiguous, first port is a multiple of this
+ * @param {boolean} [options.listen] - Pass the ports as listening sockets (LISTEN_FDS; not on Windows)
+ * @param {Function} [options.onAllocated] - Called with { ports, env } before the command starts
+ * @returns {Promise<Object>} { code, signal, ports } once the command has exited
+ *   and its ports are released
+ * @throws {Error} If allocation fails or the command cannot be started
+ */
+export async function runWithPorts(pm, command, args = [], options = {}) {
+  const { roles = [], metadata = {} } = options;
+  // The runner owns the ports until the child has a PID to hand them to
+  const allocateOptions = {
+    pid: process.pid,
+    ttl: options.ttl,
+    protocol: options.protocol,
+    host: options.host,
+    sticky: options.sticky
+  };
+
+  if (options.listen && os.platform() === 'win32') {
+    throw new Error('Passing listening sockets is not supported on Windows');
+  }
+
+  let ports;
+  let groupId = null;
+  let servers = [];
+
+  if (roles.length > 0) {
+    const groupOptions = {
+      ...allocateOptions,
+      range: options.range,
+      contiguous: options.contiguous,
+      alignment: options.alignment
+    };
+    const group = options.listen
+      ? await pm.listenGroup(roles.length, metadata, roles, groupOptions)
+      : await pm.allocateGroup(roles.length, metadata, roles, groupOptions);
+    ports = group.ports;
+    groupId = group.groupId;
+    servers = Object.values(group.servers || {});
+  } else if (options.listen) {
+    const { port, server } = await pm.listen(options.range, metadata, allocateOptions);
+    ports = { '': port };
+    servers = [server];
+  } else {
+    ports = { '': await pm.allocate(options.range, metadata, allocateOptions) };
+  }
+
+  const firstPort = Object.values(ports)[0];
+  const release = () => (groupId ? pm.releaseGroup(groupId) : pm.release(firstPort));
+  const env = Object.fromEntries(
+    Object.entries(ports).map(([role, port]) => [portEnvName(role), String(port)])
+  );
+
+  const closeServers = () => {
+    for (const server of servers) {
+      if (server.listening) server.close();
+    }
+  };
+  let fds;
+  try {
+    fds = await Promise.all(servers.map(listeningFd));
+  } catch (error) {
+    closeServers();
+    await release();
+    throw error;
+  }
+
+  if (servers.length > 0) {
+    env.LISTEN_FDS = String(servers.length);
+    env.LISTEN_FDNAMES = Object.keys(ports).map(role => role || 'port').join(':');
+  }
+
+  if (options.onAllocated) {
+    options.onAllocated({ ports, env });
+  }
+
+  const stopKeepAlive = options.ttl ? pm.keepAlive(firstPort) : () => {};
+
+  // LISTEN_PID must be the child's own PID: set it in a shell that then execs the command.
+  // Windows needs a shell to resolve npm/npx and other .cmd shims
+  const [file, fileArgs, spawnOptions = {}] = servers.length > 0
+    ? ['/bin/sh', ['-c', 'export LISTEN_PID=$$; exec "$0" "$@"', command, ...args]]
+    : os.platform() === 'win32' ? windowsShellCommand(command, args) : [command, args];
+  const child = spawn(file, fileArgs, {
+    stdio: ['inherit', 'inherit', 'inherit', ...fds],
+    env: { ...process.env, ...env },
+    ...spawnOptions
+  });
+  const forward = signal => child.kill(signal);
+  const outlive = () => {};
+  let handoff = Promise.resolve();
+
+  for (const signal of FORWARDED_SIGNALS) {
+    process.on(signal, forward);
+  }
+  for (const signal of TERMINAL_SIGNALS) {
+    process.on(signal, outlive);
+  }
+
+  try {
+    const result = await new Promise((resolve, reject) => {
+      child.once('error', reject);
+      child.once('spawn', () => {
+        // The child holds its own copies; ours would compete for connections
+        closeServers();
+        handoff = pm.setOwner(firstPort, child.pid).catch(() => {
+          // The runner stays recorded as owner; it releases on exit anyway
+        });
+      });
+      child.once('exit', (code, signal) => resolve({ code, signal }));
+    });
+
+    return { ...result, ports };
+  } catch (error) {
+    throw new Error(`Failed to start ${command}: ${error.message}`);
+  } finally {
+    closeServers();
+    for (const signal of FORWARDED_SIGNALS) {
+      process.off(signal, forward);
+    }
+    for (const signal of TERMINAL_SIGNALS) {
+      process.off(signal, outlive);
+    }
+    stopKeepAlive();
+    // Never let a late hand-off touch the port after it has been released
+    await handoff;
+    await release();
+  }
+}
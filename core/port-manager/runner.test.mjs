@@ -0,0 +1,108 @@
+/**
+ * Command runner tests
+ *
+ * @module core/port-manager/runner.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import { platform } from 'os';
+import { join } from 'path';
+import { portEnvName, quoteWindowsArg, runWithPorts } from './runner.mjs';
+import { sleep, tempDir, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 24700, end: 24799 };
+
+test('portEnvName derives variable names from roles', () => {
+  assert.equal(portEnvName(), 'PORT');
+  assert.equal(portEnvName('frontend'), 'PORT_FRONTEND');
+  assert.equal(portEnvName('api-gateway'), 'PORT_API_GATEWAY');
+});
+
+test('quoteWindowsArg keeps arguments whole and inert on a cmd.exe command line', () => {
+  assert.equal(quoteWindowsArg('plain'), '^"plain^"');
+  assert.equal(quoteWindowsArg('two words'), '^"two^ words^"');
+  assert.equal(quoteWindowsArg('a&b|c'), '^"a^&b^|c^"');
+  assert.equal(quoteWindowsArg('%PATH%'), '^"^%PATH^%^"');
+  // Quotes and the backslashes before them are escaped for CommandLineToArgvW
+  assert.equal(quoteWindowsArg('say "hi"'), '^"say^ \\^"hi\\^"^"');
+  assert.equal(quoteWindowsArg('C:\\dir\\'), '^"C:\\dir\\\\^"');
+  // Batch files run their arguments through cmd.exe again
+  assert.equal(quoteWindowsArg('a&b', true), '^^^"a^^^&b^^^"');
+});
+
+test('the command gets its ports and they are released when it exits', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const script = 'process.exit(process.env.PORT_WEB && process.env.PORT_API ? 3 : 1)';
+
+  const result = await runWithPorts(pm, process.execPath, ['-e', script], { roles: ['web', 'api'], range: RANGE });
+
+  assert.equal(result.code, 3);
+  assert.deepEqual(Object.keys(result.ports), ['web', 'api']);
+  assert.equal(pm.listAllocations().length, 0);
+});
+
+test('signals from the terminal are left to it, SIGTERM is forwarded', { skip: platform() === 'win32' }, async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const log = join(tempDir(t), 'signals.log');
+  const script = `
+    const record = line => require('fs').appendFileSync(${JSON.stringify(log)}, line + '\\n');
+    process.on('SIGINT', () => record('SIGINT'));
+    process.on('SIGQUIT', () => record('SIGQUIT'));
+    process.on('SIGTERM', () => process.exit(5));
+    record('ready');
+    setInterval(() => {}, 1000);
+  `;
+  const signals = ['SIGINT', 'SIGQUIT', 'SIGTERM'];
+  const before = Object.fromEntries(signals.map(signal => [signal, process.listeners(signal)]));
+  // Only the runner's handlers: the test runner may have its own
+  const signalRunner = signal => process.listeners(signal)
+    .filter(listener => !before[signal].includes(listener))
+    .forEach(listener => listener(signal));
+
+  const running = runWithPorts(pm, process.execPath, ['-e', script]);
+  while (!existsSync(log)) await sleep(10);
+  signalRunner('SIGINT');
+  signalRunner('SIGQUIT');
+  await sleep(100);
+  signalRunner('SIGTERM');
+  const result = await running;
+
+  assert.equal(result.code, 5);
+  assert.equal(readFileSync(log, 'utf-8'), 'ready\n');
+  assert.deepEqual(signals.map(signal => process.listeners(signal).length), signals.map(signal => before[signal].length));
+});
+
+test('setOwner hands the whole group to another process', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  const group = await pm.allocateGroup(2, {}, ['web', 'api'], { range: RANGE });
+
+  const result = await pm.setOwner(group.ports.web, null);
+
+  assert.deepEqual(result.ports.sort(), Object.values(group.ports).sort());
+  assert.ok(pm.listAllocations().every(entry => !entry.pid));
+});
+
+test('listen hands the ports over as bound sockets', { skip: platform() === 'win32' }, async (t) => {
+  const pm = tempPortManager(t, { range: RANGE });
+  // Adopt fd 4 (the api role) and connect to it through PORT_API
+  const script = `
+    const net = require('net');
+    const server = net.createServer(socket => socket.end(process.env.LISTEN_FDNAMES));
+    server.listen({ fd: 4 }, () => {
+      net.connect(Number(process.env.PORT_API), '127.0.0.1').on('data', (data) => {
+        process.exit(String(data) === 'web:api' && process.env.LISTEN_PID === String(process.pid) ? 0 : 1);
+      });
+    });
+  `;
+
+  const result = await runWithPorts(pm, process.execPath, ['-e', script], {
+    roles: ['web', 'api'],
+    range: RANGE,
+    listen: true
+  });
+
+  assert.equal(result.code, 0);
+  assert.equal(pm.listAllocations().length, 0);
+});
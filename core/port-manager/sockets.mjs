@@ -0,0 +1,295 @@
+/**
+ * Native Socket Discovery - Gosiki OS
+ *
+ * Linux backend that reads the kernel socket tables from /proc instead of
+ * shelling out to lsof/netstat, so detection works on minimal containers
+ * where neither tool is installed:
+ *
+ *   /proc/net/{tcp,tcp6,udp,udp6}  → local address, port, state, socket inode
+ *   /proc/<pid>/fd/*               → socket inode → PID (or, for this
+ *                                    process, → file descriptor)
+ *   /proc/<pid>/comm               → process name
+ *
+ * @module core/port-manager/sockets
+ */
+
+import { existsSync, readFileSync, readdirSync, readlinkSync } from 'fs';
+import os from 'os';
+
+/**
+ * Socket tables and the protocol/family they describe
+ */
+const SOCKET_TABLES = [
+  { file: '/proc/net/tcp', protocol: 'tcp', family: 4 },
+  { file: '/proc/net/tcp6', protocol: 'tcp', family: 6 },
+  { file: '/proc/net/udp', protocol: 'udp', family: 4 },
+  { file: '/proc/net/udp6', protocol: 'udp', family: 6 }
+];
+
+/**
+ * TCP state code for LISTEN in /proc/net/tcp*
+ */
+const TCP_LISTEN = '0A';
+
+/**
+ * Check whether the /proc backend can be used on this host
+ * @returns {boolean} True on Linux with a readable /proc/net/tcp
+ */
+export function isProcAvailable() {
+  return os.platform() === 'linux' && existsSync('/proc/net/tcp');
+}
+
+/**
+ * Decode a hex IPv4 address from /proc/net (host byte order, little-endian)
+ * @private
+ * @param {string} hex - 8 hex digits
+ * @returns {string} Dotted quad
+ */
+function decodeIPv4(hex) {
+  const bytes = [];
+  for (let i = 6; i >= 0; i -= 2) {
+    bytes.push(parseInt(hex.slice(i, i + 2), 16));
+  }
+  return bytes.join('.');
+}
+
+/**
+ * Decode a hex IPv6 address from /proc/net (four little-endian 32-bit words)
+ * @private
+ * @param {string} hex - 32 hex digits
+ * @returns {string} IPv6 address (uncompressed groups, e.g. 0:0:0:0:0:0:0:1)
+ */
+function decodeIPv6(hex) {
+  const bytes = [];
+  for (let word = 0; word < 4; word++) {
+    const chunk = hex.slice(word * 8, word * 8 + 8);
+    for (let i = 6; i >= 0; i -= 2) {
+      bytes.push(parseInt(chunk.slice(i, i + 2), 16));
+    }
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+
+  const address = groups.join(':');
+  // Present IPv4-mapped and wildcard addresses the way Node reports them
+  if (address === '0:0:0:0:0:0:0:0') return '::';
+  if (address === '0:0:0:0:0:0:0:1') return '::1';
+  if (address.startsWith('0:0:0:0:0:ffff:')) {
+    return `::ffff:${bytes.slice(12).join('.')}`;
+  }
+  return address;
+}
+
+/**
+ * Parse the contents of one /proc/net socket table
+ * @param {string} text - Table contents, starting with the header line
+ * @param {Object} table - What the table describes
+ * @param {string} table.protocol - 'tcp' or 'udp'
+ * @param {number} table.family - 4 or 6
+ * @returns {Array<Object>} { protocol, family, address, port, inode }
+ */
+export function parseSocketTable(text, { protocol, family }) {
+  const sockets = [];
+  for (const line of text.split('\n').slice(1)) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 10) continue;
+
+    const [addressHex, portHex] = fields[1].split(':');
+    const state = fields[3];
+
+    // TCP: only listening sockets occupy a port for our purposes.
+    // UDP: every bound socket does (they show up as state 07).
+    if (protocol === 'tcp' && state !== TCP_LISTEN) continue;
+
+    sockets.push({
+      protocol,
+      family,
+      address: family === 4 ? decodeIPv4(addressHex) : decodeIPv6(addressHex),
+      port: parseInt(portHex, 16),
+      inode: Number(fields[9])
+    });
+  }
+
+  return sockets;
+}
+
+/**
+ * Read and parse one /proc/net socket table
+ * @private
+ * @param {Object} table - Entry from SOCKET_TABLES
+ * @returns {Array<Object>} Socket entries
+ */
+function readTableFile(table) {
+  let text;
+  try {
+    text = readFileSync(table.file, 'utf-8');
+  } catch {
+    // IPv6 disabled, or the table is not exposed in this namespace
+    return [];
+  }
+  return parseSocketTable(text, table);
+}
+
+/**
+ * Read the socket inode a /proc/<pid>/fd link points at
+ * @param {string} target - Link target, e.g. 'socket:[12345]'
+ * @returns {number|null} Inode, or null if the descriptor is not a socket
+ */
+export function parseSocketLink(target) {
+  const match = /^socket:\[(\d+)\]$/.exec(target);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Read all listening TCP sockets and bound UDP sockets
+ * @param {Object} [options] - Filter options
+ * @param {string} [options.protocol] - 'tcp' or 'udp' (default: both)
+ * @returns {Array<Object>} { protocol, family, address, port, inode }
+ */
+export function readSocketTable(options = {}) {
+  return SOCKET_TABLES
+    .filter(table => !options.protocol || table.protocol === options.protocol)
+    .flatMap(readTableFile);
+}
+
+/**
+ * Map socket inodes to the PIDs that hold them
+ *
+ * Processes owned by other users cannot be inspected without privileges;
+ * their sockets simply stay unmapped.
+ * @param {Array<number>} inodes - Socket inodes to look for
+ * @returns {Map<number, number>} inode → PID
+ */
+export function mapInodesToPids(inodes) {
+  const wanted = new Set(inodes.filter(inode => inode > 0));
+  const owners = new Map();
+  if (wanted.size === 0) return owners;
+
+  let pids;
+  try {
+    pids = readdirSync('/proc').filter(name => /^\d+$/.test(name));
+  } catch {
+    return owners;
+  }
+
+  for (const pid of pids) {
+    let fds;
+    try {
+      fds = readdirSync(`/proc/${pid}/fd`);
+    } catch {
+      continue;
+    }
+
+    for (const fd of fds) {
+      let target;
+      try {
+        target = readlinkSync(`/proc/${pid}/fd/${fd}`);
+      } catch {
+        continue;
+      }
+
+      const inode = parseSocketLink(target);
+      if (wanted.has(inode)) {
+        owners.set(inode, Number(pid));
+        wanted.delete(inode);
+        if (wanted.size === 0) return owners;
+      }
+    }
+  }
+
+  return owners;
+}
+
+/**
+ * Find the file descriptor this process listens on a TCP port with
+ *
+ * Used to pass a listening net.Server to a child process, since Node only
+ * accepts descriptor numbers in spawn()'s stdio and has no public way to
+ * read a server's.
+ * @param {number} port - Port the server listens on
+ * @returns {number|null} File descriptor, or null if this process has no such socket
+ */
+export function findListeningFd(port) {
+  const inodes = new Set(readSocketTable({ protocol: 'tcp' })
+    .filter(socket => socket.port === Number(port))
+    .map(socket => socket.inode));
+  if (inodes.size === 0) return null;
+
+  let fds;
+  try {
+    fds = readdirSync('/proc/self/fd');
+  } catch {
+    return null;
+  }
+
+  for (const fd of fds) {
+    let target;
+    try {
+      target = readlinkSync(`/proc/self/fd/${fd}`);
+    } catch {
+      // Closed since readdir (e.g. the descriptor readdir itself used)
+      continue;
+    }
+
+    if (inodes.has(parseSocketLink(target))) return Number(fd);
+  }
+
+  return null;
+}
+
+/**
+ * Read a process name
+ * @param {number} pid - Process ID
+ * @returns {string} Process name, or 'unknown'
+ */
+export function readProcessName(pid) {
+  try {
+    return readFileSync(`/proc/${pid}/comm`, 'utf-8').trim() || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Find the processes bound to any of several ports
+ *
+ * The socket tables are read and /proc/<pid>/fd is walked once, however
+ * many ports are asked for, so a whole dashboard snapshot costs one scan.
+ * @param {Array<number>} ports - Port numbers
+ * @param {Object} [options] - Filter options
+ * @param {string} [options.protocol] - 'tcp' or 'udp' (default: both)
+ * @returns {Array<Object>} { pid, processName, protocol, family, address, port }
+ *   (pid is null when the owning process cannot be inspected)
+ */
+export function findPortOwners(ports, options = {}) {
+  const wanted = new Set(ports.map(Number));
+  const sockets = readSocketTable({ protocol: options.protocol }).filter(socket => wanted.has(socket.port));
+  const pids = mapInodesToPids(sockets.map(socket => socket.inode));
+
+  return sockets.map((socket) => {
+    const pid = pids.get(socket.inode) || null;
+    return {
+      pid,
+      processName: pid ? readProcessName(pid) : 'unknown',
+      protocol: socket.protocol,
+      family: socket.family,
+      address: socket.address,
+      port: socket.port
+    };
+  });
+}
+
+/**
+ * Find the processes bound to a port
+ * @param {number} port - Port number
+ * @param {Object} [options] - Filter options
+ * @param {string} [options.protocol='tcp'] - 'tcp' or 'udp'
+ * @returns {Array<Object>} { pid, processName, protocol, family, address, port }
+ *   (pid is null when the owning process cannot be inspected)
+ */
+export function findSocketOwners(port, options = {}) {
+  return findPortOwners([port], { protocol: options.protocol || 'tcp' });
+}
@@ -0,0 +1,87 @@
+/**
+ * Socket discovery tests - /proc/net parsing and inode lookup
+ *
+ * @module core/port-manager/sockets.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSocketOwners, isProcAvailable, mapInodesToPids, parseSocketLink, parseSocketTable } from './sockets.mjs';
+import { occupy } from './test-helpers.mjs';
+
+const PORT = 25300;
+
+const HEADER = '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode';
+
+/**
+ * Build a /proc/net table with the header line
+ * @param {...string} rows - Socket rows
+ * @returns {string} Table contents
+ */
+function table(...rows) {
+  return [HEADER, ...rows, ''].join('\n');
+}
+
+test('IPv4 TCP rows: only LISTEN sockets count', () => {
+  const sockets = parseSocketTable(table(
+    '   0: 0100007F:0BB8 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 41001 1 0000000000000000 100 0 0 10 0',
+    '   1: 00000000:1F90 00000000:0000 0A 00000000:00000000 00:00000000 00000000     0        0 41002 1 0000000000000000 100 0 0 10 0',
+    '   2: 0100007F:0BB8 0100007F:D431 01 00000000:00000000 00:00000000 00000000  1000        0 41003 1 0000000000000000 20 4 30 10 -1',
+    '   3: 0100007F:0BB9 0100007F:D432 06 00000000:00000000 03:00000F9A 00000000     0        0 0 3 0000000000000000'
+  ), { protocol: 'tcp', family: 4 });
+
+  assert.deepEqual(sockets, [
+    { protocol: 'tcp', family: 4, address: '127.0.0.1', port: 3000, inode: 41001 },
+    { protocol: 'tcp', family: 4, address: '0.0.0.0', port: 8080, inode: 41002 }
+  ]);
+});
+
+test('IPv6 TCP rows decode loopback, wildcard, mapped and plain addresses', () => {
+  const row = (address, inode) =>
+    `   0: ${address}:0BB8 00000000000000000000000000000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 ${inode} 1 0000000000000000 100 0 0 10 0`;
+  const sockets = parseSocketTable(table(
+    row('00000000000000000000000001000000', 1),
+    row('00000000000000000000000000000000', 2),
+    row('0000000000000000FFFF00000100007F', 3),
+    row('000080FE000000000000000001000000', 4)
+  ), { protocol: 'tcp', family: 6 });
+
+  assert.deepEqual(sockets.map(socket => [socket.address, socket.port, socket.family]), [
+    ['::1', 3000, 6],
+    ['::', 3000, 6],
+    ['::ffff:127.0.0.1', 3000, 6],
+    ['fe80:0:0:0:0:0:0:1', 3000, 6]
+  ]);
+});
+
+test('UDP rows count whatever their state', () => {
+  const sockets = parseSocketTable(table(
+    '  812: 00000000:14E9 00000000:0000 07 00000000:00000000 00:00000000 00000000   101        0 52001 2 0000000000000000 0',
+    '  813: 0100007F:0035 0100007F:A1B2 01 00000000:00000000 00:00000000 00000000   101        0 52002 2 0000000000000000 0'
+  ), { protocol: 'udp', family: 4 });
+
+  assert.deepEqual(sockets.map(socket => [socket.address, socket.port, socket.inode]), [
+    ['0.0.0.0', 5353, 52001],
+    ['127.0.0.1', 53, 52002]
+  ]);
+});
+
+test('short and empty rows are skipped', () => {
+  assert.deepEqual(parseSocketTable(table('', '   0: 0100007F:0BB8'), { protocol: 'tcp', family: 4 }), []);
+});
+
+test('parseSocketLink reads socket inodes from fd links', () => {
+  assert.equal(parseSocketLink('socket:[41001]'), 41001);
+  assert.equal(parseSocketLink('pipe:[41001]'), null);
+  assert.equal(parseSocketLink('/dev/null'), null);
+});
+
+test('a listening socket is traced to this process', { skip: !isProcAvailable() }, async (t) => {
+  await occupy(t, PORT, '127.0.0.1');
+
+  const [owner] = findSocketOwners(PORT);
+  assert.equal(owner.pid, process.pid);
+  assert.equal(owner.address, '127.0.0.1');
+  assert.notEqual(owner.processName, 'unknown');
+  assert.equal(mapInodesToPids([]).size, 0);
+});
@@ -0,0 +1,110 @@
+/**
+ * Sticky Ports - Gosiki OS
+ *
+ * Gives the same (app, worktree, role) the same port across restarts, so
+ * bookmarks, OAuth redirect URIs and browser sessions keep working.
+ *
+ * Candidates are tried in this order:
+ *   1. the port last handed out for the key (remembered in the registry)
+ *   2. a preferred port derived from a stable hash of the key
+ *   3. the rest of the range, scanning upwards from the preferred port
+ *
+ * The registry remembers the last port per key:
+ *
+ *   sticky[app][worktree][role] = { port, allocatedAt }
+ *
+ * @module core/port-manager/sticky
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Build the sticky key for an allocation
+ * @param {Object} [metadata] - Allocation metadata ({ app, worktree, label })
+ * @param {string} [role] - Role within a group (default: metadata.label)
+ * @returns {Array<string>} [app, worktree, role]
+ */
+export function stickyKey(metadata = {}, role) {
+  return [
+    metadata.app || 'default',
+    metadata.worktree || 'default',
+    role || metadata.label || 'default'
+  ];
+}
+
+/**
+ * Derive the preferred port for a key
+ * @param {Array<string>} key - Sticky key
+ * @param {Object} range - Port range { start, end }
+ * @returns {number} Port within the range
+ */
+export function preferredPort(key, range) {
+  const size = range.end - range.start + 1;
+  const hash = createHash('sha1').update(key.join('\0')).digest().readUInt32BE(0);
+  return range.start + (hash % size);
+}
+
+/**
+ * List ports to try for a key, best candidate first
+ * @param {Object} registry - Registry data
+ * @param {Array<string>} key - Sticky key
+ * @param {Object} range - Port range { start, end }
+ * @returns {Array<number>} Every port in the range, in preference order
+ */
+export function stickyCandidates(registry, key, range) {
+  const [app, worktree, role] = key;
+  const preferred = preferredPort(key, range);
+  const remembered = ownValue(ownValue(ownValue(ownValue(registry, 'sticky'), app), worktree), role)?.port;
+  const candidates = [];
+
+  if (remembered >= range.start && remembered <= range.end) {
+    candidates.push(remembered);
+  }
+
+  for (let port = preferred; port <= range.end; port++) {
+    if (port !== remembered) candidates.push(port);
+  }
+  for (let port = range.start; port < preferred; port++) {
+    if (port !== remembered) candidates.push(port);
+  }
+
+  return candidates;
+}
+
+/**
+ * Remember the port handed out for a key
+ * @param {Object} registry - Registry data (mutated)
+ * @param {Array<string>} key - Sticky key
+ * @param {number} port - Port number
+ */
+export function rememberPort(registry, key, port) {
+  const [app, worktree, role] = key;
+  const apps = ownValue(registry, 'sticky') || setOwnValue(registry, 'sticky', Object.create(null));
+  const worktrees = ownValue(apps, app) || setOwnValue(apps, app, Object.create(null));
+  const roles = ownValue(worktrees, worktree) || setOwnValue(worktrees, worktree, Object.create(null));
+  setOwnValue(roles, role, { port, allocatedAt: new Date().toISOString() });
+}
+
+/**
+ * Read an own property, so names like "__proto__" never reach the prototype
+ * @private
+ * @param {Object} [object] - Object to read
+ * @param {string} name - Property name
+ * @returns {*} Property value, or undefined
+ */
+function ownValue(object, name) {
+  return object && Object.hasOwn(object, name) ? object[name] : undefined;
+}
+
+/**
+ * Define an own property, even when the name is "__proto__"
+ * @private
+ * @param {Object} object - Object to mutate
+ * @param {string} name - Property name
+ * @param {*} value - Property value
+ * @returns {*} The value
+ */
+function setOwnValue(object, name, value) {
+  Object.defineProperty(object, name, { value, enumerable: true, writable: true, configurable: true });
+  return value;
+}
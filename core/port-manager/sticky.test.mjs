@@ -0,0 +1,67 @@
+/**
+ * Sticky port tests - hashing, remembered ports and untrusted keys
+ *
+ * @module core/port-manager/sticky.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { preferredPort, rememberPort, stickyCandidates, stickyKey } from './sticky.mjs';
+import { tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 24900, end: 24999 };
+
+test('the preferred port is a stable hash within the range', () => {
+  const key = stickyKey({ app: 'miyabi', worktree: 'feature/ui' }, 'frontend');
+  const port = preferredPort(key, RANGE);
+
+  assert.deepEqual(key, ['miyabi', 'feature/ui', 'frontend']);
+  assert.equal(preferredPort([...key], RANGE), port);
+  assert.ok(port >= RANGE.start && port <= RANGE.end);
+  assert.deepEqual(stickyKey(), ['default', 'default', 'default']);
+});
+
+test('candidates start at the remembered port, then scan up from the preferred one', () => {
+  const range = { start: 24900, end: 24909 };
+  const key = ['a', 'b', 'c'];
+  const preferred = preferredPort(key, range);
+  const registry = { allocations: {} };
+
+  const fresh = stickyCandidates(registry, key, range);
+  assert.equal(fresh[0], preferred);
+  assert.deepEqual([...fresh].sort(), Array.from({ length: 10 }, (_, i) => range.start + i));
+
+  rememberPort(registry, key, 24905);
+  const remembered = stickyCandidates(registry, key, range);
+  assert.equal(remembered[0], 24905);
+  assert.equal(remembered.length, 10);
+});
+
+test('keys named after Object.prototype members stay in the registry', () => {
+  const registry = JSON.parse('{ "allocations": {} }');
+  const key = ['__proto__', 'polluted', 'constructor'];
+
+  rememberPort(registry, key, 24950);
+
+  assert.equal({}.polluted, undefined);
+  assert.equal(Object.getPrototypeOf(registry.sticky), null);
+  assert.equal(stickyCandidates(registry, key, RANGE)[0], 24950);
+  assert.equal(JSON.parse(JSON.stringify(registry)).sticky.__proto__.polluted.constructor.port, 24950);
+  assert.equal(stickyCandidates({}, ['constructor', 'x', 'y'], RANGE)[0], preferredPort(['constructor', 'x', 'y'], RANGE));
+});
+
+test('a released sticky port is handed out again to the same role', async (t) => {
+  const pm = tempPortManager(t, { range: RANGE, sticky: true });
+  const metadata = { app: 'miyabi', worktree: 'main', label: 'web' };
+  const preferred = preferredPort(stickyKey(metadata), RANGE);
+
+  // Hold the preferred port, so the role lands elsewhere and has to be remembered
+  await pm.allocate({ start: preferred, end: preferred }, {}, { sticky: false });
+  const port = await pm.allocate(RANGE, metadata);
+  assert.notEqual(port, preferred);
+
+  await pm.release(preferred);
+  await pm.release(port);
+  assert.equal(await pm.allocate(RANGE, metadata), port);
+  assert.notEqual(await pm.allocate(RANGE, { ...metadata, label: 'api' }), port);
+});
@@ -0,0 +1,102 @@
+/**
+ * Test Helpers - Gosiki OS
+ *
+ * Fixtures shared by the *.test.mjs files: temporary registries and
+ * PortManagers, occupied ports and cleanup in reverse order.
+ *
+ * @module core/port-manager/test-helpers
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import net from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PortManager } from './PortManager.mjs';
+
+/**
+ * Cleanups registered per test context
+ */
+const cleanups = new WeakMap();
+
+/**
+ * Run a function after the test, before everything registered earlier
+ *
+ * A server started on a temporary registry is then closed before the
+ * directory holding the registry is removed.
+ * @param {TestContext} t - Test context
+ * @param {Function} fn - Cleanup, may be async
+ */
+export function defer(t, fn) {
+  if (!cleanups.has(t)) {
+    const fns = [];
+    cleanups.set(t, fns);
+    t.after(async () => {
+      for (const cleanup of fns.reverse()) {
+        await cleanup();
+      }
+    });
+  }
+  cleanups.get(t).push(fn);
+}
+
+/**
+ * Create a temporary directory removed after the test
+ * @param {TestContext} t - Test context
+ * @param {string} [prefix='gosiki-test-'] - Directory name prefix
+ * @returns {string} Directory path
+ */
+export function tempDir(t, prefix = 'gosiki-test-') {
+  const dir = mkdtempSync(join(tmpdir(), prefix));
+  defer(t, () => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Create a registry path in a temporary directory removed after the test
+ * @param {TestContext} t - Test context
+ * @returns {string} Registry path
+ */
+export function tempRegistryPath(t) {
+  return join(tempDir(t, 'gosiki-registry-'), 'port-registry.json');
+}
+
+/**
+ * Create a PortManager on a temporary registry, without the daemon or git detection
+ * @param {TestContext} t - Test context
+ * @param {Object} [options] - Extra PortManager options (usually the test file's range)
+ * @returns {PortManager}
+ */
+export function tempPortManager(t, options = {}) {
+  return new PortManager({
+    registryPath: tempRegistryPath(t),
+    daemon: false,
+    detectGit: false,
+    ...options
+  });
+}
+
+/**
+ * Listen on a port for the rest of the test
+ * @param {TestContext} t - Test context
+ * @param {number} port - Port to occupy
+ * @param {string} [host] - Bind host (default: the dual-stack wildcard)
+ * @returns {Promise<net.Server>}
+ */
+export async function occupy(t, port, host) {
+  const server = net.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen({ port, host }, resolve);
+  });
+  defer(t, () => new Promise(resolve => server.close(resolve)));
+  return server;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
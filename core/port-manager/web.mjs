@@ -0,0 +1,332 @@
+/**
+ * Web Dashboard - Gosiki OS
+ *
+ * Serves the dashboard as a page on a port the server allocates for itself:
+ *
+ *   GET  /                          HTML page
+ *   GET  /api/ports                 { apps } as returned by getAllGrouped()
+ *   GET  /events                    server-sent `ports` events: { apps, changes }
+ *   POST /api/ports/:port/release   release a port
+ *   POST /api/groups/:id/release    release a group
+ *
+ * The server only listens on 127.0.0.1 and answers requests addressed to
+ * 127.0.0.1 or localhost, so other machines and DNS-rebinding pages can't
+ * reach it. Release requests also need the token embedded in the page, sent
+ * as X-Gosiki-Token, which other sites can't send without a CORS preflight.
+ *
+ * @module core/port-manager/web
+ */
+
+import http from 'http';
+import { randomBytes } from 'crypto';
+import { DEFAULT_WATCH_INTERVAL, diffDashboard } from './dashboard.mjs';
+import { parseDuration } from './lease.mjs';
+import { logError, logGroupReleased, logReleased } from './logger.mjs';
+
+/**
+ * Address local servers listen on
+ */
+export const LOCAL_HOST = '127.0.0.1';
+
+/**
+ * Dashboard page; __TOKEN__ is replaced with the server's token
+ */
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Gosiki OS - Port Allocations</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+  h1 { font-size: 1.4em; }
+  h2 { font-size: 1.15em; margin-top: 1.5em; }
+  h3 { font-size: 1em; color: #555; margin: 1em 0 .3em; }
+  table { border-collapse: collapse; margin-bottom: .8em; min-width: 40em; }
+  th, td { text-align: left; padding: .25em .8em; border-bottom: 1px solid #eee; }
+  th { color: #777; font-weight: normal; }
+  caption { text-align: left; color: #777; padding: .2em 0; }
+  code { font-size: .95em; }
+  button { font-size: .85em; cursor: pointer; }
+  .status { font-weight: bold; font-size: .85em; }
+  .active, .ready { color: #1a7f37; }
+  .starting { color: #9a6700; }
+  .stale, .expired { color: #cf222e; }
+  .free { color: #777; }
+  tr.changed { animation: flash 3s; }
+  @keyframes flash { from { background: #fff3b0; } to { background: transparent; } }
+  #state { color: #777; }
+</style>
+</head>
+<body>
+<h1>Gosiki OS - Port Allocations</h1>
+<p id="state">Connecting...</p>
+<main id="apps"></main>
+<script>
+const TOKEN = __TOKEN__;
+
+function el(tag, props, ...children) {
+  const node = Object.assign(document.createElement(tag), props || {});
+  node.append(...children.filter(child => child !== null && child !== undefined));
+  return node;
+}
+
+async function post(path, confirmText) {
+  if (!confirm(confirmText)) return;
+  const response = await fetch(path, { method: 'POST', headers: { 'X-Gosiki-Token': TOKEN } });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    alert(body.message || response.statusText);
+  }
+}
+
+function portRow(entry, changes) {
+  const process = entry.process ? entry.process.processName + ' (PID ' + entry.process.pid + ')' : '';
+  const key = entry.port + '/' + (entry.protocol || 'tcp');
+  const release = el('button', { textContent: 'Release' });
+  release.onclick = () => post('/api/ports/' + entry.port + '/release', 'Release port ' + entry.port + '?');
+  return el('tr', { className: changes[key] ? 'changed' : '' },
+    el('td', { textContent: entry.role }),
+    el('td', {}, el('code', { textContent: key })),
+    el('td', {}, el('span', { className: 'status ' + entry.status, textContent: entry.status.toUpperCase() })),
+    el('td', { textContent: process }),
+    el('td', {}, release));
+}
+
+function portTable(ports, changes, groupId) {
+  const table = el('table', {});
+  if (groupId) {
+    const release = el('button', { textContent: 'Release group' });
+    release.onclick = () => post('/api/groups/' + encodeURIComponent(groupId) + '/release', 'Release every port in group ' + groupId + '?');
+    table.append(el('caption', {}, 'Group ', el('code', { textContent: groupId }), ' ', release));
+  }
+  table.append(el('tr', {}, ...['Role', 'Port', 'Status', 'Process', ''].map(text => el('th', { textContent: text }))));
+  ports.sort((a, b) => a.port - b.port).forEach(entry => table.append(portRow(entry, changes)));
+  return table;
+}
+
+function render(data) {
+  const apps = data.apps;
+  const main = document.getElementById('apps');
+  const names = Object.keys(apps).sort();
+  let total = 0;
+
+  main.replaceChildren();
+  if (names.length === 0) {
+    main.append(el('p', { textContent: 'No ports currently allocated.' }));
+  }
+  for (const app of names) {
+    main.append(el('h2', { textContent: app }));
+    for (const worktree of Object.keys(apps[app]).sort()) {
+      main.append(el('h3', { textContent: worktree }));
+      const groups = new Map();
+      for (const entry of apps[app][worktree]) {
+        total++;
+        const id = entry.groupId || '';
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(entry);
+      }
+      for (const [groupId, ports] of groups) {
+        main.append(portTable(ports, data.changes || {}, groupId));
+      }
+    }
+  }
+  document.getElementById('state').textContent =
+    total + ' port(s) allocated. Updated ' + new Date().toLocaleTimeString() + '.';
+}
+
+const events = new EventSource('/events');
+events.addEventListener('ports', event => render(JSON.parse(event.data)));
+events.addEventListener('failed', event => {
+  document.getElementById('state').textContent = 'Error: ' + JSON.parse(event.data).message;
+});
+events.onerror = () => {
+  document.getElementById('state').textContent = 'Disconnected. Reconnecting...';
+};
+</script>
+</body>
+</html>
+`;
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} data - Response body
+ */
+export function sendJson(response, statusCode, data) {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(data));
+}
+
+/**
+ * Check that a request was addressed to a local server on this machine
+ *
+ * Rejecting other Host headers keeps DNS-rebinding pages from reaching it.
+ * @param {string} [hostHeader] - Host request header
+ * @param {number} port - Server port
+ * @returns {boolean}
+ */
+export function isLocalHost(hostHeader, port) {
+  return [`${LOCAL_HOST}:${port}`, `localhost:${port}`].includes(hostHeader);
+}
+
+/**
+ * Serve the web dashboard
+ * @param {PortManager} pm - Port manager to show and release through
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to serve on (default: one allocated from the range)
+ * @param {Object} [options.range] - Range to allocate the server's port from (default: pm's range)
+ * @param {string|number} [options.interval='2s'] - How often connected pages are refreshed
+ * @returns {Promise<Object>} { port, url, close } where close() stops the server and releases its port
+ * @throws {Error} If no port could be allocated for the server
+ */
+export async function serveDashboard(pm, options = {}) {
+  const interval = parseDuration(options.interval ?? DEFAULT_WATCH_INTERVAL);
+  const range = options.port ? { start: options.port, end: options.port } : options.range || pm.getRange();
+  const token = randomBytes(16).toString('hex');
+  const page = DASHBOARD_HTML.replace('__TOKEN__', JSON.stringify(token));
+
+  // The server's own port is allocated (and owned by this process) like any other
+  const { port, server } = await pm.listen(
+    range,
+    { app: 'gosiki-os', worktree: 'dashboard', label: 'dashboard' },
+    { host: LOCAL_HOST, pid: process.pid }
+  );
+
+  // Each page's last snapshot, so a page only gets changes it has not seen
+  const clients = new Map();
+  let timer = null;
+  let closed = false;
+
+  const send = (client, event, data) => {
+    client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Push a snapshot to every page whose last one is out of date
+  const publish = async () => {
+    const apps = await pm.getAllGrouped();
+    const json = JSON.stringify(apps);
+
+    for (const [client, previous] of clients) {
+      // null: the page is still waiting for its first snapshot
+      if (!previous || json === previous.json) continue;
+      send(client, 'ports', { apps, changes: diffDashboard(previous.apps, apps) });
+      clients.set(client, { apps, json });
+    }
+  };
+
+  const poll = async () => {
+    try {
+      await publish();
+    } catch (error) {
+      for (const client of clients.keys()) {
+        send(client, 'failed', { message: error.message });
+      }
+    }
+    timer = clients.size > 0 && !closed ? setTimeout(poll, interval) : null;
+  };
+
+  const handle = async (request, response) => {
+    if (!isLocalHost(request.headers.host, port)) {
+      sendJson(response, 403, logError('Requests must be addressed to localhost'));
+      return;
+    }
+
+    const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+    const route = `${request.method} ${pathname}`;
+
+    if (route === 'GET /') {
+      response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      response.end(page);
+      return;
+    }
+
+    if (route === 'GET /api/ports') {
+      sendJson(response, 200, { apps: await pm.getAllGrouped() });
+      return;
+    }
+
+    if (route === 'GET /events') {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      response.write('retry: 2000\n\n');
+      clients.set(response, null);
+      request.on('close', () => clients.delete(response));
+
+      const apps = await pm.getAllGrouped();
+      if (!clients.has(response)) return;
+      clients.set(response, { apps, json: JSON.stringify(apps) });
+      send(response, 'ports', { apps, changes: {} });
+      if (!timer) timer = setTimeout(poll, interval);
+      return;
+    }
+
+    const action = /^POST \/api\/(ports|groups)\/([^/]+)\/release$/.exec(route);
+    if (action) {
+      if (request.headers['x-gosiki-token'] !== token) {
+        sendJson(response, 403, logError('Missing or invalid X-Gosiki-Token'));
+        return;
+      }
+
+      const target = decodeURIComponent(action[2]);
+      let result;
+      if (action[1] === 'ports') {
+        const released = await pm.release(Number(target));
+        result = released
+          ? [200, logReleased(Number(target))]
+          : [404, logError(`Port ${target} is not allocated`)];
+      } else {
+        const released = await pm.releaseGroup(target);
+        result = released.released > 0
+          ? [200, logGroupReleased(target, released)]
+          : [404, logError(`Group ${target} has no allocated ports`)];
+      }
+
+      await publish().catch(() => {});
+      sendJson(response, ...result);
+      return;
+    }
+
+    sendJson(response, 404, logError(`Not found: ${route}`));
+  };
+
+  const httpServer = http.createServer((request, response) => {
+    handle(request, response).catch((error) => {
+      if (!response.headersSent) {
+        sendJson(response, 500, logError(error.message));
+      } else {
+        response.end();
+      }
+    });
+  });
+  // httpServer never listens itself, so it cannot track (or close) these connections
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.once('close', () => sockets.delete(socket));
+    httpServer.emit('connection', socket);
+  });
+
+  return {
+    port,
+    url: `http://${LOCAL_HOST}:${port}/`,
+    close: async () => {
+      closed = true;
+      clearTimeout(timer);
+      for (const client of clients.keys()) {
+        client.end();
+      }
+      clients.clear();
+      const stopped = new Promise(resolve => server.close(resolve));
+      // Browsers keep idle connections open, which would hold close() up
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      await stopped;
+      await pm.release(port);
+    }
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Web dashboard tests - page, JSON, server-sent events and token-guarded releases
+ *
+ * @module core/port-manager/web.test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { isLocalHost, serveDashboard } from './web.mjs';
+import { defer, sleep, tempPortManager } from './test-helpers.mjs';
+
+const RANGE = { start: 25200, end: 25299 };
+
+/**
+ * Serve the dashboard from a temporary registry, closed after the test
+ * @param {TestContext} t - Test context
+ * @returns {Promise<Object>} { pm, dashboard, token, request(method, path, headers?) }
+ */
+async function tempDashboard(t) {
+  const pm = tempPortManager(t, { range: RANGE });
+  const dashboard = await serveDashboard(pm, { interval: '50ms', range: { start: RANGE.start, end: RANGE.start + 9 } });
+  defer(t, () => dashboard.close());
+
+  const request = (method, path, headers = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: dashboard.port, method, path, headers, agent: false }, (response) => {
+      let body = '';
+      response.on('data', chunk => body += chunk);
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    });
+    req.once('error', reject);
+    req.end();
+  });
+
+  const page = await request('GET', '/');
+  const token = JSON.parse(/const TOKEN = ("[0-9a-f]+");/.exec(page.body)[1]);
+  return { pm, dashboard, token, request };
+}
+
+/**
+ * Subscribe to the dashboard's server-sent events, closed after the test
+ * @param {TestContext} t - Test context
+ * @param {number} port - Dashboard port
+ * @returns {Promise<Object>} { events, next(count) } where next waits for `count` events
+ */
+async function subscribe(t, port) {
+  const events = [];
+  let buffer = '';
+  const response = await new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: '/events', agent: false }, resolve).once('error', reject);
+  });
+  defer(t, () => response.destroy());
+
+  response.setEncoding('utf-8');
+  response.on('data', (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = /^event: (.+)$/m.exec(block)?.[1];
+      const data = /^data: (.+)$/m.exec(block)?.[1];
+      if (event) events.push({ event, data: JSON.parse(data) });
+    }
+  });
+
+  return {
+    events,
+    headers: response.headers,
+    next: async (count) => {
+      const deadline = Date.now() + 5000;
+      while (events.length < count && Date.now() < deadline) await sleep(10);
+      assert.ok(events.length >= count, `expected ${count} events, got ${events.length}`);
+      return events[count - 1];
+    }
+  };
+}
+
+test('only requests addressed to localhost are answered', () => {
+  assert.equal(isLocalHost('127.0.0.1:25200', 25200), true);
+  assert.equal(isLocalHost('localhost:25200', 25200), true);
+  assert.equal(isLocalHost('evil.example:25200', 25200), false);
+  assert.equal(isLocalHost('localhost:25201', 25200), false);
+  assert.equal(isLocalHost(undefined, 25200), false);
+});
+
+test('the page, the JSON snapshot and the server\'s own allocation', async (t) => {
+  const { pm, dashboard, request } = await tempDashboard(t);
+
+  const page = await request('GET', '/');
+  assert.equal(page.status, 200);
+  assert.match(page.headers['content-type'], /text\/html/);
+
+  const { apps } = JSON.parse((await request('GET', '/api/ports')).body);
+  assert.deepEqual(apps['gosiki-os'].dashboard.map(entry => entry.port), [dashboard.port]);
+  assert.equal(dashboard.url, `http://127.0.0.1:${dashboard.port}/`);
+
+  assert.equal((await request('GET', '/api/ports', { Host: `evil.example:${dashboard.port}` })).status, 403);
+  assert.equal((await request('GET', '/nope')).status, 404);
+
+  // An idle keep-alive connection, as a browser leaves behind, does not hold close() up
+  const agent = new http.Agent({ keepAlive: true });
+  defer(t, () => agent.destroy());
+  await new Promise(resolve => http.get({ host: '127.0.0.1', port: dashboard.port, agent }, response => response.resume().on('end', resolve)));
+  const started = Date.now();
+  await dashboard.close();
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual(pm.listAllocations(), []);
+});
+
+test('pages get a snapshot, then only the changes', async (t) => {
+  const { pm, dashboard } = await tempDashboard(t);
+  const { headers, next } = await subscribe(t, dashboard.port);
+
+  assert.equal(headers['content-type'], 'text/event-stream');
+  const first = await next(1);
+  assert.equal(first.event, 'ports');
+  assert.deepEqual(first.data.changes, {});
+
+  const port = await pm.allocate({ start: RANGE.start + 50, end: RANGE.end }, { app: 'web' });
+  const second = await next(2);
+  assert.deepEqual(second.data.changes, { [`${port}/tcp`]: { change: 'new' } });
+  assert.deepEqual(second.data.apps.web.default.map(entry => entry.port), [port]);
+});
+
+test('releasing needs the page\'s token', async (t) => {
+  const { pm, token, request } = await tempDashboard(t);
+  const range = { start: RANGE.start + 50, end: RANGE.end };
+  const port = await pm.allocate(range, { app: 'web' });
+  const group = await pm.allocateGroup(2, { app: 'api' }, ['http', 'grpc'], { range });
+
+  assert.equal((await request('POST', `/api/ports/${port}/release`)).status, 403);
+  assert.equal((await request('POST', `/api/ports/${port}/release`, { 'X-Gosiki-Token': 'guess' })).status, 403);
+  assert.equal(pm.listAllocations().length, 4);
+
+  const released = await request('POST', `/api/ports/${port}/release`, { 'X-Gosiki-Token': token });
+  assert.equal(released.status, 200);
+  assert.equal(JSON.parse(released.body).status, 'released');
+  assert.equal((await request('POST', `/api/ports/${port}/release`, { 'X-Gosiki-Token': token })).status, 404);
+
+  const groupReleased = await request('POST', `/api/groups/${group.groupId}/release`, { 'X-Gosiki-Token': token });
+  assert.equal(groupReleased.status, 200);
+  assert.deepEqual(pm.listAllocations().map(entry => entry.metadata.app), ['gosiki-os']);
+});
@@ -9,14 +9,22 @@ import { PortManager } from '../../core/port-manager/index.mjs';
 async function startApp() {
   console.log('🚀 Starting Basic App...\n');
 
-  const pm = new PortManager();
+  // `gosiki-port run` 経由（npm start）なら PORT が注入済み。終了時の解放も run が行う
+  let port = Number(process.env.PORT);
 
-  // ポート割り当て
-  const port = await pm.allocate(undefined, {
-    app: 'basic-app',
-    worktree: 'main',
-    service: 'http-server'
-  });
+  if (!port) {
+    const pm = new PortManager();
+
+    // 単体起動時は自分で割り当て（5分のリース。このプロセスがオーナーとして記録され、終了後に回収される）
+    port = await pm.allocate(undefined, {
+      app: 'basic-app',
+      worktree: 'main',
+      service: 'http-server'
+    }, { ttl: '5m' });
+
+    // プロセスが生きている間はリースを自動更新
+    pm.keepAlive(port);
+  }
 
   console.log(`✅ App started on port ${port}`);
   console.log(`   Visit: http://localhost:${port}\n`);
@@ -24,14 +32,6 @@ async function startApp() {
   // 疑似HTTPサーバー（実際はここにExpress等を実装）
   console.log('💡 Press Ctrl+C to stop\n');
 
-  // 終了時にポート解放
-  process.on('SIGINT', async () => {
-    console.log('\n\n🛑 Stopping app...');
-    await pm.release(port);
-    console.log('✅ Port released');
-    process.exit(0);
-  });
-
   // アプリケーションロジック
   // ここに実際のサーバー処理を実装
   await new Promise(() => {}); // 無限待機
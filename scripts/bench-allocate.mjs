@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Allocation benchmark - Gosiki OS
+ *
+ * Occupies the start of a range with listening servers, then times
+ * allocate() and a 5-port allocateGroup() with sequential probing,
+ * concurrent probing, and concurrent probing plus the OS socket-table
+ * prefilter.
+ *
+ * Usage:
+ *   node scripts/bench-allocate.mjs [--busy 300] [--runs 3] [--range 42000-42999]
+ */
+
+import net from 'net';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PortManager } from '../core/port-manager/index.mjs';
+
+/**
+ * Probe settings compared by the benchmark
+ */
+const MODES = [
+  { name: 'sequential', options: { probeConcurrency: 1, prefilter: false } },
+  { name: 'concurrent', options: { prefilter: false } },
+  { name: 'concurrent + prefilter', options: {} }
+];
+
+/**
+ * Read a numeric flag from argv
+ * @param {string} name - Flag name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function numberArg(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? parseInt(process.argv[index + 1], 10) : fallback;
+}
+
+/**
+ * Parse --range start-end
+ * @returns {Object} { start, end }
+ */
+function rangeArg() {
+  const index = process.argv.indexOf('--range');
+  const [start, end] = (index !== -1 ? process.argv[index + 1] : '42000-42999').split('-').map(Number);
+  return { start, end };
+}
+
+/**
+ * Listen on a port on every address (dual-stack wildcard)
+ * @param {number} port - Port number
+ * @returns {Promise<net.Server|null>} Server, or null if the port was already taken
+ */
+function occupy(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(null));
+    server.listen(port, () => resolve(server));
+  });
+}
+
+/**
+ * Time an async function
+ * @param {Function} fn - Function to time
+ * @returns {Promise<number>} Elapsed milliseconds
+ */
+async function time(fn) {
+  const start = process.hrtime.bigint();
+  await fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Samples
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Run every mode and print a table
+ */
+async function runBenchmark() {
+  const busy = numberArg('--busy', 300);
+  const runs = numberArg('--runs', 3);
+  const range = rangeArg();
+  const dir = mkdtempSync(join(tmpdir(), 'gosiki-bench-'));
+  const servers = [];
+
+  try {
+    for (let port = range.start; port < range.start + busy; port++) {
+      const server = await occupy(port);
+      if (server) servers.push(server);
+    }
+    console.log(`Occupied ${servers.length} of ${range.end - range.start + 1} ports in ${range.start}-${range.end}; median of ${runs} run(s)\n`);
+
+    const rows = [];
+    for (const mode of MODES) {
+      const pm = new PortManager({
+        ...mode.options,
+        registryPath: join(dir, `${mode.name.replace(/\W+/g, '-')}.json`),
+        range,
+        ownerPid: null,
+        daemon: false,
+        detectGit: false,
+        policy: {}
+      });
+      const single = [];
+      const group = [];
+
+      for (let run = 0; run < runs; run++) {
+        single.push(await time(async () => pm.release(await pm.allocate())));
+        group.push(await time(async () => {
+          const { groupId } = await pm.allocateGroup(5, {}, ['app', 'api', 'db', 'hmr', 'debug']);
+          await pm.releaseGroup(groupId);
+        }));
+      }
+
+      rows.push({ name: mode.name, single: median(single), group: median(group) });
+    }
+
+    const baseline = rows[0];
+    console.log(`${'mode'.padEnd(24)}${'allocate'.padStart(12)}${'group of 5'.padStart(14)}`);
+    for (const row of rows) {
+      const speedup = row === baseline ? '' : `  (${(baseline.single / row.single).toFixed(1)}x / ${(baseline.group / row.group).toFixed(1)}x)`;
+      console.log(`${row.name.padEnd(24)}${`${row.single.toFixed(1)} ms`.padStart(12)}${`${row.group.toFixed(1)} ms`.padStart(14)}${speedup}`);
+    }
+  } finally {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+await runBenchmark();
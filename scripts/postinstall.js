@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 import { homedir } from 'os';
-import { join } from 'path';
+import { getDefaultRegistryPath } from '../core/port-manager/registry.mjs';
 
 /**
  * Get display path with optional username masking for demo mode
@@ -17,7 +17,7 @@ function getDisplayPath(path) {
   return path;
 }
 
-const registryPath = join(homedir(), '.gosiki-os', 'port-registry.json');
+const registryPath = getDefaultRegistryPath();
 
 console.log('✅ @gosiki-os/port-manager installed successfully');
 console.log(`📁 Registry location: ${getDisplayPath(registryPath)}`);
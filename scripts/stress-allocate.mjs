@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Registry stress test - Gosiki OS
+ *
+ * Starts many processes at once against a single temporary registry and
+ * verifies that no port is ever handed out twice.
+ *
+ * Usage:
+ *   node scripts/stress-allocate.mjs [--workers 20] [--per-worker 5] [--range 41000-41999]
+ */
+
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { PortManager } from '../core/port-manager/index.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Read a numeric flag from argv
+ * @param {string} name - Flag name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function numberArg(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? parseInt(process.argv[index + 1], 10) : fallback;
+}
+
+/**
+ * Parse --range start-end
+ * @returns {Object} { start, end }
+ */
+function rangeArg() {
+  const index = process.argv.indexOf('--range');
+  const [start, end] = (index !== -1 ? process.argv[index + 1] : '41000-41999').split('-').map(Number);
+  return { start, end };
+}
+
+/**
+ * Worker: allocate ports and a group, then print them as JSON
+ */
+async function runWorker() {
+  const registryPath = process.argv[process.argv.indexOf('--worker') + 1];
+  const perWorker = numberArg('--per-worker', 5);
+  // Workers exit as soon as they finish, so don't record them as owners:
+  // their ports would (correctly) be reclaimed by workers still running
+  const pm = new PortManager({ registryPath, range: rangeArg(), ownerPid: null });
+  const ports = [];
+
+  for (let i = 0; i < perWorker; i++) {
+    ports.push(await pm.allocate(undefined, { app: 'stress', worker: String(process.pid) }));
+  }
+
+  const group = await pm.allocateGroup(2, { app: 'stress' }, ['a', 'b']);
+  ports.push(...Object.values(group.ports));
+
+  process.stdout.write(JSON.stringify(ports));
+}
+
+/**
+ * Spawn one worker and collect its ports
+ * @param {string} registryPath - Shared registry path
+ * @returns {Promise<Array<number>>}
+ */
+function spawnWorker(registryPath) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [__filename, ...process.argv.slice(2), '--worker', registryPath], {
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.on('exit', (code) => {
+      if (code !== 0) {
+        reject(new Error(`Worker ${child.pid} exited with code ${code}`));
+        return;
+      }
+      resolve(JSON.parse(output));
+    });
+  });
+}
+
+/**
+ * Coordinator: start all workers at once and check for duplicates
+ */
+async function runStress() {
+  const workers = numberArg('--workers', 20);
+  const perWorker = numberArg('--per-worker', 5);
+  const dir = mkdtempSync(join(tmpdir(), 'gosiki-stress-'));
+  const registryPath = join(dir, 'ports.json');
+
+  try {
+    console.log(`Starting ${workers} workers x ${perWorker + 2} ports...`);
+    const results = await Promise.all(
+      Array.from({ length: workers }, () => spawnWorker(registryPath))
+    );
+
+    const handedOut = results.flat();
+    const seen = new Map();
+    const duplicates = [];
+
+    for (const port of handedOut) {
+      seen.set(port, (seen.get(port) || 0) + 1);
+      if (seen.get(port) === 2) duplicates.push(port);
+    }
+
+    const registered = new PortManager({ registryPath }).listAllocations().length;
+    const expected = workers * (perWorker + 2);
+
+    console.log(`Handed out: ${handedOut.length}, unique: ${seen.size}, in registry: ${registered}`);
+
+    if (duplicates.length > 0 || handedOut.length !== expected || registered !== expected) {
+      console.error(`FAIL: duplicates=[${duplicates.join(', ')}] expected=${expected}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log('OK: no port was handed out twice.');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+if (process.argv.includes('--worker')) {
+  await runWorker();
+} else {
+  await runStress();
+}
@@ -1,9 +1,19 @@
 #!/usr/bin/env node
-import { execSync } from 'child_process';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+/**
+ * npx entry point - @gosiki-os/port-manager
+ *
+ * Compatibility layer over PortManager. acquirePort/releasePort/listAllocations
+ * keep their original signatures but share the registry and engine used by
+ * gosiki-port (core/port-manager/cli.mjs), so allocations are visible from both.
+ *
+ * As a command, it answers the original npx usage itself and hands every
+ * other command line (up, run, --dashboard, ...) to core/port-manager/cli.mjs.
+ */
+import { readFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { homedir } from 'os';
+import { PortManager } from '../core/port-manager/PortManager.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -12,9 +22,9 @@ const __dirname = dirname(__filename);
 const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf-8'));
 const VERSION = packageJson.version;
 
-// Registry path
-const REGISTRY_DIR = join(homedir(), '.gosiki-os');
-const REGISTRY_FILE = join(REGISTRY_DIR, 'port-registry.json');
+// Shared port manager (default registry: ~/.gosiki-os/port-registry.json)
+const pm = new PortManager();
+const REGISTRY_FILE = pm.registryPath;
 
 /**
  * Get display path with optional username masking for demo mode
@@ -31,90 +41,6 @@ function getDisplayPath(path) {
   return path;
 }
 
-/**
- * Ensure registry directory exists
- */
-function ensureRegistryDir() {
-  if (!existsSync(REGISTRY_DIR)) {
-    mkdirSync(REGISTRY_DIR, { recursive: true });
-  }
-}
-
-/**
- * Load registry from file
- * @returns {Object} Registry data
- */
-function loadRegistry() {
-  ensureRegistryDir();
-  if (!existsSync(REGISTRY_FILE)) {
-    return { version: '1.0.0', allocations: {} };
-  }
-  try {
-    return JSON.parse(readFileSync(REGISTRY_FILE, 'utf-8'));
-  } catch {
-    return { version: '1.0.0', allocations: {} };
-  }
-}
-
-/**
- * Save registry to file
- * @param {Object} registry - Registry data
- */
-function saveRegistry(registry) {
-  ensureRegistryDir();
-  writeFileSync(REGISTRY_FILE, JSON.stringify(registry, null, 2), 'utf-8');
-}
-
-/**
- * Get PID of process using a port
- * @param {number} port - Port number to check
- * @returns {Promise<number|null>}
- */
-async function getPortPid(port) {
-  try {
-    const result = execSync(
-      `powershell -Command "Get-NetTCPConnection -LocalPort ${port} -ErrorAction SilentlyContinue | Select-Object -ExpandProperty OwningProcess"`,
-      { stdio: 'pipe' }
-    );
-    const pid = parseInt(result.toString().trim());
-    return isNaN(pid) ? null : pid;
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Check if a port is free (both system and registry)
- * @param {number} port - Port number to check
- * @param {Object} registry - Registry data
- * @returns {Promise<boolean>}
- */
-async function isPortFree(port, registry) {
-  // Check system level (is any process using this port?)
-  const systemPid = await getPortPid(port);
-  if (systemPid !== null) {
-    return false;  // Port is in use by system
-  }
-
-  // Check registry (is this port allocated by Gosiki OS?)
-  const managed = registry.allocations[port];
-  if (managed) {
-    // Check if the process is still alive
-    try {
-      process.kill(managed.pid, 0);  // Signal 0 checks if process exists
-      return false;  // Process exists, port is still allocated
-    } catch {
-      // Process doesn't exist, port allocation is stale
-      // Remove stale entry
-      delete registry.allocations[port];
-      saveRegistry(registry);
-      return true;  // Port is free (stale entry removed)
-    }
-  }
-
-  return true;  // Port is free
-}
-
 /**
  * Acquire an available port (with registry tracking)
  * @param {number} preferred - Preferred port (default: 3000)
@@ -123,42 +49,23 @@ async function isPortFree(port, registry) {
  * @returns {Promise<number>}
  */
 export async function acquirePort(preferred = 3000, range = 100, label = null) {
-  const registry = loadRegistry();
-
-  for (let port = preferred; port < preferred + range; port++) {
-    if (await isPortFree(port, registry)) {
-      // Port is free, allocate it
-      registry.allocations[port] = {
-        allocatedAt: new Date().toISOString(),
-        pid: process.pid,
-        label: label
-      };
-      saveRegistry(registry);
-
-      const labelText = label ? ` [${label}]` : '';
-      console.log(`Port ${port} acquired ✓${labelText}`);
-      console.log(`Registry: ${getDisplayPath(REGISTRY_FILE)}`);
-      return port;
-    } else {
-      // Port is in use - check why
-      const systemPid = await getPortPid(port);
-      const managed = registry.allocations[port];
-
-      if (systemPid && managed) {
-        // Both system and registry
-        console.log(`Checking port ${port}... in use (PID: ${managed.pid}) [managed]`);
-      } else if (managed) {
-        // Registry only (process might have ended but port reallocated)
-        console.log(`Checking port ${port}... in use (PID: ${managed.pid}) [managed]`);
-      } else {
-        // System only
-        console.log(`Checking port ${port}... in use [not managed]`);
-      }
-    }
+  let port;
+
+  try {
+    port = await pm.allocate(
+      { start: preferred, end: preferred + range - 1 },
+      label ? { label } : {},
+      { pid: process.pid }
+    );
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
   }
 
-  console.error(`No available ports in range ${preferred}-${preferred + range - 1}`);
-  process.exit(1);
+  const labelText = label ? ` [${label}]` : '';
+  console.log(`Port ${port} acquired ✓${labelText}`);
+  console.log(`Registry: ${getDisplayPath(REGISTRY_FILE)}`);
+  return port;
 }
 
 /**
@@ -167,11 +74,7 @@ export async function acquirePort(preferred = 3000, range = 100, label = null) {
  * @returns {Promise<boolean>}
  */
 export async function releasePort(port) {
-  const registry = loadRegistry();
-
-  if (registry.allocations[port]) {
-    delete registry.allocations[port];
-    saveRegistry(registry);
+  if (await pm.release(port)) {
     console.log(`Port ${port} released`);
     return true;
   }
@@ -185,15 +88,37 @@ export async function releasePort(port) {
  * @returns {Promise<Array>}
  */
 export async function listAllocations() {
-  const registry = loadRegistry();
-
-  return Object.entries(registry.allocations).map(([port, info]) => ({
-    port: parseInt(port, 10),
-    allocatedAt: info.allocatedAt,
-    pid: info.pid
+  return pm.listAllocations().map(({ port, protocol, allocatedAt, pid }) => ({
+    port,
+    protocol,
+    allocatedAt,
+    pid
   }));
 }
 
+/**
+ * Check whether a command line is one the original npx CLI understood
+ *
+ * Those are: no arguments, a preferred port, --label <name> (with or without
+ * a port), --release <port>, --list and --help.
+ * @param {Array<string>} args - Arguments after the script path
+ * @returns {boolean}
+ */
+function isLegacyCommandLine(args) {
+  const rest = [...args];
+  const labelIndex = rest.indexOf('--label');
+  if (labelIndex !== -1) {
+    rest.splice(labelIndex, 2);
+    return rest.length === 0 || (rest.length === 1 && /^\d+$/.test(rest[0]));
+  }
+
+  if (rest.length === 0) return true;
+  if (rest.length === 1) {
+    return /^\d+$/.test(rest[0]) || ['--list', '-l', '--help', '-h'].includes(rest[0]);
+  }
+  return rest.length === 2 && ['--release', '-r'].includes(rest[0]);
+}
+
 // CLI execution - Check if this file is being run directly
 const scriptPath = fileURLToPath(import.meta.url);
 const isMainModule = process.argv[1] && (
@@ -201,7 +126,11 @@ const isMainModule = process.argv[1] && (
   scriptPath.replace(/\\/g, '/') === process.argv[1].replace(/\\/g, '/')
 );
 
-if (isMainModule) {
+if (isMainModule && !isLegacyCommandLine(process.argv.slice(2))) {
+  // up, down, status, run, mcp, --allocate, --dashboard, ... (reads process.argv itself)
+  await import('../core/port-manager/cli.mjs');
+
+} else if (isMainModule) {
   const command = process.argv[2];
 
   if (command === '--release' || command === '-r') {
@@ -214,15 +143,13 @@ if (isMainModule) {
     console.log(`Registry: ${getDisplayPath(REGISTRY_FILE)}`);
 
   } else if (command === '--list' || command === '-l') {
-    const registry = loadRegistry();
+    // Probing below is TCP-only, so UDP allocations are left out here
+    const allocations = new Map(
+      pm.listAllocations().filter(a => a.protocol === 'tcp').map(a => [a.port, a])
+    );
 
     // Get all ports used by system in common ranges
-    const portsToCheck = new Set();
-
-    // Add managed ports
-    Object.keys(registry.allocations).forEach(port => {
-      portsToCheck.add(parseInt(port));
-    });
+    const portsToCheck = new Set(allocations.keys());
 
     // Add common port range (3000-3020 for development)
     for (let port = 3000; port <= 3020; port++) {
@@ -235,22 +162,22 @@ if (isMainModule) {
     let hasAnyPort = false;
 
     for (const port of sortedPorts) {
-      const systemPid = await getPortPid(port);
-      const managed = registry.allocations[port];
+      const { inUse } = await pm.probe(port);
+      const managed = allocations.get(port);
+      const label = managed?.metadata.label ? ` [${managed.metadata.label}]` : '';
+      const owner = managed?.pid ? `PID: ${managed.pid}` : `app: ${managed?.metadata.app || 'default'}`;
 
-      if (systemPid && managed) {
+      if (inUse && managed) {
         // Managed by Gosiki and currently in use
-        const label = managed.label ? ` [${managed.label}]` : '';
-        console.log(`  ${port} - managed by Gosiki (PID: ${managed.pid})${label} ✓`);
+        console.log(`  ${port} - managed by Gosiki (${owner})${label} ✓`);
         hasAnyPort = true;
-      } else if (systemPid) {
+      } else if (inUse) {
         // In use but not managed by Gosiki
         console.log(`  ${port} - in use by system [not managed]`);
         hasAnyPort = true;
       } else if (managed) {
-        // Managed but process ended (stale entry)
-        const label = managed.label ? ` [${managed.label}]` : '';
-        console.log(`  ${port} - managed but process ended (PID: ${managed.pid})${label} [stale]`);
+        // Managed but nothing is listening yet (or the process ended)
+        console.log(`  ${port} - managed but not listening (${owner})${label} [stale]`);
         hasAnyPort = true;
       }
     }
@@ -277,7 +204,9 @@ Examples:
   npx @gosiki-os/port-manager 3000 --label backend     Acquire specific port with label
   npx @gosiki-os/port-manager --release 3001           Release port 3001
   npx @gosiki-os/port-manager --list                   Show all allocated ports
-    `);
+
+Any other command line is run by gosiki-port:`);
+    await import('../core/port-manager/cli.mjs');
 
   } else {
     // Parse arguments for port acquisition